@@ -0,0 +1,301 @@
+// Environment configuration.
+//
+// Every env var the server reads is declared in ENV_SPEC, parsed and
+// validated once at boot by loadConfig(), and read from the returned config
+// object afterwards (server.js no longer touches process.env directly).
+//
+// loadConfig() never throws or exits; it returns the config plus a report:
+//   - errors:       required vars that are missing or invalid, and invalid
+//                   strict ones (NODE_ENV)
+//   - warnings:     optional vars that are missing or invalid (dropped), which
+//                   only disables the features that need them
+//   - capabilities: which features (payments, connect, subscriptions,
+//                   recording, video, admin) can work with this config
+// server.js logs the report and, in production, refuses to start on errors.
+// GET /admin/config serves the same report (names and status only, never
+// values).
+//
+// With SANDBOX_MODE=true the Stripe/Twilio/Supabase clients are replaced by
+// the in-process fakes in sandbox.js, and every credential that isn't set
+// gets a placeholder from SANDBOX_DEFAULTS so the whole app is enabled
+// offline. Sandbox mode is a configuration error in production.
+
+/**
+ * @typedef {Object} Config
+ * @property {'production'|'development'|'test'} nodeEnv
+ * @property {boolean} isProduction
+ * @property {number} port
+ * @property {string} frontendUrl          base URL for links back into the app
+ * @property {string[]} extraOrigins       PREVIEW_ORIGIN / ALLOWED_ORIGIN
+ * @property {{ secretKey: string|undefined, webhookSecret: string|undefined, webhookSecretRecording: string|undefined, webhookSecretConnect: string|undefined }} stripe
+ * @property {{ recordingPriceId: string|undefined, recordingAnnualPriceId: string|undefined, recordingTrialDays: number, catalogJson: object|undefined }} plans
+ * @property {{ url: string, key: string, keyIsServiceRole: boolean }} supabase
+ * @property {{ accountSid: string|undefined, apiKey: string|undefined, apiSecret: string|undefined }} twilio
+ * @property {string|undefined} webhookKey  shared secret for the Supabase Edge Functions
+ * @property {string[]} currencies        lowercase ISO codes accepted for top-ups, first one is the default
+ * @property {{ reviewThreshold: number|undefined, reconciliationIntervalHours: number|undefined }} withdrawals
+ *   reviewThreshold: amounts at or above this (in USD; see fromUsdSetting for other currencies) are held for admin review;
+ *   reconciliationIntervalHours: how often the payout reconciliation job runs (unset: never)
+ * @property {'all_party'|'one_party'} recordingConsentPolicy
+ * @property {boolean} sandbox             SANDBOX_MODE: use the in-process fakes
+ */
+
+/**
+ * @typedef {Object} ConfigReport
+ * @property {string[]} errors
+ * @property {string[]} warnings
+ * @property {Object<string, { enabled: boolean, missing: string[] }>} capabilities
+ * @property {Object<string, { set: boolean, valid: boolean, sandboxDefault?: boolean }>} variables
+ */
+
+const { CURRENCY_LIMITS } = require('./currency');
+
+// requiredIn: 'always' | 'production'. Anything else is optional.
+// strict: an invalid value is an error even though the var is optional.
+const ENV_SPEC = [
+  { name: 'NODE_ENV', type: 'enum', values: ['production', 'development', 'test'], default: 'development', strict: true },
+  { name: 'PORT', type: 'int', min: 1, max: 65535, default: 3001 },
+  { name: 'FRONTEND_URL', type: 'url', requiredIn: 'production' },
+  { name: 'PREVIEW_ORIGIN', type: 'url' },
+  { name: 'ALLOWED_ORIGIN', type: 'url' },
+
+  { name: 'STRIPE_SECRET_KEY', pattern: /^(sk|rk)_(live|test)_\w+$/, requiredIn: 'production' },
+  // Without it /stripe/webhook can't verify events and top-ups never credit.
+  { name: 'STRIPE_WEBHOOK_SECRET', pattern: /^whsec_\w+$/, requiredIn: 'production' },
+  { name: 'STRIPE_WEBHOOK_SECRET_RECORDING', pattern: /^whsec_\w+$/ },
+  { name: 'STRIPE_WEBHOOK_SECRET_CONNECT', pattern: /^whsec_\w+$/ },
+  { name: 'STRIPE_RECORDING_PRICE_ID', pattern: /^price_\w+$/ },
+  { name: 'STRIPE_RECORDING_ANNUAL_PRICE_ID', pattern: /^price_\w+$/ },
+  { name: 'STRIPE_RECORDING_TRIAL_DAYS', type: 'int', min: 0, max: 730, default: 0 },
+  { name: 'SUBSCRIPTION_PLANS', type: 'json' },
+
+  { name: 'SUPABASE_URL', type: 'url', https: true, requiredIn: 'always' },
+  // The wallet and ledger RPCs are granted to service_role only.
+  { name: 'SUPABASE_SERVICE_ROLE_KEY', requiredIn: 'production' },
+  { name: 'SUPABASE_ANON_KEY' },
+
+  { name: 'TWILIO_ACCOUNT_SID', pattern: /^AC[0-9a-f]{32}$/i },
+  { name: 'TWILIO_API_KEY', pattern: /^SK[0-9a-f]{32}$/i },
+  { name: 'TWILIO_API_SECRET' },
+
+  { name: 'WEBHOOK_KEY', minLength: 16 },
+  // Top-up currencies, e.g. "usd,eur"; each needs limits in currency.js.
+  { name: 'SUPPORTED_CURRENCIES', pattern: /^[a-z]{3}(\s*,\s*[a-z]{3})*$/i, default: 'usd' },
+  { name: 'WITHDRAWAL_REVIEW_THRESHOLD', type: 'int', min: 1, max: 1000000 },
+  { name: 'PAYOUT_RECONCILIATION_INTERVAL_HOURS', type: 'int', min: 1, max: 168 },
+  { name: 'RECORDING_CONSENT_POLICY', type: 'enum', values: ['all_party', 'one_party'], default: 'all_party' },
+  { name: 'SANDBOX_MODE', type: 'bool', default: false },
+];
+
+// Placeholders for SANDBOX_MODE. They only have to pass validation; the fakes
+// never send them anywhere.
+const SANDBOX_DEFAULTS = {
+  FRONTEND_URL: 'http://localhost:5173',
+  STRIPE_SECRET_KEY: 'sk_test_sandbox',
+  STRIPE_WEBHOOK_SECRET: 'whsec_sandbox',
+  STRIPE_WEBHOOK_SECRET_RECORDING: 'whsec_sandbox',
+  STRIPE_WEBHOOK_SECRET_CONNECT: 'whsec_sandbox',
+  STRIPE_RECORDING_PRICE_ID: 'price_sandbox_monthly',
+  STRIPE_RECORDING_ANNUAL_PRICE_ID: 'price_sandbox_annual',
+  SUPABASE_URL: 'https://sandbox.supabase.invalid',
+  SUPABASE_SERVICE_ROLE_KEY: 'sandbox',
+  SUPABASE_ANON_KEY: 'sandbox',
+  TWILIO_ACCOUNT_SID: `AC${'0'.repeat(32)}`,
+  TWILIO_API_KEY: `SK${'0'.repeat(32)}`,
+  TWILIO_API_SECRET: 'sandbox',
+  WEBHOOK_KEY: 'sandbox-webhook-key',
+};
+
+// Returns [value, error]. Empty strings count as unset.
+function parseVar(spec, raw) {
+  if (raw === undefined || raw === '') return [spec.default, null];
+  const value = raw.trim();
+  switch (spec.type) {
+    case 'int': {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < spec.min || n > spec.max) {
+        return [spec.default, `must be an integer between ${spec.min} and ${spec.max}`];
+      }
+      return [n, null];
+    }
+    case 'bool':
+      if (!/^(true|false|1|0)$/i.test(value)) return [spec.default, 'must be true or false'];
+      return [/^(true|1)$/i.test(value), null];
+    case 'enum':
+      if (!spec.values.includes(value)) return [spec.default, `must be one of ${spec.values.join(', ')}`];
+      return [value, null];
+    case 'url': {
+      let url;
+      try {
+        url = new URL(value);
+      } catch {
+        return [undefined, 'must be an absolute URL'];
+      }
+      if (spec.https && url.protocol !== 'https:') return [undefined, 'must be an https URL'];
+      return [value.replace(/\/$/, ''), null];
+    }
+    case 'json':
+      try {
+        return [JSON.parse(value), null];
+      } catch (err) {
+        return [undefined, `is not valid JSON (${err.message})`];
+      }
+    default:
+      if (spec.pattern && !spec.pattern.test(value)) return [undefined, 'has an unexpected format'];
+      return [value, null];
+  }
+}
+
+function decodeJwtRole(jwt) {
+  try {
+    return JSON.parse(Buffer.from(jwt.split('.')[1], 'base64').toString('utf8')).role;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {{ config: Config, report: ConfigReport }}
+ */
+function loadConfig(env = process.env) {
+  const errors = [];
+  const warnings = [];
+  const values = {};
+  const variables = {};
+
+  // An unrecognised NODE_ENV ('prod', 'staging') is a typo for a deployed
+  // environment far more often than for a laptop, so it runs the production
+  // checks (and fails them, see strict) instead of quietly becoming development.
+  const [parsedNodeEnv, nodeEnvError] = parseVar(ENV_SPEC[0], env.NODE_ENV);
+  const nodeEnv = nodeEnvError ? 'production' : parsedNodeEnv;
+  const isProduction = nodeEnv === 'production';
+  const sandbox = parseVar(ENV_SPEC.find((s) => s.name === 'SANDBOX_MODE'), env.SANDBOX_MODE)[0] === true;
+  const sandboxDefaulted = new Set();
+  if (sandbox) {
+    if (isProduction) errors.push('SANDBOX_MODE must not be enabled in production');
+    const filled = { ...env };
+    for (const [name, value] of Object.entries(SANDBOX_DEFAULTS)) {
+      if (filled[name] === undefined || filled[name] === '') {
+        filled[name] = value;
+        sandboxDefaulted.add(name);
+      }
+    }
+    env = filled;
+  }
+
+  for (const spec of ENV_SPEC) {
+    const raw = env[spec.name];
+    const set = raw !== undefined && raw !== '';
+    const [value, error] = parseVar(spec, raw);
+    values[spec.name] = value;
+    variables[spec.name] = { set, valid: !error };
+    if (sandboxDefaulted.has(spec.name)) variables[spec.name].sandboxDefault = true;
+
+    const required = spec.requiredIn === 'always' || (spec.requiredIn === 'production' && isProduction);
+    if (error) {
+      // An invalid optional var is dropped, which disables what depends on it.
+      (required || spec.strict ? errors : warnings).push(`${spec.name} ${error}`);
+    } else if (!set && required) {
+      errors.push(`${spec.name} is required${spec.requiredIn === 'production' ? ' in production' : ''}`);
+    } else if (!set && spec.requiredIn === 'production') {
+      warnings.push(`${spec.name} is not set (required in production)`);
+    } else if (set && spec.minLength && value.length < spec.minLength) {
+      // Shared secrets: accepted, but worth rotating.
+      warnings.push(`${spec.name} is shorter than ${spec.minLength} characters`);
+    }
+  }
+
+  const currencies = [];
+  for (const code of (values.SUPPORTED_CURRENCIES || 'usd').toLowerCase().split(',').map((c) => c.trim())) {
+    if (!CURRENCY_LIMITS[code]) warnings.push(`SUPPORTED_CURRENCIES: ${code} has no limits in currency.js — ignored`);
+    else if (!currencies.includes(code)) currencies.push(code);
+  }
+  if (!currencies.length) currencies.push('usd');
+
+  const supabaseKey = values.SUPABASE_SERVICE_ROLE_KEY || values.SUPABASE_ANON_KEY || '';
+  if (!supabaseKey) errors.push('SUPABASE_SERVICE_ROLE_KEY or SUPABASE_ANON_KEY is required');
+  // The anon key pasted into the service-role variable would pass the
+  // presence check and then fail every wallet write.
+  const serviceRole = values.SUPABASE_SERVICE_ROLE_KEY && decodeJwtRole(values.SUPABASE_SERVICE_ROLE_KEY);
+  if (serviceRole && serviceRole !== 'service_role') {
+    (isProduction ? errors : warnings).push(`SUPABASE_SERVICE_ROLE_KEY has role ${serviceRole}, not service_role`);
+    variables.SUPABASE_SERVICE_ROLE_KEY.valid = false;
+  }
+
+  /** @type {Config} */
+  const config = {
+    nodeEnv,
+    isProduction,
+    port: values.PORT,
+    frontendUrl: values.FRONTEND_URL || 'http://localhost:5173',
+    extraOrigins: [values.PREVIEW_ORIGIN, values.ALLOWED_ORIGIN].filter(Boolean),
+    stripe: {
+      secretKey: values.STRIPE_SECRET_KEY,
+      webhookSecret: values.STRIPE_WEBHOOK_SECRET,
+      webhookSecretRecording: values.STRIPE_WEBHOOK_SECRET_RECORDING,
+      webhookSecretConnect: values.STRIPE_WEBHOOK_SECRET_CONNECT,
+    },
+    plans: {
+      recordingPriceId: values.STRIPE_RECORDING_PRICE_ID,
+      recordingAnnualPriceId: values.STRIPE_RECORDING_ANNUAL_PRICE_ID,
+      recordingTrialDays: values.STRIPE_RECORDING_TRIAL_DAYS,
+      catalogJson: values.SUBSCRIPTION_PLANS,
+    },
+    supabase: {
+      url: values.SUPABASE_URL || '',
+      key: supabaseKey,
+      keyIsServiceRole: decodeJwtRole(supabaseKey) === 'service_role',
+    },
+    twilio: {
+      accountSid: values.TWILIO_ACCOUNT_SID,
+      apiKey: values.TWILIO_API_KEY,
+      apiSecret: values.TWILIO_API_SECRET,
+    },
+    webhookKey: values.WEBHOOK_KEY,
+    currencies,
+    withdrawals: {
+      reviewThreshold: values.WITHDRAWAL_REVIEW_THRESHOLD,
+      reconciliationIntervalHours: values.PAYOUT_RECONCILIATION_INTERVAL_HOURS,
+    },
+    recordingConsentPolicy: values.RECORDING_CONSENT_POLICY,
+    sandbox,
+  };
+
+  // A feature is enabled when every var it needs is set and valid.
+  const ok = (name) => variables[name].set && variables[name].valid;
+  const capability = (needs) => {
+    const missing = needs.filter((n) => (Array.isArray(n) ? !n.some(ok) : !ok(n)))
+      .map((n) => (Array.isArray(n) ? n.join(' or ') : n));
+    return { enabled: missing.length === 0, missing };
+  };
+  const twilioVars = ['TWILIO_ACCOUNT_SID', 'TWILIO_API_KEY', 'TWILIO_API_SECRET'];
+  const capabilities = {
+    payments: capability(['STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET', 'SUPABASE_SERVICE_ROLE_KEY']),
+    connect: capability(['STRIPE_SECRET_KEY', 'FRONTEND_URL', 'SUPABASE_SERVICE_ROLE_KEY']),
+    subscriptions: capability([
+      'STRIPE_SECRET_KEY',
+      'STRIPE_WEBHOOK_SECRET_RECORDING',
+      ['STRIPE_RECORDING_PRICE_ID', 'STRIPE_RECORDING_ANNUAL_PRICE_ID', 'SUBSCRIPTION_PLANS'],
+    ]),
+    video: capability(twilioVars),
+    recording: capability([...twilioVars, 'SUPABASE_URL', 'WEBHOOK_KEY']),
+    admin: capability(['SUPABASE_URL']),
+  };
+  for (const [name, cap] of Object.entries(capabilities)) {
+    if (!cap.enabled) warnings.push(`${name} disabled — missing/invalid: ${cap.missing.join(', ')}`);
+  }
+  // Admin endpoints authenticate Supabase users with the admin role now.
+  if (env.ADMIN_KEY) {
+    warnings.push('ADMIN_KEY is no longer used — remove it; admin endpoints require a user with the admin role');
+  }
+  // The scheduled job reads every user's withdrawals with the backend's own
+  // key; through the anon key RLS shows it nothing.
+  if (values.PAYOUT_RECONCILIATION_INTERVAL_HOURS && !config.supabase.keyIsServiceRole && !sandbox) {
+    warnings.push('PAYOUT_RECONCILIATION_INTERVAL_HOURS needs SUPABASE_SERVICE_ROLE_KEY — scheduled payout reconciliation disabled');
+  }
+
+  return { config, report: { errors, warnings, capabilities, variables } };
+}
+
+module.exports = { loadConfig, ENV_SPEC };
@@ -0,0 +1,77 @@
+// Currencies and amounts.
+//
+// Wallets hold one currency each (wallets.currency) and store amounts in its
+// major unit (dollars, euros, yen); Stripe takes and returns integer amounts in
+// the currency's smallest unit. Most currencies have two decimals, the
+// zero-decimal ones (JPY, KRW, ...) have none and a few have three, so
+// amounts are converted with toMinorUnits/fromMinorUnits rather than * 100.
+//
+// Top-ups are accepted in the currencies of SUPPORTED_CURRENCIES (see
+// config.js), each of which needs limits here. Only enable a currency the
+// Stripe platform account holds a balance in: withdrawals are transferred in
+// the wallet's currency and Stripe converts them to the connected account's
+// default currency.
+
+// https://docs.stripe.com/currencies#zero-decimal
+const ZERO_DECIMAL = new Set([
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf',
+]);
+const THREE_DECIMAL = new Set(['bhd', 'jod', 'kwd', 'omr', 'tnd']);
+
+// Top-up limits in major units; min is also the smallest withdrawal.
+// perUsd: rough units per US dollar, used to carry USD-denominated settings
+// (WITHDRAWAL_REVIEW_THRESHOLD) over to other currencies. It is not an
+// exchange rate for moving money; Stripe converts payouts itself.
+const CURRENCY_LIMITS = {
+  usd: { min: 1, max: 1000, perUsd: 1 },
+  eur: { min: 1, max: 1000, perUsd: 1 },
+  gbp: { min: 1, max: 800, perUsd: 0.8 },
+  cad: { min: 1, max: 1400, perUsd: 1.4 },
+  aud: { min: 1, max: 1500, perUsd: 1.5 },
+  jpy: { min: 150, max: 150000, perUsd: 150 },
+};
+
+function decimals(currency) {
+  const code = currency.toLowerCase();
+  if (ZERO_DECIMAL.has(code)) return 0;
+  if (THREE_DECIMAL.has(code)) return 3;
+  return 2;
+}
+
+function toMinorUnits(amount, currency) {
+  return Math.round(Number(amount) * 10 ** decimals(currency));
+}
+
+function fromMinorUnits(amount, currency) {
+  return amount / 10 ** decimals(currency);
+}
+
+// Whether a major-unit amount is a whole number of minor units (no fractions
+// of a yen or of a cent).
+function isWholeMinorAmount(amount, currency) {
+  const minor = Number(amount) * 10 ** decimals(currency);
+  return Math.abs(minor - Math.round(minor)) < 1e-6;
+}
+
+// A USD setting in currency's major unit, rounded to its decimals (500 USD
+// is ¥75,000). Undefined for a currency without limits.
+function fromUsdSetting(amount, currency) {
+  const limits = CURRENCY_LIMITS[currency.toLowerCase()];
+  if (!limits) return undefined;
+  return fromMinorUnits(toMinorUnits(amount * limits.perUsd, currency), currency);
+}
+
+// "$1.00", "€1.00", "¥150"
+function formatAmount(amount, currency) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(amount);
+}
+
+module.exports = {
+  CURRENCY_LIMITS,
+  decimals,
+  toMinorUnits,
+  fromMinorUnits,
+  isWholeMinorAmount,
+  fromUsdSetting,
+  formatAmount,
+};
@@ -0,0 +1,300 @@
+// Payout reconciliation between Stripe and the withdrawal tables.
+//
+// buildPayoutReconciliation() matches the Stripe transfers of a date range
+// (and failed payouts on the connected accounts they went to) against
+// withdrawal_requests, their ledger rows in transactions and the wallets'
+// reserved_earnings. It only compares what it is given: reconcilePayouts()
+// in server.js fetches the Stripe objects and DB rows, and the same report
+// backs GET /admin/reconciliation/payouts and the scheduled job.
+//
+// Every finding is one flat issue, which is also the CSV row:
+//   orphaned_transfer  a transfer no withdrawal request points at (legacy
+//                      withdrawals, which carry no request id, or a lost row)
+//   missing_transfer   a completed request whose transfer Stripe doesn't have
+//   stuck_processing   funds reserved but the payout never recorded; has a
+//                      transferId when Stripe did make the transfer
+//   status_mismatch    the request and the transfer disagree (failed but paid
+//                      out, completed but reversed)
+//   amount_mismatch    the transfer or the ledger rows don't add up to the
+//                      request amount, or the ledger row is missing
+//   wallet_mismatch    reserved_earnings isn't the sum of the user's
+//                      processing and held requests
+//   failed_payout      the connected account couldn't pay the user's bank;
+//                      the money is still on the connected account
+//
+// Requests that never went through reserve_withdrawal (reserved_at is null)
+// were managed by the frontend's legacy flow, so they have no transfer id or
+// ledger row to check; their transfers show up as orphaned instead.
+
+const { toMinorUnits, fromMinorUnits } = require('./currency');
+
+const ISSUE_TYPES = [
+  'orphaned_transfer',
+  'missing_transfer',
+  'stuck_processing',
+  'status_mismatch',
+  'amount_mismatch',
+  'wallet_mismatch',
+  'failed_payout',
+];
+
+const CSV_COLUMNS = [
+  ['type', 'type'],
+  ['withdrawal_request_id', 'withdrawalRequestId'],
+  ['transfer_id', 'transferId'],
+  ['payout_id', 'payoutId'],
+  ['user_id', 'userId'],
+  ['account_id', 'accountId'],
+  ['status', 'status'],
+  ['stripe_amount', 'stripeAmount'],
+  ['db_amount', 'dbAmount'],
+  ['currency', 'currency'],
+  ['created_at', 'createdAt'],
+  ['detail', 'detail'],
+];
+
+// DB amounts are numeric major units in the request's or wallet's currency
+// (strings through PostgREST); Stripe's are integers in the smallest unit.
+// Everything is compared in the smallest unit.
+const minor = (amount, currency) => toMinorUnits(amount || 0, currency || 'usd');
+const major = (amount, currency) => fromMinorUnits(amount, currency || 'usd');
+const isoFromUnix = (seconds) => new Date(seconds * 1000).toISOString();
+
+function issue(type, fields) {
+  return {
+    type,
+    withdrawalRequestId: null,
+    transferId: null,
+    payoutId: null,
+    userId: null,
+    accountId: null,
+    status: null,
+    stripeAmount: null,
+    dbAmount: null,
+    currency: null,
+    createdAt: null,
+    detail: '',
+    ...fields,
+  };
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    const k = row[key];
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(row);
+  }
+  return groups;
+}
+
+/**
+ * @param {Object} input
+ * @param {Date} input.from
+ * @param {Date} input.to
+ * @param {Date} [input.now]
+ * @param {number} input.stuckAfterMs       age at which a 'processing' request counts as stuck
+ * @param {Object[]} input.transfers        Stripe transfers created in the range
+ * @param {Object[]} [input.linkedTransfers]    transfers of requests in the range, created outside it
+ * @param {string[]} [input.missingTransferIds] transfer ids recorded on requests that Stripe doesn't know
+ * @param {Object[]} input.requests         withdrawal_requests: created in the range, linked to a
+ *                                          transfer, and every processing/held request of the users
+ * @param {Object[]} input.transactions     withdrawal and withdrawal_reversal rows of those requests
+ * @param {Object[]} input.wallets          wallets of the users involved
+ * @param {Object[]} [input.connectAccounts]    connect_accounts rows, to name the user of an account
+ * @param {{ accountId: string, payout: Object }[]} [input.failedPayouts]
+ */
+function buildPayoutReconciliation({
+  from,
+  to,
+  now = new Date(),
+  stuckAfterMs,
+  transfers,
+  linkedTransfers = [],
+  missingTransferIds = [],
+  requests,
+  transactions,
+  wallets,
+  connectAccounts = [],
+  failedPayouts = [],
+}) {
+  const issues = [];
+  const requestsById = new Map(requests.map((r) => [r.id, r]));
+  const requestsByTransfer = new Map(requests.filter((r) => r.stripe_transfer_id).map((r) => [r.stripe_transfer_id, r]));
+  const allTransfers = [...transfers, ...linkedTransfers];
+  const transfersById = new Map(allTransfers.map((t) => [t.id, t]));
+  // Transfers made by the backend carry the request id, even when the
+  // request never got to record the transfer id.
+  const transfersByRequest = new Map(allTransfers
+    .filter((t) => t.metadata?.withdrawalRequestId)
+    .map((t) => [t.metadata.withdrawalRequestId, t]));
+  const missing = new Set(missingTransferIds);
+  const ledgerByRequest = groupBy(transactions, 'withdrawal_request_id');
+  const userByAccount = new Map(connectAccounts.map((a) => [a.stripe_account_id, a.user_id]));
+
+  const transferFields = (transfer) => ({
+    transferId: transfer.id,
+    accountId: transfer.destination,
+    stripeAmount: major(transfer.amount, transfer.currency),
+    currency: transfer.currency,
+  });
+  const requestFields = (request) => ({
+    withdrawalRequestId: request.id,
+    userId: request.user_id,
+    status: request.status,
+    dbAmount: Number(request.amount),
+    createdAt: request.created_at,
+  });
+  const isReversed = (transfer) => transfer.reversed || (transfer.amount_reversed || 0) >= transfer.amount;
+
+  for (const transfer of transfers) {
+    const requestId = transfer.metadata?.withdrawalRequestId;
+    if (requestsByTransfer.has(transfer.id) || requestsById.has(requestId)) continue;
+    let detail = 'no withdrawal request references this transfer';
+    if (requestId) detail = `withdrawal request ${requestId} not found`;
+    else if (transfer.metadata?.type === 'withdrawal') detail = 'legacy withdrawal without a request id';
+    issues.push(issue('orphaned_transfer', {
+      ...transferFields(transfer),
+      userId: transfer.metadata?.userId || userByAccount.get(transfer.destination) || null,
+      createdAt: isoFromUnix(transfer.created),
+      detail,
+    }));
+  }
+
+  for (const request of requests) {
+    if (!request.reserved_at) continue;
+    const transfer = transfersById.get(request.stripe_transfer_id) || transfersByRequest.get(request.id);
+    const currency = request.currency || 'usd';
+    const ledger = ledgerByRequest.get(request.id) || [];
+    const ledgerTotal = ledger.reduce((sum, t) => sum + minor(t.amount, currency), 0);
+    const amountMinor = minor(request.amount, currency);
+    const fields = { ...requestFields(request), ...(transfer && transferFields(transfer)) };
+
+    if (transfer && transfer.currency !== currency) {
+      issues.push(issue('amount_mismatch', { ...fields, detail: `transfer is in ${transfer.currency}, the request in ${currency}` }));
+    } else if (transfer && transfer.amount !== amountMinor) {
+      issues.push(issue('amount_mismatch', { ...fields, detail: 'transfer amount differs from the request' }));
+    }
+
+    switch (request.status) {
+      case 'completed':
+        if (!request.stripe_transfer_id) {
+          issues.push(issue('missing_transfer', { ...fields, detail: 'completed without a transfer id' }));
+        } else if (missing.has(request.stripe_transfer_id)) {
+          issues.push(issue('missing_transfer', {
+            ...fields,
+            transferId: request.stripe_transfer_id,
+            detail: 'transfer not found on Stripe',
+          }));
+        } else if (transfer && isReversed(transfer)) {
+          issues.push(issue('status_mismatch', { ...fields, detail: 'completed, but the transfer was reversed' }));
+        }
+        if (!ledger.some((t) => t.transaction_type === 'withdrawal')) {
+          issues.push(issue('amount_mismatch', { ...fields, detail: 'no withdrawal ledger row' }));
+        } else if (ledgerTotal !== -amountMinor) {
+          issues.push(issue('amount_mismatch', {
+            ...fields,
+            detail: `ledger rows total ${major(ledgerTotal, currency)}`,
+          }));
+        }
+        break;
+      case 'failed':
+        if (transfer && !isReversed(transfer)) {
+          issues.push(issue('status_mismatch', {
+            ...fields,
+            detail: 'failed and funds returned to earnings, but the transfer was paid out',
+          }));
+        }
+        // A completed withdrawal that was reversed has both rows; they net out.
+        if (ledgerTotal !== 0) {
+          issues.push(issue('amount_mismatch', {
+            ...fields,
+            detail: `failed, but ledger rows total ${major(ledgerTotal, currency)}`,
+          }));
+        }
+        break;
+      case 'processing': {
+        const since = Date.parse(request.reserved_at);
+        if (now.getTime() - since < stuckAfterMs) break;
+        issues.push(issue('stuck_processing', {
+          ...fields,
+          detail: transfer
+            ? 'transfer made but not recorded; retry the withdrawal to complete it'
+            : `processing since ${request.reserved_at} with no transfer in the range`,
+        }));
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  const reservedByUser = new Map();
+  for (const request of requests) {
+    if (request.status !== 'processing' && request.status !== 'held') continue;
+    // A wallet's currency can't change while it has reserved funds, so these
+    // are all in the wallet's currency.
+    reservedByUser.set(request.user_id, (reservedByUser.get(request.user_id) || 0) + minor(request.amount, request.currency));
+  }
+  for (const wallet of wallets) {
+    const expected = reservedByUser.get(wallet.user_id) || 0;
+    if (minor(wallet.reserved_earnings, wallet.currency) === expected) continue;
+    issues.push(issue('wallet_mismatch', {
+      userId: wallet.user_id,
+      dbAmount: Number(wallet.reserved_earnings || 0),
+      currency: wallet.currency || 'usd',
+      detail: `reserved_earnings should be ${major(expected, wallet.currency)} (processing and held requests)`,
+    }));
+  }
+
+  for (const { accountId, payout } of failedPayouts) {
+    issues.push(issue('failed_payout', {
+      payoutId: payout.id,
+      accountId,
+      userId: userByAccount.get(accountId) || null,
+      status: payout.status,
+      stripeAmount: major(payout.amount, payout.currency),
+      currency: payout.currency,
+      createdAt: isoFromUnix(payout.created),
+      detail: payout.failure_message || payout.failure_code || 'payout failed',
+    }));
+  }
+
+  const byType = Object.fromEntries(ISSUE_TYPES.map((type) => [type, 0]));
+  for (const i of issues) byType[i.type]++;
+  const transferred = {};
+  for (const t of transfers) transferred[t.currency] = (transferred[t.currency] || 0) + t.amount;
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    generatedAt: now.toISOString(),
+    summary: {
+      transfers: transfers.length,
+      transferred: Object.fromEntries(Object.entries(transferred).map(([cur, amount]) => [cur, major(amount, cur)])),
+      requests: requests.length,
+      issues: issues.length,
+      byType,
+    },
+    issues,
+  };
+}
+
+// Spreadsheet apps run cells that start with these as formulas; Stripe
+// failure messages and request notes end up in `detail`.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function reconciliationToCsv(report) {
+  const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+  for (const row of report.issues) {
+    lines.push(CSV_COLUMNS.map(([, key]) => csvCell(row[key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { buildPayoutReconciliation, reconciliationToCsv, ISSUE_TYPES };
@@ -0,0 +1,1235 @@
+// Offline sandbox: in-process stand-ins for the Stripe, Twilio and Supabase
+// clients, used when SANDBOX_MODE=true (never in production; see config.js).
+//
+// The fakes implement only what server.js calls, with just enough behaviour
+// for the top-up, subscription, withdrawal and recording flows to run end to
+// end on a laptop:
+//   - Supabase: in-memory tables behind a PostgREST-style query builder, the
+//     SECURITY DEFINER RPCs the server uses (ported from supabase/migrations),
+//     auth.getUser and a recordings bucket. RLS is NOT enforced.
+//   - Stripe: payment intents, customers, Connect accounts, checkout,
+//     subscriptions, transfers, payouts, refunds and events, kept in memory.
+//     webhooks.constructEvent accepts any JSON body without a signature.
+//   - Twilio: Video rooms and recording rules.
+//
+// Sign in to the sandbox with "Authorization: Bearer sandbox:<user uuid>"
+// (or just the uuid); "sandbox-admin:<user uuid>" signs in with the admin
+// role. Webhooks are simulated through POST /dev/simulate, and state can be
+// seeded/inspected under /dev/sandbox (see server.js).
+
+const crypto = require('crypto');
+const { decimals, fromMinorUnits } = require('./currency');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const nowIso = () => new Date().toISOString();
+const nowUnix = () => Math.floor(Date.now() / 1000);
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// ============================================================
+// Supabase
+// ============================================================
+
+class SandboxRpcError extends Error {}
+const raise = (message) => {
+  throw new SandboxRpcError(message);
+};
+
+// Compare the way Postgres would for the types we store: numbers as numbers,
+// timestamps as instants, everything else as text.
+function compareValues(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  const da = Date.parse(a);
+  const db = Date.parse(b);
+  if (!Number.isNaN(da) && !Number.isNaN(db) && /^\d{4}-\d\d-\d\d/.test(String(a))) return da - db;
+  return String(a).localeCompare(String(b));
+}
+
+function parseFilterValue(raw) {
+  if (raw === 'null') return null;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  return raw.replace(/^"(.*)"$/, '$1');
+}
+
+const FILTER_OPS = {
+  eq: (v, x) => v !== null && v !== undefined && String(v) === String(x),
+  neq: (v, x) => v !== null && v !== undefined && String(v) !== String(x),
+  lt: (v, x) => v !== null && v !== undefined && compareValues(v, x) < 0,
+  lte: (v, x) => v !== null && v !== undefined && compareValues(v, x) <= 0,
+  gt: (v, x) => v !== null && v !== undefined && compareValues(v, x) > 0,
+  gte: (v, x) => v !== null && v !== undefined && compareValues(v, x) >= 0,
+  in: (v, x) => x.map(String).includes(String(v)),
+  is: (v, x) => (x === null ? v === null || v === undefined : v === x),
+};
+
+// Split "a,b(c,d),e" on top-level commas.
+function splitTopLevel(str) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const ch of str) {
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === '(') depth++;
+    if (!quoted && ch === ')') depth--;
+    if (!quoted && ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// PostgREST logic trees as used by .or(): "col.op.value,and(col.op.value,...)".
+function parseLogicTree(expr, combine) {
+  const predicates = splitTopLevel(expr).map((part) => {
+    const group = part.match(/^(and|or)\((.*)\)$/);
+    if (group) return parseLogicTree(group[2], group[1]);
+    const [column, op, ...rest] = part.split('.');
+    const value = parseFilterValue(rest.join('.'));
+    if (!FILTER_OPS[op]) throw new Error(`sandbox: unsupported filter operator ${op}`);
+    return (row) => FILTER_OPS[op](row[column], value);
+  });
+  return combine === 'and'
+    ? (row) => predicates.every((p) => p(row))
+    : (row) => predicates.some((p) => p(row));
+}
+
+class SandboxQuery {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.op = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.rowLimit = null;
+    this.rowOffset = 0;
+    this.mode = 'many';
+    this.payload = null;
+    this.options = {};
+  }
+
+  select(columns = '*', options = {}) {
+    this.columns = columns;
+    if (this.op === 'select') this.options = options;
+    else this.returning = true;
+    return this;
+  }
+
+  insert(rows) {
+    this.op = 'insert';
+    this.payload = rows;
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.op = 'upsert';
+    this.payload = rows;
+    this.options = options;
+    return this;
+  }
+
+  update(values) {
+    this.op = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.op = 'delete';
+    return this;
+  }
+
+  filter(column, op, value) {
+    if (!FILTER_OPS[op]) throw new Error(`sandbox: unsupported filter operator ${op}`);
+    this.filters.push((row) => FILTER_OPS[op](row[column], value));
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  match(values) {
+    for (const [column, value] of Object.entries(values)) this.eq(column, value);
+    return this;
+  }
+
+  not(column, op, value) {
+    const test = FILTER_OPS[op];
+    this.filters.push((row) => !test(row[column], value));
+    return this;
+  }
+
+  or(expr) {
+    this.filters.push(parseLogicTree(expr, 'or'));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(n) {
+    this.rowLimit = n;
+    return this;
+  }
+
+  range(from, to) {
+    this.rowOffset = from;
+    this.rowLimit = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.execute();
+    } catch (err) {
+      result = { data: null, error: { message: err.message }, count: null };
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  matching() {
+    return this.store.rows(this.table).filter((row) => this.filters.every((f) => f(row)));
+  }
+
+  execute() {
+    let rows;
+    switch (this.op) {
+      case 'insert':
+        rows = [].concat(this.payload).map((row) => this.store.insert(this.table, row));
+        break;
+      case 'upsert': {
+        const keys = (this.options.onConflict || 'id').split(',').map((k) => k.trim());
+        rows = [].concat(this.payload).map((row) => {
+          const existing = this.store.rows(this.table)
+            .find((r) => keys.every((k) => row[k] !== undefined && String(r[k]) === String(row[k])));
+          if (existing && !this.options.ignoreDuplicates) return Object.assign(existing, clone(row));
+          return existing || this.store.insert(this.table, row);
+        });
+        break;
+      }
+      case 'update':
+        rows = this.matching();
+        for (const row of rows) Object.assign(row, clone(this.payload));
+        break;
+      case 'delete':
+        rows = this.matching();
+        this.store.tables.set(this.table, this.store.rows(this.table).filter((r) => !rows.includes(r)));
+        break;
+      default:
+        rows = this.matching();
+    }
+
+    if (this.op !== 'select' && !this.returning) return { data: null, error: null, count: null };
+
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      rows = [...rows].sort((a, b) => {
+        if (a[column] === b[column]) return 0;
+        if (a[column] === null || a[column] === undefined) return 1;
+        if (b[column] === null || b[column] === undefined) return -1;
+        return ascending ? compareValues(a[column], b[column]) : compareValues(b[column], a[column]);
+      });
+    }
+    const count = this.options.count ? rows.length : null;
+    if (this.rowLimit !== null) rows = rows.slice(this.rowOffset, this.rowOffset + this.rowLimit);
+    const data = this.options.head ? null : rows.map((row) => this.store.project(this.table, row, this.columns));
+
+    if (this.mode === 'many') return { data, error: null, count };
+    if (data.length > 1 || (this.mode === 'single' && data.length === 0)) {
+      return { data: null, error: { message: `JSON object requested, ${data.length} rows returned`, code: 'PGRST116' }, count };
+    }
+    return { data: data[0] || null, error: null, count };
+  }
+}
+
+class SandboxStore {
+  constructor() {
+    this.tables = new Map();
+    this.objects = new Map(); // storage: "bucket/path" -> { size, contentType }
+  }
+
+  rows(table) {
+    if (!this.tables.has(table)) this.tables.set(table, []);
+    return this.tables.get(table);
+  }
+
+  insert(table, row) {
+    const stored = { id: crypto.randomUUID(), created_at: nowIso(), ...clone(row) };
+    // Like the transactions_default_currency trigger.
+    if (table === 'transactions' && !stored.currency) {
+      const userId = stored.from_user_id || stored.to_user_id;
+      stored.currency = this.find('wallets', (w) => w.user_id === userId)?.currency || 'usd';
+    }
+    this.rows(table).push(stored);
+    return stored;
+  }
+
+  find(table, predicate) {
+    return this.rows(table).find(predicate) || null;
+  }
+
+  // "a, b, calls(c, d)": embedded resources are resolved through the
+  // "<singular>_id" foreign key.
+  project(table, row, columns) {
+    const parts = splitTopLevel(columns || '*');
+    const out = parts.includes('*') ? clone(row) : {};
+    for (const part of parts) {
+      const embed = part.match(/^(\w+)(?:!\w+)?\((.*)\)$/);
+      if (!embed) {
+        if (part !== '*') out[part] = clone(row[part]) ?? null;
+        continue;
+      }
+      const [, related, relatedColumns] = embed;
+      const fk = `${related.replace(/s$/, '')}_id`;
+      const target = this.find(related, (r) => r.id === row[fk]);
+      out[related] = target ? this.project(related, target, relatedColumns) : null;
+    }
+    return out;
+  }
+
+  wallet(userId) {
+    return this.find('wallets', (w) => w.user_id === userId)
+      || this.insert('wallets', { user_id: userId, currency: 'usd', credits: 0, earnings: 0, reserved_earnings: 0 });
+  }
+}
+
+// Functions granted to service_role only: user clients get the same
+// permission error as from PostgREST.
+const SERVICE_ROLE_RPCS = new Set([
+  'claim_stripe_webhook_event',
+  'finish_stripe_webhook_event',
+  'upsert_recording_subscription',
+  'credit_wallet_topup',
+  'reverse_topup_credits',
+  'reserve_withdrawal',
+  'complete_withdrawal',
+  'release_withdrawal',
+  'hold_withdrawal_for_review',
+  'sync_connect_account',
+]);
+
+// Ports of the SECURITY DEFINER functions in supabase/migrations that
+// server.js calls. uid is auth.uid() of the calling client (null for the
+// anon/global client) and user its auth user.
+const RPCS = {
+  claim_stripe_webhook_event(store, args) {
+    const key = (r) => r.event_id === args.p_event_id && r.handler === args.p_handler;
+    const existing = store.find('stripe_webhook_events', key);
+    if (!existing) {
+      store.insert('stripe_webhook_events', {
+        event_id: args.p_event_id,
+        handler: args.p_handler,
+        event_type: args.p_event_type,
+        payload: args.p_payload,
+        status: 'processing',
+        attempts: 1,
+      });
+      return 'claimed';
+    }
+    if (existing.status === 'processed' && !args.p_force) return 'duplicate';
+    if (existing.status === 'processing' && !args.p_force) return 'in_progress';
+    Object.assign(existing, { status: 'processing', attempts: existing.attempts + 1 });
+    return 'claimed';
+  },
+
+  finish_stripe_webhook_event(store, args) {
+    const row = store.find('stripe_webhook_events', (r) => r.event_id === args.p_event_id && r.handler === args.p_handler);
+    if (row) Object.assign(row, { status: args.p_error ? 'failed' : 'processed', last_error: args.p_error, processed_at: nowIso() });
+    return null;
+  },
+
+  claim_idempotency_key(store, args, uid) {
+    if (!uid) raise('not_authenticated');
+    const existing = store.find('idempotency_keys',
+      (k) => k.user_id === uid && k.route === args.p_route && k.key === args.p_key);
+    const result = (status, row, response = {}) => [{
+      status,
+      response_status: response.response_status ?? null,
+      response_body: response.response_body ?? null,
+      created_at: row.created_at,
+    }];
+    if (!existing) {
+      const row = store.insert('idempotency_keys', {
+        user_id: uid, route: args.p_route, key: args.p_key, request_hash: args.p_request_hash, status: 'processing',
+      });
+      return result('claimed', row);
+    }
+    if (existing.request_hash !== args.p_request_hash) return result('mismatch', existing);
+    if (existing.status === 'completed') return result('replay', existing, existing);
+    if (existing.status === 'processing') return result('in_progress', existing);
+    existing.status = 'processing';
+    return result('claimed', existing);
+  },
+
+  finish_idempotency_key(store, args, uid) {
+    const row = store.find('idempotency_keys', (k) => k.user_id === uid && k.route === args.p_route
+      && k.key === args.p_key && k.status === 'processing');
+    if (!row) return null;
+    const ok = args.p_response_status < 500 && ![408, 425, 429].includes(args.p_response_status);
+    Object.assign(row, {
+      status: ok ? 'completed' : 'failed',
+      response_status: args.p_response_status,
+      response_body: ok ? args.p_response_body : null,
+      completed_at: ok ? nowIso() : null,
+    });
+    return null;
+  },
+
+  credit_wallet_topup(store, args) {
+    if (!(args.p_amount > 0)) raise(`credit_wallet_topup: amount must be positive (got ${args.p_amount})`);
+    const currency = (args.p_currency || 'usd').toLowerCase();
+    const dup = store.find('transactions', (t) => t.transaction_type === 'credit_topup'
+      && t.stripe_payment_intent_id === args.p_payment_intent_id);
+    if (dup) return false;
+    const wallet = store.wallet(args.p_user_id);
+    if ((wallet.currency || 'usd') !== currency) {
+      if (wallet.credits || wallet.earnings || wallet.reserved_earnings) raise('wallet_currency_mismatch');
+      wallet.currency = currency;
+    }
+    store.insert('transactions', {
+      from_user_id: null,
+      to_user_id: args.p_user_id,
+      amount: args.p_amount,
+      currency,
+      transaction_type: 'credit_topup',
+      description: `Credit top-up: ${args.p_amount} ${currency.toUpperCase()} (${args.p_payment_intent_id})`,
+      stripe_payment_intent_id: args.p_payment_intent_id,
+    });
+    wallet.credits += args.p_amount;
+    return true;
+  },
+
+  reverse_topup_credits(store, args) {
+    const topup = store.find('transactions', (t) => t.transaction_type === 'credit_topup'
+      && t.stripe_payment_intent_id === args.p_payment_intent_id);
+    if (!topup) return [];
+    let amount = args.p_amount;
+    if (args.p_kind === 'topup_refund_reversal') {
+      const refunded = store.find('transactions', (t) => t.transaction_type === 'topup_refund'
+        && t.stripe_payment_intent_id === args.p_payment_intent_id
+        && t.stripe_reference_id === args.p_reference_id.split(':')[0]);
+      if (!refunded) return [];
+      amount = refunded.amount;
+    }
+    const wallet = store.wallet(topup.to_user_id);
+    const dup = store.find('transactions', (t) => t.stripe_reference_id === args.p_reference_id);
+    if (dup) return [{ user_id: topup.to_user_id, applied: false, credits: wallet.credits, flagged: !!wallet.flagged_at }];
+    store.insert('transactions', {
+      from_user_id: topup.to_user_id,
+      to_user_id: null,
+      amount: -amount,
+      transaction_type: args.p_kind,
+      description: `${args.p_reason || args.p_kind} (${args.p_reference_id})`,
+      stripe_payment_intent_id: args.p_payment_intent_id,
+      stripe_reference_id: args.p_reference_id,
+    });
+    wallet.credits -= amount;
+    if (wallet.credits < 0 && !wallet.flagged_at) {
+      wallet.flagged_at = nowIso();
+      wallet.flag_reason = `negative balance after ${args.p_kind} ${args.p_reference_id}`;
+    }
+    return [{ user_id: topup.to_user_id, applied: true, credits: wallet.credits, flagged: !!wallet.flagged_at }];
+  },
+
+  upsert_recording_subscription(store, args) {
+    const row = {
+      user_id: args.p_user_id,
+      product: args.p_product || 'call_recording',
+      plan_key: args.p_plan_key ?? null,
+      stripe_customer_id: args.p_stripe_customer_id,
+      stripe_subscription_id: args.p_stripe_subscription_id,
+      status: args.p_status,
+      current_period_end: args.p_current_period_end,
+      cancel_at_period_end: !!args.p_cancel_at_period_end,
+    };
+    const existing = store.find('subscriptions', (s) => s.stripe_subscription_id === row.stripe_subscription_id);
+    if (existing) Object.assign(existing, row, { plan_key: row.plan_key ?? existing.plan_key });
+    else store.insert('subscriptions', row);
+    return null;
+  },
+
+  reserve_withdrawal(store, args) {
+    const req = store.find('withdrawal_requests', (r) => r.id === args.p_withdrawal_request_id);
+    if (!req || (args.p_user_id && req.user_id !== args.p_user_id)) raise('withdrawal_not_found');
+    if (Number(req.amount) !== Number(args.p_amount)) raise('amount_mismatch');
+    if (req.status === 'pending') {
+      const wallet = store.wallet(req.user_id);
+      if (wallet.earnings < req.amount) raise('insufficient_earnings');
+      wallet.earnings -= req.amount;
+      wallet.reserved_earnings = (wallet.reserved_earnings || 0) + req.amount;
+      Object.assign(req, { status: 'processing', currency: wallet.currency || 'usd', reserved_at: nowIso(), failure_reason: null });
+    } else if (!['processing', 'completed'].includes(req.status)) {
+      raise('withdrawal_not_pending');
+    }
+    return [{ user_id: req.user_id, amount: req.amount, status: req.status, stripe_transfer_id: req.stripe_transfer_id || null }];
+  },
+
+  complete_withdrawal(store, args) {
+    const req = store.find('withdrawal_requests', (r) => r.id === args.p_withdrawal_request_id);
+    if (!req) raise('withdrawal_not_found');
+    if (req.status === 'completed' && req.stripe_transfer_id === args.p_stripe_transfer_id) return false;
+    if (req.status !== 'processing') raise('withdrawal_not_processing');
+    store.wallet(req.user_id).reserved_earnings -= req.amount;
+    const payout = {
+      payout_currency: args.p_payout_currency ? args.p_payout_currency.toLowerCase() : null,
+      payout_amount: args.p_payout_amount ?? null,
+      fx_rate: args.p_fx_rate ?? null,
+    };
+    Object.assign(req, { status: 'completed', stripe_transfer_id: args.p_stripe_transfer_id, ...payout, processed_at: nowIso() });
+    const currency = req.currency || 'usd';
+    store.insert('transactions', {
+      from_user_id: req.user_id,
+      to_user_id: null,
+      amount: -req.amount,
+      currency,
+      transaction_type: 'withdrawal',
+      description: `Withdrawal to Stripe Connect account: ${req.amount} ${currency.toUpperCase()}${payout.fx_rate !== null
+        ? ` (paid out as ${payout.payout_amount} ${payout.payout_currency.toUpperCase()} at ${payout.fx_rate})` : ''}`,
+      withdrawal_request_id: req.id,
+      settled_currency: payout.payout_currency,
+      settled_amount: payout.payout_amount,
+      fx_rate: payout.fx_rate,
+    });
+    return true;
+  },
+
+  release_withdrawal(store, args) {
+    const req = store.find('withdrawal_requests', (r) => (args.p_withdrawal_request_id
+      ? r.id === args.p_withdrawal_request_id
+      : r.stripe_transfer_id === args.p_stripe_transfer_id));
+    if (!req) return null;
+    if (req.status === 'failed') return false;
+    const wallet = store.wallet(req.user_id);
+    if (req.status === 'processing') {
+      wallet.earnings += req.amount;
+      wallet.reserved_earnings -= req.amount;
+    } else if (req.status === 'completed') {
+      wallet.earnings += req.amount;
+      const currency = req.currency || 'usd';
+      store.insert('transactions', {
+        from_user_id: null,
+        to_user_id: req.user_id,
+        amount: req.amount,
+        currency,
+        transaction_type: 'withdrawal_reversal',
+        description: `Withdrawal reversed: ${req.amount} ${currency.toUpperCase()} (${args.p_reason || 'transfer failed'})`,
+        withdrawal_request_id: req.id,
+      });
+    }
+    Object.assign(req, { status: 'failed', failure_reason: args.p_reason || 'Transfer failed', processed_at: nowIso() });
+    return true;
+  },
+
+  hold_withdrawal_for_review(store, args) {
+    const req = store.find('withdrawal_requests', (r) => r.id === args.p_withdrawal_request_id);
+    if (!req) raise('withdrawal_not_found');
+    if (req.status !== 'processing' || req.reviewed_at) return null;
+    let reason = null;
+    if (store.wallet(req.user_id).flagged_at) reason = 'wallet flagged';
+    else if (args.p_review_threshold !== null && Number(req.amount) >= args.p_review_threshold) {
+      reason = `amount at or above review threshold (${args.p_review_threshold} ${(req.currency || 'usd').toUpperCase()})`;
+    }
+    if (reason) Object.assign(req, { status: 'held', stripe_account_id: args.p_stripe_account_id, review_reason: reason });
+    return reason;
+  },
+
+  review_withdrawal(store, args, uid, user) {
+    if (user?.app_metadata?.role !== 'admin') raise('not_admin');
+    const req = store.find('withdrawal_requests', (r) => r.id === args.p_withdrawal_request_id);
+    if (!req) raise('withdrawal_not_found');
+    if (req.status !== 'held') raise('withdrawal_not_held');
+    const review = { reviewed_by: uid, reviewed_at: nowIso(), review_note: args.p_note };
+    if (args.p_approve) {
+      Object.assign(req, { status: 'processing', ...review });
+    } else {
+      const wallet = store.wallet(req.user_id);
+      wallet.earnings += req.amount;
+      wallet.reserved_earnings -= req.amount;
+      Object.assign(req, {
+        status: 'failed',
+        failure_reason: `Rejected in review${args.p_note ? `: ${args.p_note}` : ''}`,
+        processed_at: nowIso(),
+        ...review,
+      });
+    }
+    return [{ user_id: req.user_id, amount: req.amount, status: req.status, stripe_account_id: req.stripe_account_id }];
+  },
+
+  bind_connect_account(store, args, uid) {
+    if (!uid) raise('not_authenticated');
+    const other = store.find('connect_accounts', (a) => a.stripe_account_id === args.p_stripe_account_id && a.user_id !== uid);
+    if (other) raise('account_already_bound');
+    const mine = store.find('connect_accounts', (a) => a.user_id === uid)
+      || store.insert('connect_accounts', {
+        user_id: uid,
+        stripe_account_id: args.p_stripe_account_id,
+        details_submitted: false,
+        charges_enabled: false,
+        payouts_enabled: false,
+        currently_due: [],
+        past_due: [],
+        disabled_reason: null,
+        synced_at: null,
+      });
+    return mine.stripe_account_id;
+  },
+
+  sync_connect_account(store, args) {
+    const row = store.find('connect_accounts', (a) => a.stripe_account_id === args.p_stripe_account_id);
+    if (!row) return false;
+    Object.assign(row, {
+      details_submitted: !!args.p_details_submitted,
+      charges_enabled: !!args.p_charges_enabled,
+      payouts_enabled: !!args.p_payouts_enabled,
+      currently_due: args.p_currently_due || [],
+      past_due: args.p_past_due || [],
+      disabled_reason: args.p_disabled_reason,
+      synced_at: nowIso(),
+      updated_at: nowIso(),
+    });
+    return true;
+  },
+
+  request_recording_consent(store, args, uid) {
+    const call = store.find('calls', (c) => c.id === args.p_call_id);
+    if (!call || !uid || (uid !== call.caller_id && uid !== call.receiver_id)) raise('not_a_participant');
+    const other = uid === call.caller_id ? call.receiver_id : call.caller_id;
+    let row = store.find('call_recording_consents', (c) => c.call_id === call.id && c.participant_id === other);
+    if (!row) {
+      row = store.insert('call_recording_consents', {
+        call_id: call.id, participant_id: other, requested_by: uid, status: 'pending', requested_at: nowIso(),
+      });
+    } else if (row.status !== 'accepted') {
+      Object.assign(row, { requested_by: uid, status: 'pending', requested_at: nowIso(), responded_at: null });
+    }
+    return row.status;
+  },
+
+  respond_recording_consent(store, args, uid) {
+    const row = store.find('call_recording_consents', (c) => c.call_id === args.p_call_id && c.participant_id === uid);
+    if (!row) raise('no_consent_request');
+    Object.assign(row, { status: args.p_accept ? 'accepted' : 'declined', responded_at: nowIso() });
+    return row.status;
+  },
+
+  set_call_recording_paused(store, args, uid) {
+    const call = store.find('calls', (c) => c.id === args.p_call_id);
+    if (!call || !uid || (uid !== call.caller_id && uid !== call.receiver_id)) raise('not_a_participant');
+    const pauses = call.recording_pauses || [];
+    if (!!call.recording_paused === args.p_paused) return pauses;
+    if (args.p_paused) pauses.push({ paused_at: nowIso(), paused_by: uid, resumed_at: null });
+    else if (pauses.length) pauses[pauses.length - 1].resumed_at = nowIso();
+    Object.assign(call, { recording_paused: args.p_paused, recording_pauses: pauses });
+    return pauses;
+  },
+
+  mark_recording_deleted(store, args, uid) {
+    const rec = store.find('call_recordings', (r) => r.id === args.p_recording_id
+      && r.subscriber_user_id === uid && r.status !== 'deleted');
+    if (!rec) return false;
+    Object.assign(rec, {
+      status: 'deleted', storage_path: '', deleted_at: nowIso(), deleted_reason: args.p_reason || 'deleted by subscriber',
+    });
+    return true;
+  },
+
+  create_recording_share(store, args, uid) {
+    const rec = store.find('call_recordings', (r) => r.id === args.p_recording_id);
+    if (!rec || rec.subscriber_user_id !== uid) raise('recording_not_found');
+    if (rec.status === 'deleted') raise('recording_deleted');
+    if (args.p_grantee_user_id) {
+      const call = store.find('calls', (c) => c.id === rec.call_id) || {};
+      if (args.p_grantee_user_id === uid || ![call.caller_id, call.receiver_id].includes(args.p_grantee_user_id)) {
+        raise('grantee_not_participant');
+      }
+      const existing = store.find('call_recording_shares', (s) => s.recording_id === rec.id
+        && s.grantee_user_id === args.p_grantee_user_id && !s.revoked_at);
+      if (existing) {
+        existing.expires_at = args.p_expires_at;
+        return existing.id;
+      }
+    }
+    return store.insert('call_recording_shares', {
+      recording_id: rec.id,
+      granted_by: uid,
+      grantee_user_id: args.p_grantee_user_id || null,
+      token_hash: args.p_token_hash || null,
+      parent_share_id: null,
+      expires_at: args.p_expires_at,
+      revoked_at: null,
+    }).id;
+  },
+
+  revoke_recording_share(store, args, uid) {
+    const rows = store.rows('call_recording_shares').filter((s) => (s.id === args.p_share_id
+      || s.parent_share_id === args.p_share_id) && s.granted_by === uid && !s.revoked_at);
+    for (const row of rows) row.revoked_at = nowIso();
+    return rows.length > 0;
+  },
+
+  redeem_recording_share_link(store, args, uid) {
+    if (!uid) raise('not_authenticated');
+    const link = store.find('call_recording_shares', (s) => s.token_hash === args.p_token_hash && !s.revoked_at
+      && (!s.expires_at || Date.parse(s.expires_at) > Date.now()));
+    if (!link) raise('share_link_invalid');
+    if (link.granted_by !== uid) {
+      const grant = store.find('call_recording_shares', (s) => s.recording_id === link.recording_id
+        && s.grantee_user_id === uid && !s.revoked_at);
+      if (!grant) {
+        store.insert('call_recording_shares', {
+          recording_id: link.recording_id,
+          granted_by: link.granted_by,
+          grantee_user_id: uid,
+          token_hash: null,
+          parent_share_id: link.id,
+          expires_at: link.expires_at,
+          revoked_at: null,
+        });
+      } else if (grant.expires_at && (!link.expires_at || link.expires_at > grant.expires_at)) {
+        grant.expires_at = link.expires_at;
+      }
+    }
+    return link.recording_id;
+  },
+};
+
+function userFromToken(token) {
+  const [, admin, id] = String(token || '').match(/^(?:sandbox(-admin)?:)?(.*)$/);
+  if (!UUID_RE.test(id)) return null;
+  return {
+    id: id.toLowerCase(),
+    email: `${id.slice(0, 8)}@sandbox.local`,
+    role: 'authenticated',
+    app_metadata: admin ? { role: 'admin' } : {},
+  };
+}
+
+function createSupabaseFake(store, user, publicUrl) {
+  const uid = user?.id || null;
+  return {
+    from: (table) => new SandboxQuery(store, table),
+
+    rpc: async (name, args = {}) => {
+      const fn = RPCS[name];
+      if (!fn) return { data: null, error: { message: `sandbox: rpc ${name} is not implemented` } };
+      if (user && SERVICE_ROLE_RPCS.has(name)) {
+        return { data: null, error: { code: '42501', message: `permission denied for function ${name}` } };
+      }
+      try {
+        return { data: clone(fn(store, args, uid, user)) ?? null, error: null };
+      } catch (err) {
+        if (err instanceof SandboxRpcError) return { data: null, error: { message: err.message } };
+        throw err;
+      }
+    },
+
+    auth: {
+      getUser: async (token) => {
+        const tokenUser = userFromToken(token);
+        if (!tokenUser) return { data: { user: null }, error: { message: 'sandbox: use "Bearer sandbox:<user uuid>"' } };
+        return { data: { user: tokenUser }, error: null };
+      },
+    },
+
+    storage: {
+      from: (bucket) => ({
+        createSignedUrl: async (path, expiresIn) => ({
+          data: { signedUrl: `${publicUrl}/dev/sandbox/storage/${bucket}/${path}?expires=${nowUnix() + expiresIn}` },
+          error: null,
+        }),
+        remove: async (paths) => {
+          for (const path of paths) store.objects.delete(`${bucket}/${path}`);
+          return { data: paths.map((name) => ({ name })), error: null };
+        },
+      }),
+    },
+  };
+}
+
+// ============================================================
+// Stripe
+// ============================================================
+
+function stripeError(message, { statusCode = 400, code, type = 'StripeInvalidRequestError' } = {}) {
+  return Object.assign(new Error(message), {
+    type,
+    statusCode,
+    code,
+    raw: { message },
+  });
+}
+
+// Both `await list()` (.data) and `for await (... of list())` work on Stripe
+// list results, so the fake supports both.
+function stripeList(items) {
+  return {
+    object: 'list',
+    data: items,
+    has_more: false,
+    async *[Symbol.asyncIterator]() {
+      yield* items;
+    },
+  };
+}
+
+// Units per US dollar, for transfers to accounts in another currency.
+const SANDBOX_FX_PER_USD = { usd: 1, eur: 0.92, gbp: 0.79, cad: 1.37, aud: 1.52, jpy: 150 };
+
+function inCreatedRange(object, created = {}) {
+  return (created.gte === undefined || object.created >= created.gte)
+    && (created.lte === undefined || object.created <= created.lte);
+}
+
+function createStripeFake({ frontendUrl }) {
+  const maps = {
+    payment_intent: new Map(),
+    charge: new Map(),
+    customer: new Map(),
+    account: new Map(),
+    checkout_session: new Map(),
+    subscription: new Map(),
+    transfer: new Map(),
+    payout: new Map(),
+    refund: new Map(),
+    event: new Map(),
+  };
+  const idempotent = new Map();
+  const newId = (prefix) => `${prefix}_sandbox_${randomHex(8)}`;
+
+  // Like Stripe: a reused idempotency key returns the first result, and one
+  // sent with different parameters is rejected.
+  const withIdempotency = (create) => async (params = {}, options = {}) => {
+    const key = options.idempotencyKey;
+    if (!key) return create(params, options);
+    const body = JSON.stringify(params);
+    const seen = idempotent.get(key);
+    if (seen) {
+      if (seen.body !== body) {
+        throw stripeError(
+          `Keys for idempotent requests can only be used with the same parameters they were first used with. Key: ${key}`,
+          { type: 'StripeIdempotencyError', code: 'idempotency_error' },
+        );
+      }
+      return seen.result;
+    }
+    const result = await create(params, options);
+    idempotent.set(key, { body, result });
+    return result;
+  };
+
+  const put = (kind, object) => {
+    maps[kind].set(object.id, object);
+    return object;
+  };
+  const get = (kind) => async (id) => {
+    const object = maps[kind].get(typeof id === 'string' ? id : id?.id);
+    if (!object) throw stripeError(`No such ${kind}: '${id}'`, { statusCode: 404, code: 'resource_missing' });
+    return object;
+  };
+
+  // The payment a transfer creates on the connected account, converted to
+  // the account's default currency at the sandbox rates. Stored with its
+  // balance transaction already expanded.
+  const settleTransfer = (params, account) => {
+    const from = params.currency;
+    const to = account.default_currency || 'usd';
+    const rate = from === to ? null : Number(((SANDBOX_FX_PER_USD[to] || 1) / (SANDBOX_FX_PER_USD[from] || 1)).toFixed(6));
+    const amount = rate === null
+      ? params.amount
+      : Math.round(fromMinorUnits(params.amount, from) * rate * 10 ** decimals(to));
+    return put('charge', {
+      id: newId('py'),
+      object: 'charge',
+      amount,
+      currency: to,
+      balance_transaction: { id: newId('txn'), object: 'balance_transaction', amount, currency: to, exchange_rate: rate },
+    });
+  };
+
+  const stripe = {
+    on() {},
+
+    paymentIntents: {
+      create: withIdempotency(async (params) => {
+        const id = newId('pi');
+        return put('payment_intent', {
+          id,
+          object: 'payment_intent',
+          amount: params.amount,
+          amount_received: 0,
+          currency: params.currency || 'usd',
+          customer: params.customer || null,
+          metadata: params.metadata || {},
+          status: 'requires_payment_method',
+          client_secret: `${id}_secret_${randomHex(8)}`,
+          latest_charge: null,
+          created: nowUnix(),
+          livemode: false,
+        });
+      }),
+      retrieve: get('payment_intent'),
+    },
+
+    charges: { retrieve: get('charge') },
+
+    customers: {
+      create: withIdempotency(async (params) => put('customer', {
+        id: newId('cus'), object: 'customer', email: params.email, metadata: params.metadata || {},
+      })),
+      search: async ({ query }) => {
+        const userId = (query.match(/metadata\['user_id'\]:'([^']+)'/) || [])[1];
+        return stripeList([...maps.customer.values()].filter((c) => c.metadata.user_id === userId));
+      },
+    },
+
+    accounts: {
+      // Sandbox accounts are fully onboarded straight away.
+      create: withIdempotency(async (params) => put('account', {
+        id: newId('acct'),
+        object: 'account',
+        type: params.type,
+        email: params.email,
+        metadata: params.metadata || {},
+        default_currency: params.default_currency || 'usd',
+        details_submitted: true,
+        charges_enabled: true,
+        payouts_enabled: true,
+        requirements: { currently_due: [], past_due: [], disabled_reason: null },
+      })),
+      retrieve: get('account'),
+    },
+
+    accountLinks: {
+      create: async (params) => ({
+        object: 'account_link',
+        url: params.return_url || `${frontendUrl}/settings?stripe_return=true`,
+        expires_at: nowUnix() + 300,
+      }),
+    },
+
+    balance: {
+      retrieve: async () => ({
+        object: 'balance',
+        available: [{ amount: 1000000, currency: 'usd' }],
+        pending: [{ amount: 0, currency: 'usd' }],
+      }),
+    },
+
+    billingPortal: {
+      sessions: {
+        create: async (params) => ({ id: newId('bps'), object: 'billing_portal.session', url: params.return_url || frontendUrl }),
+      },
+    },
+
+    checkout: {
+      sessions: {
+        // Completed through POST /dev/simulate { type: 'checkout.session.completed', sessionId }.
+        create: async (params) => {
+          const id = newId('cs');
+          return put('checkout_session', {
+            id,
+            object: 'checkout.session',
+            mode: params.mode,
+            customer: params.customer || null,
+            metadata: params.metadata || {},
+            subscription_data: params.subscription_data || {},
+            line_items: params.line_items || [],
+            status: 'open',
+            subscription: null,
+            url: (params.success_url || frontendUrl).replace('{CHECKOUT_SESSION_ID}', id),
+          });
+        },
+      },
+    },
+
+    subscriptions: {
+      retrieve: get('subscription'),
+      update: async (id, params) => {
+        const sub = await get('subscription')(id);
+        return Object.assign(sub, clone(params));
+      },
+      list: (params = {}) => stripeList([...maps.subscription.values()]
+        .filter((s) => !params.status || params.status === 'all' || s.status === params.status)),
+    },
+
+    prices: {
+      retrieve: async (id) => ({
+        id,
+        object: 'price',
+        active: true,
+        currency: 'usd',
+        unit_amount: /annual|year/.test(id) ? 9999 : 999,
+        recurring: { interval: /annual|year/.test(id) ? 'year' : 'month', interval_count: 1 },
+        product: 'prod_sandbox',
+      }),
+    },
+
+    // Any code starting with SANDBOX is a valid 10% off promotion.
+    promotionCodes: {
+      list: (params = {}) => stripeList(/^SANDBOX/i.test(params.code || '')
+        ? [{ id: `promo_sandbox_${params.code}`, object: 'promotion_code', code: params.code, active: true, coupon: { percent_off: 10 } }]
+        : []),
+    },
+
+    transfers: {
+      create: withIdempotency(async (params) => {
+        if (!maps.account.has(params.destination)) {
+          throw stripeError(`No such destination: '${params.destination}'`, { code: 'resource_missing' });
+        }
+        const transfer = put('transfer', {
+          id: newId('tr'),
+          object: 'transfer',
+          amount: params.amount,
+          currency: params.currency,
+          destination: params.destination,
+          destination_payment: settleTransfer(params, maps.account.get(params.destination)).id,
+          metadata: params.metadata || {},
+          reversed: false,
+          created: nowUnix(),
+        });
+        return transfer;
+      }),
+      retrieve: get('transfer'),
+      list: (params = {}) => stripeList([...maps.transfer.values()]
+        .filter((t) => inCreatedRange(t, params.created) && (!params.destination || t.destination === params.destination))
+        .reverse()),
+    },
+
+    // Payouts of connected accounts ({ stripeAccount }); only the failed ones
+    // made by POST /dev/simulate { type: 'payout.failed' } exist.
+    payouts: {
+      list: (params = {}, options = {}) => stripeList([...maps.payout.values()]
+        .filter((p) => p.account === options.stripeAccount && inCreatedRange(p, params.created)
+          && (!params.status || p.status === params.status))
+        .reverse()),
+    },
+
+    refunds: {
+      create: withIdempotency(async (params) => {
+        const pi = await get('payment_intent')(params.payment_intent);
+        const refunded = [...maps.refund.values()].filter((r) => r.payment_intent === pi.id)
+          .reduce((sum, r) => sum + r.amount, 0);
+        const amount = params.amount ?? pi.amount - refunded;
+        if (amount <= 0 || refunded + amount > pi.amount) {
+          throw stripeError(`Refund amount exceeds the remaining ${pi.amount - refunded}`);
+        }
+        return put('refund', {
+          id: newId('re'),
+          object: 'refund',
+          amount,
+          currency: pi.currency,
+          payment_intent: pi.id,
+          charge: pi.latest_charge,
+          status: 'succeeded',
+          metadata: params.metadata || {},
+        });
+      }),
+      list: (params = {}) => stripeList([...maps.refund.values()]
+        .filter((r) => !params.payment_intent || r.payment_intent === params.payment_intent)),
+    },
+
+    events: {
+      retrieve: get('event'),
+      list: (params = {}) => stripeList([...maps.event.values()].filter((e) => inCreatedRange(e, params.created))),
+    },
+
+    webhooks: {
+      constructEvent: (body) => JSON.parse(Buffer.isBuffer(body) ? body.toString('utf8') : body),
+    },
+  };
+
+  // Test controls used by the /dev/simulate endpoint; not part of the Stripe API.
+  const controls = {
+    // account: set for events of a connected account (the Connect webhook).
+    event(type, object, account) {
+      return put('event', {
+        id: newId('evt'),
+        object: 'event',
+        type,
+        created: nowUnix(),
+        livemode: false,
+        ...(account && { account }),
+        data: { object: clone(object) },
+      });
+    },
+
+    failPayout({ account, amount, currency = 'usd', reason }) {
+      return put('payout', {
+        id: newId('po'),
+        object: 'payout',
+        account,
+        amount,
+        currency,
+        status: 'failed',
+        failure_code: 'account_closed',
+        failure_message: reason,
+        created: nowUnix(),
+      });
+    },
+
+    async succeedPaymentIntent(id) {
+      const pi = await get('payment_intent')(id);
+      const charge = put('charge', {
+        id: newId('ch'), object: 'charge', amount: pi.amount, currency: pi.currency, payment_intent: pi.id,
+      });
+      Object.assign(pi, { status: 'succeeded', amount_received: pi.amount, latest_charge: charge.id });
+      return pi;
+    },
+
+    createSubscription({ customer, metadata, priceId, trialDays = 0 }) {
+      const interval = /annual|year/.test(priceId || '') ? 365 : 30;
+      return put('subscription', {
+        id: newId('sub'),
+        object: 'subscription',
+        customer,
+        metadata: metadata || {},
+        status: trialDays > 0 ? 'trialing' : 'active',
+        cancel_at_period_end: false,
+        current_period_start: nowUnix(),
+        current_period_end: nowUnix() + (trialDays || interval) * 24 * 60 * 60,
+        items: { data: [{ price: { id: priceId } }] },
+      });
+    },
+
+    async completeCheckout(sessionId) {
+      const session = await get('checkout_session')(sessionId);
+      if (!session.subscription) {
+        const sub = controls.createSubscription({
+          customer: session.customer,
+          metadata: session.subscription_data.metadata || session.metadata,
+          priceId: session.line_items[0]?.price,
+          trialDays: session.subscription_data.trial_period_days || 0,
+        });
+        Object.assign(session, { status: 'complete', subscription: sub.id });
+      }
+      return session;
+    },
+
+    subscription: get('subscription'),
+    transfer: get('transfer'),
+    refund: get('refund'),
+    account: get('account'),
+    subscriptions: () => [...maps.subscription.values()],
+  };
+
+  return { stripe, controls, maps };
+}
+
+// ============================================================
+// Twilio
+// ============================================================
+
+function twilioNotFound(what) {
+  return Object.assign(new Error(`The requested resource ${what} was not found`), { status: 404, code: 20404 });
+}
+
+function createTwilioFake() {
+  const rooms = new Map(); // sid -> room
+
+  const findRoom = (sidOrName) => rooms.get(sidOrName)
+    || [...rooms.values()].find((r) => r.uniqueName === sidOrName && r.status === 'in-progress');
+
+  const roomContext = (sidOrName) => ({
+    fetch: async () => {
+      const room = findRoom(sidOrName);
+      if (!room) throw twilioNotFound(`/Rooms/${sidOrName}`);
+      return room;
+    },
+    update: async ({ status }) => {
+      const room = findRoom(sidOrName);
+      if (!room) throw twilioNotFound(`/Rooms/${sidOrName}`);
+      if (status === 'completed') Object.assign(room, { status: 'completed', endTime: new Date() });
+      return room;
+    },
+    recordingRules: {
+      update: async ({ rules }) => {
+        const room = findRoom(sidOrName);
+        if (!room) throw twilioNotFound(`/Rooms/${sidOrName}/RecordingRules`);
+        room.recordingRules = rules;
+        return { roomSid: room.sid, rules };
+      },
+    },
+  });
+
+  const roomsApi = Object.assign((sidOrName) => roomContext(sidOrName), {
+    create: async (params) => {
+      if (params.uniqueName && findRoom(params.uniqueName)) {
+        throw Object.assign(new Error('Room exists'), { status: 400, code: 53113 });
+      }
+      const room = {
+        sid: `RM${randomHex(16)}`,
+        uniqueName: params.uniqueName,
+        status: 'in-progress',
+        type: params.type || 'group',
+        recordParticipantsOnConnect: !!params.recordParticipantsOnConnect,
+        recordingRules: params.recordParticipantsOnConnect ? [{ type: 'include', all: true }] : [],
+        statusCallback: params.statusCallback,
+        dateCreated: new Date(),
+        endTime: null,
+      };
+      rooms.set(room.sid, room);
+      return room;
+    },
+  });
+
+  return { client: { video: { v1: { rooms: roomsApi } } }, rooms };
+}
+
+// ============================================================
+
+/**
+ * @param {{ frontendUrl: string, publicUrl: string }} options
+ */
+function createSandbox({ frontendUrl, publicUrl }) {
+  const store = new SandboxStore();
+  const { stripe, controls, maps } = createStripeFake({ frontendUrl });
+  const twilio = createTwilioFake();
+
+  return {
+    store,
+    stripe,
+    stripeControls: controls,
+    twilioClient: twilio.client,
+    supabase: createSupabaseFake(store, null, publicUrl),
+    userClient: (jwt) => createSupabaseFake(store, userFromToken(jwt), publicUrl),
+
+    // Everything the sandbox holds, for GET /dev/sandbox/state.
+    snapshot() {
+      const stripeObjects = {};
+      for (const [kind, map] of Object.entries(maps)) stripeObjects[kind] = [...map.values()];
+      return {
+        tables: Object.fromEntries(store.tables),
+        storage: Object.fromEntries(store.objects),
+        stripe: stripeObjects,
+        twilio: { rooms: [...twilio.rooms.values()] },
+      };
+    },
+  };
+}
+
+module.exports = { createSandbox };
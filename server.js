@@ -6,26 +6,172 @@ const dotenv = require('dotenv');
 const Stripe = require('stripe');
 const { createClient } = require('@supabase/supabase-js');
 const twilio = require('twilio');
+const crypto = require('crypto');
+const { loadConfig } = require('./config');
+const { createSandbox } = require('./sandbox');
+const { buildPayoutReconciliation, reconciliationToCsv } = require('./reconciliation');
+const {
+  CURRENCY_LIMITS, toMinorUnits, fromMinorUnits, isWholeMinorAmount, fromUsdSetting, formatAmount,
+} = require('./currency');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
 
 dotenv.config();
 
-const app = express();
-const PORT = process.env.PORT || 3001;
+// ============================================================
+// Logging
+// ============================================================
+// Every log line is one JSON object:
+//   {"ts","level","tag","msg","requestId","route","userId",...}
+// Call sites keep using console.log('[tag] ... %s', ...): console is routed
+// through writeLog, which formats the message, lifts the [tag] prefix into its
+// own field, adds the current request's context and redacts secrets. The
+// Edge Functions log the same shape (supabase/functions/_shared/log.ts) and
+// receive our requestId on their Twilio callback URLs, so one recording can
+// be followed from /twilio/create-room to its upload by requestId or callId.
+
+const logContext = new AsyncLocalStorage();
+
+// Add fields (userId, callId, ...) to every later log line of this request.
+function addLogContext(fields) {
+  const store = logContext.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY_RE =
+  /pass(word)?|secret|token|authorization|cookie|api_?key|^key$|jwt|signature|card|cvc|cvv|iban|account_number|routing_number/i;
+const SECRET_PATTERNS = [
+  [/eyJ[\w-]+\.eyJ[\w-]+\.[\w-]+/g, REDACTED], // JWTs
+  [/\b(sk|rk)_(live|test)_\w+/g, REDACTED], // Stripe secret/restricted keys
+  [/\bwhsec_\w+/g, REDACTED], // Stripe webhook secrets
+  [/\b(pi|seti)_\w+?_secret_\w+/g, REDACTED], // client secrets
+  [/\bBearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`],
+  [/([?&](?:key|token|access_token|apikey)=)[^&\s"']+/gi, `$1${REDACTED}`], // secrets in URLs
+];
+// Card numbers start with 2-6 (Mastercard, Amex, Visa, Discover, ...).
+const CARD_NUMBER_RE = /\b[2-6](?:[ -]?\d){12,18}\b/g;
+
+// Luhn check, so other long digit runs aren't mistaken for cards.
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+function redactString(str) {
+  let out = str;
+  for (const [re, replacement] of SECRET_PATTERNS) out = out.replace(re, replacement);
+  return out.replace(CARD_NUMBER_RE, (m) => (isLuhnValid(m.replace(/\D/g, '')) ? REDACTED : m));
+}
+
+function redactValue(value, seen = new WeakSet(), depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value) || depth > 6) return '[…]';
+  seen.add(value);
+  if (value instanceof Error) {
+    const err = { name: value.name, message: redactString(value.message || '') };
+    for (const key of ['type', 'code', 'statusCode', 'status', 'requestId']) {
+      if (value[key] !== undefined) err[key] = value[key];
+    }
+    if (value.stack) err.stack = redactString(value.stack);
+    return err;
+  }
+  if (Array.isArray(value)) return value.map((v) => redactValue(v, seen, depth + 1));
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = SENSITIVE_KEY_RE.test(key) ? REDACTED : redactValue(v, seen, depth + 1);
+  }
+  return out;
+}
+
+function writeLog(level, args, fields) {
+  let error;
+  const parts = args.map((arg) => {
+    if (arg instanceof Error) {
+      error = error || arg;
+      return arg.message;
+    }
+    return arg !== null && typeof arg === 'object' ? redactValue(arg) : arg;
+  });
+  let msg = util.formatWithOptions({ breakLength: Infinity }, ...parts);
+  const entry = { ts: new Date().toISOString(), level };
+  const tag = msg.match(/^\[([\w-]+)\]\s*/);
+  if (tag) {
+    entry.tag = tag[1];
+    msg = msg.slice(tag[0].length);
+  }
+  entry.msg = redactString(msg);
+  Object.assign(entry, redactValue({ ...logContext.getStore(), ...fields }));
+  if (error) entry.error = redactValue(error);
+  (level === 'info' ? process.stdout : process.stderr).write(JSON.stringify(entry) + '\n');
+}
+
+// Like console.log, with extra structured fields on the line.
+function logFields(level, fields, ...args) {
+  writeLog(level, args, fields);
+}
+
+console.log = (...args) => writeLog('info', args);
+console.info = console.log;
+console.debug = console.log;
+console.warn = (...args) => writeLog('warn', args);
+console.error = (...args) => writeLog('error', args);
+
+// Validate the environment before anything uses it. In production a missing
+// or invalid required var stops the boot here instead of surfacing later as a
+// failed checkout or an unverified webhook.
+const { config, report: configReport } = loadConfig(process.env);
+for (const warning of configReport.warnings) console.warn('[config] %s', warning);
+for (const error of configReport.errors) console.error('[config] %s', error);
+if (configReport.errors.length && config.isProduction) {
+  console.error('[config] refusing to start in production with %d configuration error(s)', configReport.errors.length);
+  process.exit(1);
+}
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const app = express();
+const PORT = config.port;
+
+// SANDBOX_MODE swaps the Stripe, Twilio and Supabase clients below for the
+// in-process fakes in sandbox.js, so the app runs with no network access.
+const sandbox = config.sandbox
+  ? createSandbox({ frontendUrl: config.frontendUrl, publicUrl: `http://localhost:${PORT}` })
+  : null;
+
+const stripe = sandbox ? sandbox.stripe : new Stripe(config.stripe.secretKey);
+
+// One line per Stripe API call, tied to our request by the log context and to
+// Stripe's own logs by its request id.
+stripe.on('response', (event) => {
+  logFields(event.status >= 400 ? 'warn' : 'info', {
+    stripeRequestId: event.request_id,
+    status: event.status,
+    elapsedMs: event.elapsed,
+  }, '[stripe] %s %s', event.method, event.path);
+});
 
-// "Admin" client — uses whatever key is in SUPABASE_SERVICE_ROLE_KEY.
-// On Lovable projects without service-role access this is actually the anon
-// key, so it can ONLY do auth.getUser() and call SECURITY DEFINER functions.
-// Database reads/writes for user-owned data go through userClient(jwt) below.
-const SUPABASE_URL = process.env.SUPABASE_URL || '';
-const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY || '';
+// "Admin" client — uses SUPABASE_SERVICE_ROLE_KEY, falling back to the anon
+// key outside production. The wallet and withdrawal RPCs (credit_wallet_topup,
+// reserve_withdrawal, ...) and the webhook inbox are granted to service_role
+// only, so with the anon key Stripe webhooks and withdrawals fail. Database
+// reads/writes for user-owned data go through userClient(jwt) below.
+const SUPABASE_URL = config.supabase.url;
+const SUPABASE_KEY = config.supabase.key;
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const supabase = sandbox ? sandbox.supabase : createClient(SUPABASE_URL, SUPABASE_KEY);
 
 // Per-request client authenticated as the calling user. Use this for any DB
 // access that should obey RLS. Built once per request inside verifyToken.
 function userClient(userJwt) {
+  if (sandbox) return sandbox.userClient(userJwt);
   return createClient(SUPABASE_URL, SUPABASE_KEY, {
     global: { headers: { Authorization: `Bearer ${userJwt}` } },
     auth: { persistSession: false, autoRefreshToken: false },
@@ -43,24 +189,100 @@ function decodeJwtRole(jwt) {
 }
 
 async function logSupabaseDiagnostic() {
+  if (sandbox) {
+    console.warn('SANDBOX MODE: Stripe, Twilio and Supabase are in-process fakes; nothing leaves this machine and all data is lost on restart.');
+    return;
+  }
   const projectRef = (SUPABASE_URL.match(/^https:\/\/([^.]+)\./) || [])[1] || '(none)';
   const role = SUPABASE_KEY ? decodeJwtRole(SUPABASE_KEY) : '(missing)';
   console.log(`Supabase URL: ${SUPABASE_URL || '(missing)'}  projectRef=${projectRef}  keyRole=${role}`);
 
   if (role !== 'service_role') {
-    console.warn('Supabase key role is NOT service_role. Backend DB writes go through user JWTs (RLS) and the recording webhook is delegated to a Supabase Edge Function. Make sure the Edge Function "twilio-recording-webhook" is deployed.');
+    console.warn('Supabase key role is NOT service_role. Wallet RPCs will be refused (set SUPABASE_SERVICE_ROLE_KEY), other backend DB writes go through user JWTs (RLS) and the recording webhook is delegated to a Supabase Edge Function. Make sure the Edge Function "twilio-recording-webhook" is deployed.');
+  }
+}
+
+// Same for Twilio REST calls (the SDK has no response event, so wrap its
+// HTTP client).
+class LoggingTwilioHttpClient extends twilio.RequestClient {
+  async request(opts) {
+    const started = Date.now();
+    const line = ['[twilio] %s %s', String(opts.method).toUpperCase(), opts.uri];
+    try {
+      const response = await super.request(opts);
+      logFields(response.statusCode >= 400 ? 'warn' : 'info', {
+        twilioRequestId: response.headers?.['twilio-request-id'],
+        status: response.statusCode,
+        elapsedMs: Date.now() - started,
+      }, ...line);
+      return response;
+    } catch (err) {
+      logFields('error', { elapsedMs: Date.now() - started, error: redactValue(err) }, ...line);
+      throw err;
+    }
   }
 }
 
-const twilioClient = twilio(
-  process.env.TWILIO_API_KEY,
-  process.env.TWILIO_API_SECRET,
-  { accountSid: process.env.TWILIO_ACCOUNT_SID }
+const twilioClient = sandbox ? sandbox.twilioClient : twilio(
+  config.twilio.apiKey,
+  config.twilio.apiSecret,
+  { accountSid: config.twilio.accountSid, httpClient: new LoggingTwilioHttpClient() }
 );
 
-const STRIPE_RECORDING_PRICE_ID = process.env.STRIPE_RECORDING_PRICE_ID;
-const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
-const STRIPE_WEBHOOK_SECRET_RECORDING = process.env.STRIPE_WEBHOOK_SECRET_RECORDING;
+// Subscription plan catalog, keyed by the plan key clients send to checkout.
+// Defaults to the call-recording plans, with price ids from env so test and
+// live Stripe accounts can differ. Set SUBSCRIPTION_PLANS to a JSON object of
+// the same shape to replace the catalog (e.g. to add products). A plan without
+// a priceId is not offered.
+const DEFAULT_SUBSCRIPTION_PLANS = {
+  recording_monthly: {
+    product: 'call_recording',
+    name: 'Call Recording (monthly)',
+    interval: 'month',
+    priceId: config.plans.recordingPriceId,
+    trialDays: config.plans.recordingTrialDays,
+    features: ['call_recording'],
+  },
+  recording_annual: {
+    product: 'call_recording',
+    name: 'Call Recording (annual)',
+    interval: 'year',
+    priceId: config.plans.recordingAnnualPriceId,
+    trialDays: config.plans.recordingTrialDays,
+    features: ['call_recording'],
+  },
+};
+const DEFAULT_PLAN_KEY = 'recording_monthly';
+
+// SUBSCRIPTION_PLANS is parsed by the config module (invalid JSON is dropped
+// with a warning); only its shape is checked here.
+function loadSubscriptionPlans() {
+  const plans = config.plans.catalogJson;
+  if (!plans) return DEFAULT_SUBSCRIPTION_PLANS;
+  try {
+    for (const [key, plan] of Object.entries(plans)) {
+      if (!plan.product) throw new Error(`plan ${key} has no product`);
+      plan.features = plan.features || [plan.product];
+      plan.trialDays = Number(plan.trialDays) || 0;
+    }
+    return plans;
+  } catch (err) {
+    console.error('SUBSCRIPTION_PLANS is invalid (%s) — using the default plans', err.message);
+    return DEFAULT_SUBSCRIPTION_PLANS;
+  }
+}
+
+const SUBSCRIPTION_PLANS = loadSubscriptionPlans();
+
+// product -> features it unlocks, merged across every plan of that product.
+const PRODUCT_FEATURES = {};
+for (const plan of Object.values(SUBSCRIPTION_PLANS)) {
+  const features = new Set([...(PRODUCT_FEATURES[plan.product] || []), ...plan.features]);
+  PRODUCT_FEATURES[plan.product] = [...features];
+}
+const STRIPE_WEBHOOK_SECRET = config.stripe.webhookSecret;
+const STRIPE_WEBHOOK_SECRET_RECORDING = config.stripe.webhookSecretRecording;
+const STRIPE_WEBHOOK_SECRET_CONNECT = config.stripe.webhookSecretConnect;
 
 // Twilio status callbacks (room-ended, composition-available) are delivered to a
 // Supabase Edge Function so DB/storage writes can run with the auto-injected
@@ -71,16 +293,45 @@ function getRecordingCallbackUrl() {
     console.error('SUPABASE_URL missing/invalid — cannot build Twilio recording callback URL');
     return null;
   }
-  const key = process.env.WEBHOOK_KEY;
+  const key = config.webhookKey;
   if (!key) {
     console.error('WEBHOOK_KEY not set — cannot build Twilio recording callback URL');
     return null;
   }
-  return `${SUPABASE_URL.replace(/\/$/, '')}/functions/v1/twilio-recording-webhook?key=${encodeURIComponent(key)}`;
+  let url = `${SUPABASE_URL.replace(/\/$/, '')}/functions/v1/twilio-recording-webhook?key=${encodeURIComponent(key)}`;
+  // Carry the request id into the Edge Function's logs for this room.
+  const requestId = logContext.getStore()?.requestId;
+  if (requestId) url += `&requestId=${encodeURIComponent(requestId)}`;
+  return url;
 }
 
 app.set('trust proxy', 1);
 
+// Request id: taken from X-Request-Id when the caller sends a sane one,
+// otherwise generated, and echoed back on the response.
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  const store = { requestId, route: `${req.method} ${req.path}` };
+  const started = Date.now();
+  res.on('finish', () => {
+    if (req.path === '/health') return;
+    // Log the route pattern (/recordings/:id), not the concrete path.
+    if (req.route) store.route = `${req.method} ${req.baseUrl}${req.route.path}`;
+    logContext.run(store, () => {
+      logFields(res.statusCode >= 500 ? 'error' : 'info', {
+        status: res.statusCode,
+        elapsedMs: Date.now() - started,
+      }, '[http] %s %s %d', req.method, req.originalUrl.split('?')[0], res.statusCode);
+    });
+  });
+  logContext.run(store, next);
+});
+
 app.use(helmet());
 
 const limiter = rateLimit({
@@ -114,27 +365,45 @@ const isLovablePreview = (origin) => {
   }
 };
 
+const ALLOWED_ORIGINS = [
+  'http://localhost:5173',
+  'http://localhost:3000',
+  'http://localhost:8080',
+  'https://talk-profit-link.vercel.app',
+  'https://yapski.com',
+  config.frontendUrl,
+  ...config.extraOrigins,
+].filter(Boolean);
+
+const isAllowedOrigin = (origin) => ALLOWED_ORIGINS.includes(origin) || isLovablePreview(origin);
+
+// Client-supplied URLs that Stripe redirects to (return, refresh, success and
+// cancel URLs) must be on one of the CORS origins; otherwise a Stripe-hosted
+// page becomes an open redirect. Returns the first offending body field.
+function findInvalidRedirect(body, fields) {
+  return fields.find((field) => {
+    const value = body?.[field];
+    if (value === undefined || value === null || value === '') return false;
+    try {
+      const url = new URL(value);
+      return !/^https?:$/.test(url.protocol) || !isAllowedOrigin(url.origin);
+    } catch {
+      return true;
+    }
+  }) || null;
+}
+
 const corsOptions = {
   origin: function (origin, callback) {
-    const allowedOrigins = [
-      'http://localhost:5173',
-      'http://localhost:3000',
-      'http://localhost:8080',
-      'https://talk-profit-link.vercel.app',
-      'https://yapski.com',
-      process.env.FRONTEND_URL,
-      process.env.PREVIEW_ORIGIN,
-      process.env.ALLOWED_ORIGIN,
-    ].filter(Boolean);
-
-    if (!origin || allowedOrigins.includes(origin) || isLovablePreview(origin)) {
+    if (!origin || isAllowedOrigin(origin)) {
       callback(null, true);
     } else {
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true,
   optionsSuccessStatus: 204,
 };
@@ -159,8 +428,11 @@ app.post(
     }
 
     try {
-      await handleStripeEvent(event);
-      res.json({ received: true });
+      const outcome = await processStripeEvent('stripe', event);
+      if (outcome === 'in_progress') {
+        return res.status(409).json({ error: 'event is already being processed' });
+      }
+      res.json({ received: true, outcome });
     } catch (err) {
       console.error('Stripe webhook handler error:', err);
       res.status(500).json({ error: 'webhook handler failed' });
@@ -190,8 +462,11 @@ app.post(
     }
 
     try {
-      await handleRecordingSubscriptionEvent(event);
-      res.json({ received: true });
+      const outcome = await processStripeEvent('recording', event);
+      if (outcome === 'in_progress') {
+        return res.status(409).json({ error: 'event is already being processed' });
+      }
+      res.json({ received: true, outcome });
     } catch (err) {
       console.error('Stripe recording webhook handler error:', err);
       res.status(500).json({ error: 'webhook handler failed' });
@@ -199,12 +474,50 @@ app.post(
   }
 );
 
+// Connect endpoint ("Listen to events on Connected accounts" in Stripe): events
+// of the users' Express accounts, signed with the endpoint's own secret.
+app.post(
+  '/stripe/webhook/connect',
+  express.raw({ type: 'application/json' }),
+  async (req, res) => {
+    if (!STRIPE_WEBHOOK_SECRET_CONNECT) {
+      console.error('STRIPE_WEBHOOK_SECRET_CONNECT not configured');
+      return res.status(500).send('Webhook secret not configured');
+    }
+
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.body,
+        req.headers['stripe-signature'],
+        STRIPE_WEBHOOK_SECRET_CONNECT
+      );
+    } catch (err) {
+      console.error('Stripe Connect webhook signature failed:', err.message);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    try {
+      const outcome = await processStripeEvent('connect', event);
+      if (outcome === 'in_progress') {
+        return res.status(409).json({ error: 'event is already being processed' });
+      }
+      res.json({ received: true, outcome });
+    } catch (err) {
+      console.error('Stripe Connect webhook handler error:', err);
+      res.status(500).json({ error: 'webhook handler failed' });
+    }
+  }
+);
+
 // Legacy webhook path for backwards compatibility
 app.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
   const sig = req.headers['stripe-signature'];
+  // Never acknowledge an event we can't verify: a 2xx would tell Stripe to
+  // stop redelivering it.
   if (!STRIPE_WEBHOOK_SECRET) {
-    console.warn('Webhook secret not configured - skipping verification');
-    return res.status(200).json({ received: true });
+    console.error('STRIPE_WEBHOOK_SECRET not configured — rejecting webhook');
+    return res.status(500).json({ error: 'Webhook secret not configured' });
   }
 
   let event;
@@ -216,8 +529,12 @@ app.post('/webhook', express.raw({ type: 'application/json' }), async (req, res)
   }
 
   try {
-    await handleStripeEvent(event);
-    res.json({ received: true });
+    // Same handler as /stripe/webhook, so it shares that endpoint's inbox rows.
+    const outcome = await processStripeEvent('stripe', event);
+    if (outcome === 'in_progress') {
+      return res.status(409).json({ error: 'event is already being processed' });
+    }
+    res.json({ received: true, outcome });
   } catch (err) {
     console.error('Webhook handler error:', err);
     res.status(500).json({ error: 'webhook handler failed' });
@@ -250,6 +567,7 @@ const verifyToken = async (req, res, next) => {
     if (error || !user) return res.status(401).json({ error: 'Invalid token' });
     req.user = user;
     req.userToken = token;
+    addLogContext({ userId: user.id });
     req.supabase = userClient(token); // RLS-scoped DB client for this request
     next();
   } catch (error) {
@@ -257,13 +575,106 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+// ============================================================
+// Idempotency keys
+// Money-moving routes take an optional Idempotency-Key header. The first
+// request with a key runs and its response is stored (see
+// 20261019001800_idempotency_keys.sql); a retry with the same key and body
+// gets that response back with Idempotent-Replayed: true instead of a second
+// PaymentIntent, transfer or account. A transient response (5xx, 408, 425,
+// 429) isn't stored, so the retry runs again; the key is forwarded to Stripe
+// (stripeIdempotency) so that doesn't create a second Stripe object either.
+// ============================================================
+
+const IDEMPOTENCY_KEY_RE = /^[\x21-\x7e]{1,128}$/;
+
+// JSON with sorted object keys, so the same body hashes the same however the
+// client orders its fields.
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+async function finishIdempotencyKey(req, status, body) {
+  const { route, key } = req.idempotency;
+  const { error } = await req.supabase.rpc('finish_idempotency_key', {
+    p_route: route,
+    p_key: key,
+    p_response_status: status,
+    p_response_body: body ?? null,
+  });
+  // The response is sent either way. The key stays 'processing': retries get
+  // 409 until its lease expires, then run again under the same Stripe keys.
+  if (error) console.error('[idempotency] finish failed route=%s key=%s: %s', route, key, error.message);
+}
+
+// After verifyToken: keys are scoped to the signed-in user.
+const idempotent = async (req, res, next) => {
+  const key = req.get('idempotency-key');
+  if (key === undefined) return next();
+  if (!IDEMPOTENCY_KEY_RE.test(key)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 1-128 printable ASCII characters' });
+  }
+
+  const route = `${req.baseUrl}${req.route.path}`;
+  const requestHash = crypto.createHash('sha256').update(canonicalJson(req.body || {})).digest('hex');
+  const { data, error } = await req.supabase.rpc('claim_idempotency_key', {
+    p_route: route,
+    p_key: key,
+    p_request_hash: requestHash,
+  });
+  const claim = data?.[0];
+  if (error || !claim) {
+    console.error('[idempotency] claim failed route=%s key=%s: %s', route, key, error?.message || 'no row');
+    return res.status(500).json({ error: 'Unable to process request, please try again' });
+  }
+
+  addLogContext({ idempotencyKey: key });
+  switch (claim.status) {
+    case 'replay':
+      console.log('[idempotency] replay route=%s key=%s status=%d', route, key, claim.response_status);
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.status(claim.response_status).json(claim.response_body);
+    case 'mismatch':
+      console.warn('[idempotency] key reused with a different body route=%s key=%s', route, key);
+      return res.status(422).json({ error: 'Idempotency-Key was already used with a different request' });
+    case 'in_progress':
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    default:
+      break;
+  }
+
+  req.idempotency = { route, key, createdAt: new Date(claim.created_at).toISOString() };
+  // Store the response before sending it, so a retry that arrives right
+  // after can't miss it.
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    res.json = send;
+    finishIdempotencyKey(req, res.statusCode, body).finally(() => send(body));
+    return res;
+  };
+  next();
+};
+
+// Stripe request options carrying the client's key. Each Stripe call a route
+// makes needs its own key, hence the operation name.
+function stripeIdempotency(req, operation) {
+  if (!req.idempotency) return undefined;
+  return { idempotencyKey: `${req.user.id}:${req.idempotency.key}:${operation}` };
+}
+
 // Health check
 app.get('/', (req, res) => {
   res.json({
     status: 'TalkProfit Payment Server Running',
     version: '2.0.0',
     timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development',
+    environment: config.nodeEnv,
   });
 });
 
@@ -271,35 +682,111 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'healthy', service: 'talk-profit-payment-server' });
 });
 
+// The currency the user's wallet is held in, and whether it is empty (an
+// empty wallet can switch currency with its next top-up). Users without a
+// wallet row get the default currency.
+async function getWalletCurrency(db, userId) {
+  const { data: wallet, error } = await db
+    .from('wallets')
+    .select('currency, credits, earnings, reserved_earnings')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!wallet) return { currency: config.currencies[0], empty: true };
+  return {
+    currency: wallet.currency || 'usd',
+    empty: !Number(wallet.credits) && !Number(wallet.earnings) && !Number(wallet.reserved_earnings),
+  };
+}
+
+// Guard for every route that creates a call's room or lets a participant
+// into it: answers 409 and returns true when the two wallets are in
+// different currencies. Same rule as bill_call, which raises
+// wallet_currency_mismatch for such a call; a missing wallet matches anything
+// (bill_call creates the receiver's in the caller's currency). Read with the
+// service-role client: RLS hides the other user's wallet.
+async function refuseCrossCurrencyCall(res, callRow, tag) {
+  const { data: wallets, error } = await supabase
+    .from('wallets')
+    .select('user_id, currency')
+    .in('user_id', [callRow.caller_id, callRow.receiver_id]);
+  if (error) throw error;
+  const currencyOf = (userId) => {
+    const wallet = wallets.find((w) => w.user_id === userId);
+    return wallet ? wallet.currency || 'usd' : null;
+  };
+  const callerCurrency = currencyOf(callRow.caller_id);
+  const receiverCurrency = currencyOf(callRow.receiver_id);
+  if (!callerCurrency || !receiverCurrency || callerCurrency === receiverCurrency) return false;
+
+  console.warn('[%s] callId=%s wallets in %s and %s — refused', tag, callRow.id, callerCurrency, receiverCurrency);
+  res.status(409).json({
+    error: 'Caller and receiver wallets are in different currencies',
+    callerCurrency,
+    receiverCurrency,
+  });
+  return true;
+}
+
 // Create Payment Intent (credit top-up)
-app.post('/create-payment-intent', paymentLimiter, async (req, res) => {
+// The user comes from the Supabase JWT, never the body: the webhook credits
+// whichever user is in the PaymentIntent metadata. A body userId is still
+// accepted from older clients but must match the token.
+// amount is in the currency's smallest unit (cents, or yen for JPY).
+app.post('/create-payment-intent', paymentLimiter, verifyToken, idempotent, async (req, res) => {
   try {
-    const { amount, currency = 'usd', userId } = req.body;
+    const { amount, userId } = req.body;
+    const currency = String(req.body.currency || config.currencies[0]).toLowerCase();
 
-    if (!process.env.STRIPE_SECRET_KEY) {
+    if (!config.stripe.secretKey) {
       return res.status(500).json({ error: 'Payment service not configured' });
     }
-    if (!amount || typeof amount !== 'number') {
+    if (!config.currencies.includes(currency)) {
+      return res.status(400).json({
+        error: `Unsupported currency: ${currency.toUpperCase()}`,
+        supportedCurrencies: config.currencies,
+      });
+    }
+    if (!amount || typeof amount !== 'number' || !Number.isInteger(amount)) {
       return res.status(400).json({ error: 'Invalid amount format' });
     }
-    if (amount < 100) return res.status(400).json({ error: 'Minimum amount is $1.00' });
-    if (amount > 100000) return res.status(400).json({ error: 'Maximum amount is $1000.00' });
-    if (!userId || typeof userId !== 'string') {
-      return res.status(400).json({ error: 'Valid user ID required' });
+    const limits = CURRENCY_LIMITS[currency];
+    if (amount < toMinorUnits(limits.min, currency)) {
+      return res.status(400).json({ error: `Minimum amount is ${formatAmount(limits.min, currency)}` });
+    }
+    if (amount > toMinorUnits(limits.max, currency)) {
+      return res.status(400).json({ error: `Maximum amount is ${formatAmount(limits.max, currency)}` });
+    }
+    if (userId !== undefined && userId !== req.user.id) {
+      console.warn('[create-payment-intent] body userId=%s does not match token user=%s', userId, req.user.id);
+      return res.status(403).json({ error: 'userId does not match authenticated user' });
+    }
+
+    const wallet = await getWalletCurrency(req.supabase, req.user.id);
+    if (wallet.currency !== currency && !wallet.empty) {
+      return res.status(409).json({
+        error: `Your wallet is held in ${wallet.currency.toUpperCase()}; top up in that currency`,
+        walletCurrency: wallet.currency,
+      });
     }
 
+    const customerId = await getOrCreateStripeCustomer(
+      req.supabase, req.user.id, req.user.email, stripeIdempotency(req, 'customer'));
+
     const paymentIntent = await stripe.paymentIntents.create({
       amount,
       currency,
+      customer: customerId,
       metadata: {
-        userId,
+        userId: req.user.id,
         type: 'credit_topup',
-        timestamp: new Date().toISOString(),
+        // A retry under the same key must send Stripe identical parameters.
+        timestamp: req.idempotency?.createdAt ?? new Date().toISOString(),
         source: 'talkprofit_web',
       },
       automatic_payment_methods: { enabled: true },
-      description: `TalkProfit Credit Top-up: $${(amount / 100).toFixed(2)}`,
-    });
+      description: `TalkProfit Credit Top-up: ${formatAmount(fromMinorUnits(amount, currency), currency)}`,
+    }, stripeIdempotency(req, 'payment-intent'));
 
     res.json({
       client_secret: paymentIntent.client_secret,
@@ -315,74 +802,168 @@ app.post('/create-payment-intent', paymentLimiter, async (req, res) => {
     }
     res.status(500).json({
       error: 'Unable to process payment request',
-      message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      message: config.nodeEnv === 'development' ? error.message : undefined,
     });
   }
 });
 
-// Create Stripe Connect Express account
-app.post('/stripe/create-express-account', paymentLimiter, async (req, res) => {
+// ============================================================
+// Stripe Connect
+// Each user has at most one Connect account, bound to them in
+// connect_accounts when it's created (see 20261019001500_connect_accounts.sql).
+// Routes resolve it from the signed-in user; an accountId in the body is
+// never trusted.
+// ============================================================
+
+async function getConnectAccount(db, userId) {
+  const { data, error } = await db
+    .from('connect_accounts')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// The signed-in user's Connect account, or an error response. Older clients
+// still send accountId; it has to be the user's own.
+async function resolveConnectAccount(req, res) {
+  const account = await getConnectAccount(req.supabase, req.user.id);
+  if (!account) {
+    res.status(404).json({ error: 'No Stripe Connect account for this user' });
+    return null;
+  }
+  const { accountId } = req.body || {};
+  if (accountId !== undefined && accountId !== account.stripe_account_id) {
+    console.warn('[connect] user=%s sent accountId=%s but owns %s', req.user.id, accountId, account.stripe_account_id);
+    res.status(403).json({ error: 'accountId does not match your Stripe Connect account' });
+    return null;
+  }
+  return account;
+}
+
+// Store an account's onboarding state (account.updated, or a fresh
+// retrieve). Returns false when the account isn't bound to a user.
+async function syncConnectAccount(account) {
+  const requirements = account.requirements || {};
+  const { data: bound, error } = await supabase.rpc('sync_connect_account', {
+    p_stripe_account_id: account.id,
+    p_details_submitted: !!account.details_submitted,
+    p_charges_enabled: !!account.charges_enabled,
+    p_payouts_enabled: !!account.payouts_enabled,
+    p_currently_due: requirements.currently_due || [],
+    p_past_due: requirements.past_due || [],
+    p_disabled_reason: requirements.disabled_reason || null,
+  });
+  if (error) {
+    console.error('[connect] sync failed account=%s: %s', account.id, error.message);
+    throw error;
+  }
+  console.log('[connect] sync account=%s %s payouts=%s currently_due=%d',
+    account.id, bound ? 'ok' : 'not bound to a user', !!account.payouts_enabled,
+    (requirements.currently_due || []).length);
+  return bound;
+}
+
+// Create (or return) the user's Express account.
+//   { email?, returnUrl?, refreshUrl?, accountId? }
+// accountId adopts an account created before accounts were bound, as long as
+// it was created for this user.
+app.post('/stripe/create-express-account', paymentLimiter, verifyToken, idempotent, async (req, res) => {
   try {
-    const { userId, email, returnUrl, refreshUrl } = req.body;
+    const { userId, email = req.user.email, returnUrl, refreshUrl, accountId: legacyAccountId } = req.body;
+    const badRedirect = findInvalidRedirect(req.body, ['returnUrl', 'refreshUrl']);
+    if (badRedirect) {
+      return res.status(400).json({ error: `${badRedirect} must be on an allowed origin` });
+    }
 
     if (!email || typeof email !== 'string') {
       return res.status(400).json({ error: 'Valid email required' });
     }
+    if (userId !== undefined && userId !== req.user.id) {
+      return res.status(403).json({ error: 'userId does not match authenticated user' });
+    }
 
-    const account = await stripe.accounts.create({
-      type: 'express',
-      email,
-      capabilities: {
-        card_payments: { requested: true },
-        transfers: { requested: true },
-      },
-      business_type: 'individual',
-      metadata: { userId: userId || '' },
-    });
+    let accountId = (await getConnectAccount(req.supabase, req.user.id))?.stripe_account_id;
+    const created = !accountId;
+    if (!accountId) {
+      let account;
+      if (legacyAccountId) {
+        account = await stripe.accounts.retrieve(legacyAccountId).catch(() => null);
+        if (account?.metadata?.userId !== req.user.id) {
+          return res.status(403).json({ error: 'Account does not belong to this user' });
+        }
+      } else {
+        account = await stripe.accounts.create({
+          type: 'express',
+          email,
+          capabilities: {
+            card_payments: { requested: true },
+            transfers: { requested: true },
+          },
+          business_type: 'individual',
+          metadata: { userId: req.user.id },
+        }, stripeIdempotency(req, 'account'));
+      }
+
+      const { data: boundId, error: bindErr } = await req.supabase.rpc('bind_connect_account', {
+        p_stripe_account_id: account.id,
+      });
+      if (bindErr) {
+        if (bindErr.message === 'account_already_bound') {
+          return res.status(409).json({ error: 'Account is bound to another user' });
+        }
+        throw bindErr;
+      }
+      if (boundId !== account.id) {
+        // A concurrent request bound another account first; that one wins.
+        console.warn('[connect] user=%s already has account=%s — %s left unbound', req.user.id, boundId, account.id);
+      } else {
+        console.log('[connect] bound account=%s to user=%s', account.id, req.user.id);
+        await syncConnectAccount(account).catch(() => {});
+      }
+      accountId = boundId;
+    }
 
     // If returnUrl provided, also create the onboarding link in one call
     if (returnUrl) {
       const accountLink = await stripe.accountLinks.create({
-        account: account.id,
-        refresh_url: refreshUrl || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/settings?stripe_refresh=true`,
+        account: accountId,
+        refresh_url: refreshUrl || `${config.frontendUrl}/settings?stripe_refresh=true`,
         return_url: returnUrl,
         type: 'account_onboarding',
       });
-      return res.json({ accountId: account.id, onboardingUrl: accountLink.url });
+      return res.json({ accountId, onboardingUrl: accountLink.url });
     }
 
-    res.json({ accountId: account.id, message: 'Express account created successfully' });
+    res.json({
+      accountId,
+      message: created ? 'Express account created successfully' : 'Express account already exists',
+    });
   } catch (error) {
     console.error('Error creating Express account:', error);
     res.status(500).json({
       error: 'Failed to create Express account',
-      message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      message: config.nodeEnv === 'development' ? error.message : undefined,
     });
   }
 });
 
 // Create account onboarding link (separate step)
-app.post('/stripe/create-account-link', paymentLimiter, async (req, res) => {
+app.post('/stripe/create-account-link', paymentLimiter, verifyToken, async (req, res) => {
   try {
-    const { accountId, returnUrl, refreshUrl } = req.body;
-
-    if (!accountId || typeof accountId !== 'string') {
-      return res.status(400).json({ error: 'Valid account ID required' });
-    }
-
-    try {
-      await stripe.accounts.retrieve(accountId);
-    } catch (accountError) {
-      return res.status(400).json({
-        error: 'Invalid Stripe Connect account',
-        message: 'The account ID provided is not valid or no longer exists',
-      });
+    const { returnUrl, refreshUrl } = req.body;
+    const badRedirect = findInvalidRedirect(req.body, ['returnUrl', 'refreshUrl']);
+    if (badRedirect) {
+      return res.status(400).json({ error: `${badRedirect} must be on an allowed origin` });
     }
+    const account = await resolveConnectAccount(req, res);
+    if (!account) return;
 
     const accountLink = await stripe.accountLinks.create({
-      account: accountId,
-      refresh_url: refreshUrl || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/settings?stripe_refresh=true`,
-      return_url: returnUrl || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/settings?stripe_return=true`,
+      account: account.stripe_account_id,
+      refresh_url: refreshUrl || `${config.frontendUrl}/settings?stripe_refresh=true`,
+      return_url: returnUrl || `${config.frontendUrl}/settings?stripe_return=true`,
       type: 'account_onboarding',
     });
 
@@ -394,21 +975,21 @@ app.post('/stripe/create-account-link', paymentLimiter, async (req, res) => {
     }
     res.status(500).json({
       error: 'Failed to create account link',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Unable to create onboarding link',
+      message: config.nodeEnv === 'development' ? error.message : 'Unable to create onboarding link',
     });
   }
 });
 
-// Get account status
-app.post('/stripe/account-status', async (req, res) => {
+// Get account status. Reads Stripe directly (and stores the result), so it's
+// current even if an account.updated event hasn't arrived yet.
+app.post('/stripe/account-status', verifyToken, async (req, res) => {
   try {
-    const { accountId } = req.body;
-
-    if (!accountId || typeof accountId !== 'string') {
-      return res.status(400).json({ error: 'Valid account ID required' });
-    }
+    const bound = await resolveConnectAccount(req, res);
+    if (!bound) return;
+    const accountId = bound.stripe_account_id;
 
     const account = await stripe.accounts.retrieve(accountId);
+    await syncConnectAccount(account).catch(() => {});
     const isOnboarded = account.details_submitted && account.charges_enabled && account.payouts_enabled;
     const isEnabled = account.charges_enabled && account.payouts_enabled;
 
@@ -417,8 +998,8 @@ app.post('/stripe/account-status', async (req, res) => {
       try {
         const accountLink = await stripe.accountLinks.create({
           account: accountId,
-          refresh_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/settings?stripe_refresh=true`,
-          return_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/settings?stripe_return=true`,
+          refresh_url: `${config.frontendUrl}/settings?stripe_refresh=true`,
+          return_url: `${config.frontendUrl}/settings?stripe_return=true`,
           type: 'account_onboarding',
         });
         onboardingUrl = accountLink.url;
@@ -428,9 +1009,12 @@ app.post('/stripe/account-status', async (req, res) => {
     }
 
     res.json({
+      accountId,
       isOnboarded,
       isEnabled,
       onboardingUrl,
+      // Withdrawals arrive converted to this currency.
+      defaultCurrency: account.default_currency || null,
       requiresAction: account.requirements.currently_due.length > 0,
       currentlyDue: account.requirements.currently_due,
       message: 'Account status retrieved successfully',
@@ -439,7 +1023,7 @@ app.post('/stripe/account-status', async (req, res) => {
     console.error('Error getting account status:', error);
     res.status(500).json({
       error: 'Failed to get account status',
-      message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      message: config.nodeEnv === 'development' ? error.message : undefined,
     });
   }
 });
@@ -450,11 +1034,11 @@ app.get('/stripe/balance', async (req, res) => {
     const balance = await stripe.balance.retrieve();
 
     const available = balance.available.map(b => ({
-      amount: b.amount / 100,
+      amount: fromMinorUnits(b.amount, b.currency),
       currency: b.currency.toUpperCase(),
     }));
     const pending = balance.pending.map(b => ({
-      amount: b.amount / 100,
+      amount: fromMinorUnits(b.amount, b.currency),
       currency: b.currency.toUpperCase(),
     }));
 
@@ -463,117 +1047,207 @@ app.get('/stripe/balance', async (req, res) => {
     console.error('Error fetching balance:', error);
     res.status(500).json({
       error: 'Failed to fetch balance',
-      message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      message: config.nodeEnv === 'development' ? error.message : undefined,
     });
   }
 });
 
-// Process withdrawal
-app.post('/stripe/process-withdrawal', paymentLimiter, async (req, res) => {
+// reserve_withdrawal raises these as plain exception messages.
+const WITHDRAWAL_RESERVE_ERRORS = {
+  withdrawal_not_found: { code: 404, error: 'Invalid withdrawal request' },
+  withdrawal_not_pending: { code: 409, error: 'Withdrawal request is not pending' },
+  amount_mismatch: { code: 400, error: 'Amount does not match withdrawal request' },
+  insufficient_earnings: { code: 400, error: 'Insufficient earnings' },
+};
+
+async function releaseWithdrawal({ withdrawalRequestId = null, transferId = null, reason }) {
+  const { data: released, error } = await supabase.rpc('release_withdrawal', {
+    p_withdrawal_request_id: withdrawalRequestId,
+    p_stripe_transfer_id: transferId,
+    p_reason: reason,
+  });
+  if (error) {
+    console.error('[withdrawal] release failed request=%s transfer=%s: %s',
+      withdrawalRequestId || '-', transferId || '-', error.message);
+    throw error;
+  }
+  // No matching request means a transfer failed that no request records
+  // (made by the old flow without a request): nothing to give back here, see
+  // the reconciliation report.
+  (released === null ? console.warn : console.log)('[withdrawal] release request=%s transfer=%s result=%s reason=%s',
+    withdrawalRequestId || '-', transferId || '-',
+    released === null ? 'no matching request' : released ? 'released' : 'already failed', reason);
+  return released;
+}
+
+// What a transfer became on the connected account: Stripe converts it to the
+// account's default currency, and the payment it creates there records the
+// amount and exchange rate. Null if it can't be read; the withdrawal is
+// completed without it.
+async function getTransferSettlement(transfer) {
+  if (!transfer.destination_payment) return null;
   try {
-    const { withdrawalRequestId, accountId, amount, transferGroup } = req.body;
+    const payment = await stripe.charges.retrieve(
+      transfer.destination_payment,
+      { expand: ['balance_transaction'] },
+      { stripeAccount: transfer.destination },
+    );
+    const txn = payment.balance_transaction;
+    if (!txn || typeof txn !== 'object') return null;
+    return {
+      currency: txn.currency,
+      amount: fromMinorUnits(txn.amount, txn.currency),
+      exchangeRate: txn.exchange_rate ?? null,
+    };
+  } catch (error) {
+    console.warn('[withdrawal] could not read the settlement of transfer=%s: %s', transfer.id, error.message);
+    return null;
+  }
+}
 
-    if (!accountId || typeof accountId !== 'string') {
-      return res.status(400).json({ error: 'Valid account ID required' });
-    }
-    if (!amount || typeof amount !== 'number' || amount <= 0) {
-      return res.status(400).json({ error: 'Valid amount required' });
+// Pay out a withdrawal whose funds are reserved ('processing') and mark it
+// completed. amount is in the wallet's currency, which the transfer is made
+// in. Throws if the transfer or the completion fails.
+async function transferReservedWithdrawal({ withdrawalRequestId, userId, accountId, amount, currency }) {
+  // The idempotency key makes a retry of a request whose transfer was
+  // created (but never recorded) get the same transfer back from Stripe.
+  let transfer;
+  try {
+    transfer = await stripe.transfers.create({
+      amount: toMinorUnits(amount, currency),
+      currency,
+      destination: accountId,
+      metadata: { withdrawalRequestId, userId },
+    }, { idempotencyKey: `withdrawal-${withdrawalRequestId}` });
+  } catch (stripeError) {
+    // Only release on a definitive rejection. After a connection error or
+    // a Stripe 5xx the transfer may exist, so the reservation stays held
+    // until a retry resolves it through the idempotency key.
+    if (stripeError.type !== 'StripeConnectionError' && stripeError.type !== 'StripeAPIError') {
+      await releaseWithdrawal({ withdrawalRequestId, reason: stripeError.message });
     }
+    throw stripeError;
+  }
 
-    const amountInCents = Math.round(amount * 100);
-    if (amountInCents < 100) {
-      return res.status(400).json({ error: 'Minimum withdrawal amount is $1.00' });
-    }
+  const settlement = await getTransferSettlement(transfer);
+  const { error: completeErr } = await supabase.rpc('complete_withdrawal', {
+    p_withdrawal_request_id: withdrawalRequestId,
+    p_stripe_transfer_id: transfer.id,
+    p_payout_currency: settlement?.currency ?? null,
+    p_payout_amount: settlement?.amount ?? null,
+    p_fx_rate: settlement?.exchangeRate ?? null,
+  });
+  if (completeErr) {
+    // Money has moved but the request is still 'processing' with the
+    // funds reserved. Retrying this request completes it.
+    console.error('[withdrawal] complete failed request=%s transfer=%s: %s',
+      withdrawalRequestId, transfer.id, completeErr.message);
+    throw completeErr;
+  }
 
-    // New flow: withdrawalRequestId provided — manage DB state in backend
-    if (withdrawalRequestId) {
-      const token = req.headers.authorization?.replace('Bearer ', '');
-      let userId = null;
-      if (token) {
-        const { data: { user } } = await supabase.auth.getUser(token);
-        userId = user?.id;
-      }
+  console.log('[withdrawal] completed request=%s transfer=%s user=%s amount=%s %s payout=%s %s fx=%s',
+    withdrawalRequestId, transfer.id, userId, amount, currency,
+    settlement?.amount ?? '-', settlement?.currency ?? '-', settlement?.exchangeRate ?? '-');
+  return { transfer, settlement };
+}
 
-      try {
-        const { data: withdrawalRequest, error: fetchError } = await supabase
-          .from('withdrawal_requests')
-          .select('*')
-          .eq('id', withdrawalRequestId)
-          .eq('status', 'pending')
-          .single();
-
-        if (fetchError || !withdrawalRequest) throw new Error('Invalid withdrawal request');
-
-        const { data: wallet, error: walletError } = await supabase
-          .from('wallets')
-          .select('earnings')
-          .eq('user_id', withdrawalRequest.user_id)
-          .single();
-
-        if (walletError || !wallet || wallet.earnings < amount) throw new Error('Insufficient earnings');
-
-        await supabase
-          .from('withdrawal_requests')
-          .update({ status: 'processing' })
-          .eq('id', withdrawalRequestId);
-
-        const transfer = await stripe.transfers.create({
-          amount: amountInCents,
-          currency: 'usd',
-          destination: accountId,
-          metadata: { withdrawalRequestId, userId: withdrawalRequest.user_id },
-        });
+// Response fields for a completed withdrawal.
+function withdrawalPayoutFields({ transfer, settlement }, currency) {
+  return {
+    transferId: transfer.id,
+    currency,
+    payout: settlement && {
+      currency: settlement.currency,
+      amount: settlement.amount,
+      exchangeRate: settlement.exchangeRate,
+    },
+  };
+}
 
-        await supabase
-          .from('wallets')
-          .update({ earnings: wallet.earnings - amount })
-          .eq('user_id', withdrawalRequest.user_id);
-
-        await supabase
-          .from('withdrawal_requests')
-          .update({ status: 'completed', stripe_transfer_id: transfer.id, processed_at: new Date().toISOString() })
-          .eq('id', withdrawalRequestId);
-
-        await supabase.from('transactions').insert({
-          from_user_id: withdrawalRequest.user_id,
-          to_user_id: null,
-          amount: -amount,
-          transaction_type: 'withdrawal',
-          description: `Withdrawal to Stripe Connect account: $${amount.toFixed(2)}`,
-        });
+// Process withdrawal. Pays out to the signed-in user's own Connect account.
+// Every withdrawal goes through the reserve: the transfer is only made once
+// the request's funds have left earnings, and it already has a per-request
+// Stripe idempotency key. The older flow without a withdrawalRequestId (a
+// transfer for whatever amount the client sent) is gone.
+app.post('/stripe/process-withdrawal', paymentLimiter, verifyToken, idempotent, async (req, res) => {
+  try {
+    const { withdrawalRequestId, amount } = req.body;
 
-        return res.json({ success: true, transferId: transfer.id, message: 'Withdrawal processed successfully' });
-      } catch (error) {
-        await supabase
-          .from('withdrawal_requests')
-          .update({ status: 'failed', failure_reason: error.message, processed_at: new Date().toISOString() })
-          .eq('id', withdrawalRequestId);
-        throw error;
-      }
+    if (!UUID_RE.test(withdrawalRequestId || '')) {
+      return res.status(400).json({ error: 'withdrawalRequestId required' });
+    }
+    if (!amount || typeof amount !== 'number' || amount <= 0) {
+      return res.status(400).json({ error: 'Valid amount required' });
     }
 
-    // Legacy flow: no withdrawalRequestId — frontend manages DB state
-    try {
-      const transfer = await stripe.transfers.create({
-        amount: amountInCents,
-        currency: 'usd',
-        destination: accountId,
-        transfer_group: transferGroup,
-        metadata: { type: 'withdrawal', amount_dollars: amount.toFixed(2) },
+    // Withdrawals are in the wallet's currency.
+    const { currency } = await getWalletCurrency(req.supabase, req.user.id);
+    if (!isWholeMinorAmount(amount, currency)) {
+      return res.status(400).json({ error: `Invalid amount for ${currency.toUpperCase()}` });
+    }
+    const minimum = CURRENCY_LIMITS[currency]?.min ?? 1;
+    if (amount < minimum) {
+      return res.status(400).json({ error: `Minimum withdrawal amount is ${formatAmount(minimum, currency)}` });
+    }
+
+    const connectAccount = await resolveConnectAccount(req, res);
+    if (!connectAccount) return;
+    const accountId = connectAccount.stripe_account_id;
+    const userId = req.user.id;
+
+    // Reserve the funds and move the request to 'processing' in one DB
+    // transaction. Concurrent requests serialize on the row locks, so only
+    // one of them can spend the same earnings.
+    const { data: reserved, error: reserveErr } = await supabase.rpc('reserve_withdrawal', {
+      p_withdrawal_request_id: withdrawalRequestId,
+      p_user_id: userId,
+      p_amount: amount,
+    });
+    if (reserveErr) {
+      console.warn('[withdrawal] reserve failed request=%s: %s', withdrawalRequestId, reserveErr.message);
+      const status = WITHDRAWAL_RESERVE_ERRORS[reserveErr.message];
+      if (status) return res.status(status.code).json({ error: status.error });
+      throw reserveErr;
+    }
+    const withdrawalRequest = reserved?.[0];
+    if (withdrawalRequest?.status === 'completed') {
+      return res.json({
+        success: true,
+        transferId: withdrawalRequest.stripe_transfer_id,
+        message: 'Withdrawal already processed',
       });
+    }
 
-      return res.json({ success: true, transferId: transfer.id, amount, message: 'Withdrawal processed successfully' });
-    } catch (stripeError) {
-      if (stripeError.code === 'insufficient_funds' || stripeError.code === 'balance_insufficient') {
-        return res.status(202).json({
-          success: true,
-          pending: true,
-          amount,
-          message: 'Withdrawal request accepted and will be processed within 7-14 business days',
-        });
-      }
-      throw stripeError;
+    // Flagged wallets and large amounts wait for an admin (POST
+    // /admin/withdrawals/:id/approve), with the funds still reserved. The
+    // threshold is set in USD and compared in the wallet's currency.
+    const reviewThreshold = config.withdrawals.reviewThreshold === undefined
+      ? null
+      : fromUsdSetting(config.withdrawals.reviewThreshold, currency) ?? null;
+    const { data: holdReason, error: holdErr } = await supabase.rpc('hold_withdrawal_for_review', {
+      p_withdrawal_request_id: withdrawalRequestId,
+      p_stripe_account_id: accountId,
+      p_review_threshold: reviewThreshold,
+    });
+    if (holdErr) throw holdErr;
+    if (holdReason) {
+      console.warn('[withdrawal] held for review request=%s user=%s amount=%s: %s',
+        withdrawalRequestId, withdrawalRequest.user_id, amount, holdReason);
+      return res.status(202).json({ success: true, held: true, message: 'Withdrawal is held for review' });
     }
+
+    const payout = await transferReservedWithdrawal({
+      withdrawalRequestId,
+      userId: withdrawalRequest.user_id,
+      accountId,
+      amount,
+      currency,
+    });
+    return res.json({
+      success: true,
+      ...withdrawalPayoutFields(payout, currency),
+      message: 'Withdrawal processed successfully',
+    });
   } catch (error) {
     console.error('Error processing withdrawal:', error);
     if (error.code === 'account_invalid') {
@@ -581,7 +1255,7 @@ app.post('/stripe/process-withdrawal', paymentLimiter, async (req, res) => {
     }
     res.status(500).json({
       error: 'Failed to process withdrawal',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Please try again or contact support',
+      message: config.nodeEnv === 'development' ? error.message : 'Please try again or contact support',
     });
   }
 });
@@ -590,7 +1264,8 @@ app.post('/stripe/process-withdrawal', paymentLimiter, async (req, res) => {
 // Call Recording Subscription
 // ============================================================
 
-async function getOrCreateStripeCustomer(db, userId, email) {
+// stripeOptions: request options for customers.create (an idempotency key).
+async function getOrCreateStripeCustomer(db, userId, email, stripeOptions) {
   // Read under the user's JWT so RLS allows it — the anon client can't see the
   // row and would create a duplicate Stripe customer on every checkout.
   const { data: existing } = await db
@@ -603,30 +1278,120 @@ async function getOrCreateStripeCustomer(db, userId, email) {
 
   if (existing?.stripe_customer_id) return existing.stripe_customer_id;
 
+  // Users who have only ever topped up have no subscriptions row. Find the
+  // customer we created for them last time instead of minting a new one.
+  try {
+    const found = await stripe.customers.search({
+      query: `metadata['user_id']:'${userId}'`,
+      limit: 1,
+    });
+    if (found.data[0]) return found.data[0].id;
+  } catch (err) {
+    console.warn('[stripe-customer] search failed for user=%s: %s', userId, err.message);
+  }
+
   const customer = await stripe.customers.create({
     email,
     metadata: { user_id: userId },
-  });
+  }, stripeOptions);
   return customer.id;
 }
 
+// Stripe prices rarely change; cache them so GET /plans isn't a Stripe round
+// trip per plan on every page load.
+const PRICE_CACHE_TTL_MS = 10 * 60 * 1000;
+const priceCache = new Map();
+
+async function getCachedPrice(priceId) {
+  const hit = priceCache.get(priceId);
+  if (hit && hit.expires > Date.now()) return hit.price;
+  const price = await stripe.prices.retrieve(priceId);
+  priceCache.set(priceId, { price, expires: Date.now() + PRICE_CACHE_TTL_MS });
+  return price;
+}
+
+app.get('/plans', async (req, res) => {
+  try {
+    const plans = [];
+    for (const [key, plan] of Object.entries(SUBSCRIPTION_PLANS)) {
+      if (!plan.priceId) continue;
+      let price = null;
+      try {
+        price = await getCachedPrice(plan.priceId);
+      } catch (err) {
+        console.warn('[plans] price %s for plan=%s could not be loaded: %s', plan.priceId, key, err.message);
+        continue;
+      }
+      plans.push({
+        key,
+        product: plan.product,
+        name: plan.name || key,
+        interval: price.recurring?.interval || plan.interval,
+        amount: price.unit_amount,
+        currency: price.currency,
+        trialDays: plan.trialDays,
+        features: plan.features,
+        default: key === DEFAULT_PLAN_KEY,
+      });
+    }
+    res.json({ plans });
+  } catch (error) {
+    console.error('List plans failed:', error);
+    res.status(500).json({ error: 'Failed to list plans' });
+  }
+});
+
 app.post('/stripe/create-subscription-checkout', verifyToken, async (req, res) => {
   try {
-    if (!STRIPE_RECORDING_PRICE_ID) {
-      return res.status(500).json({ error: 'STRIPE_RECORDING_PRICE_ID not configured' });
+    const { successUrl, cancelUrl, planKey = DEFAULT_PLAN_KEY, promotionCode } = req.body;
+    const badRedirect = findInvalidRedirect(req.body, ['successUrl', 'cancelUrl']);
+    if (badRedirect) {
+      return res.status(400).json({ error: `${badRedirect} must be on an allowed origin` });
+    }
+    const plan = SUBSCRIPTION_PLANS[planKey];
+    if (!plan) {
+      return res.status(400).json({ error: `Unknown plan: ${planKey}` });
+    }
+    if (!plan.priceId) {
+      return res.status(500).json({ error: `Plan ${planKey} has no Stripe price configured` });
     }
-    const { successUrl, cancelUrl } = req.body;
     const customerId = await getOrCreateStripeCustomer(req.supabase, req.user.id, req.user.email);
 
+    // A specific promotion code is applied up front; otherwise Checkout shows
+    // its own promo-code field. Stripe rejects setting both.
+    let discounts;
+    if (promotionCode) {
+      const { data: codes } = await stripe.promotionCodes.list({ code: promotionCode, active: true, limit: 1 });
+      if (!codes[0]) return res.status(400).json({ error: 'Invalid or expired promotion code' });
+      discounts = [{ promotion_code: codes[0].id }];
+    }
+
+    // Free trials are for first-time subscribers of the product only.
+    let trialDays = plan.trialDays;
+    if (trialDays > 0) {
+      const { data: previous } = await req.supabase
+        .from('subscriptions')
+        .select('id')
+        .eq('user_id', req.user.id)
+        .eq('product', plan.product)
+        .limit(1)
+        .maybeSingle();
+      if (previous) trialDays = 0;
+    }
+
+    const metadata = { user_id: req.user.id, product: plan.product, plan: planKey };
     const session = await stripe.checkout.sessions.create({
       mode: 'subscription',
       customer: customerId,
-      line_items: [{ price: STRIPE_RECORDING_PRICE_ID, quantity: 1 }],
+      line_items: [{ price: plan.priceId, quantity: 1 }],
       success_url: successUrl,
       cancel_url: cancelUrl,
-      metadata: { user_id: req.user.id, product: 'call_recording' },
+      discounts,
+      allow_promotion_codes: discounts ? undefined : true,
+      metadata,
       subscription_data: {
-        metadata: { user_id: req.user.id, product: 'call_recording' },
+        metadata,
+        trial_period_days: trialDays > 0 ? trialDays : undefined,
       },
     });
 
@@ -637,21 +1402,43 @@ app.post('/stripe/create-subscription-checkout', verifyToken, async (req, res) =
   }
 });
 
+// The running subscription that cancel/resume act on, or an error response.
+// Body: { subscriptionId } or { planKey }, or { product } when the user has
+// a single subscription to it. A product can have several plans (monthly and
+// annual), so two matching rows answer 409 with the candidates.
+async function resolveUserSubscription(req, res, { scheduledToCancel = false } = {}) {
+  const { subscriptionId, planKey, product = 'call_recording' } = req.body || {};
+  // Read under the user's JWT (RLS) — the anon client can't see these rows.
+  let query = req.supabase
+    .from('subscriptions')
+    .select('stripe_subscription_id, plan_key, product')
+    .eq('user_id', req.user.id)
+    .in('status', ['active', 'trialing', 'past_due']);
+  if (subscriptionId) query = query.eq('stripe_subscription_id', subscriptionId);
+  else if (planKey) query = query.eq('plan_key', planKey);
+  else query = query.eq('product', product);
+  if (scheduledToCancel) query = query.eq('cancel_at_period_end', true);
+
+  const { data: subs, error } = await query;
+  if (error) throw error;
+  if (!subs?.length) {
+    res.status(404).json({ error: scheduledToCancel ? 'No subscription scheduled for cancellation' : 'No active subscription' });
+    return null;
+  }
+  if (subs.length > 1) {
+    res.status(409).json({
+      error: 'More than one subscription matches; pass subscriptionId or planKey',
+      subscriptions: subs.map((s) => ({ subscriptionId: s.stripe_subscription_id, planKey: s.plan_key })),
+    });
+    return null;
+  }
+  return subs[0];
+}
+
 app.post('/stripe/cancel-subscription', verifyToken, async (req, res) => {
   try {
-    // Read under the user's JWT (RLS) — the anon client can't see this row and
-    // would make cancellation always return 404.
-    const { data: sub } = await req.supabase
-      .from('subscriptions')
-      .select('stripe_subscription_id')
-      .eq('user_id', req.user.id)
-      .eq('product', 'call_recording')
-      .in('status', ['active', 'trialing', 'past_due'])
-      .maybeSingle();
-
-    if (!sub?.stripe_subscription_id) {
-      return res.status(404).json({ error: 'No active subscription' });
-    }
+    const sub = await resolveUserSubscription(req, res);
+    if (!sub) return;
 
     const updated = await stripe.subscriptions.update(sub.stripe_subscription_id, {
       cancel_at_period_end: true,
@@ -668,16 +1455,127 @@ app.post('/stripe/cancel-subscription', verifyToken, async (req, res) => {
   }
 });
 
-// ============================================================
-// Stripe webhook event handler
-// ============================================================
+app.post('/stripe/resume-subscription', verifyToken, async (req, res) => {
+  try {
+    // Only a subscription that is still running but scheduled to cancel can be
+    // resumed. Once Stripe has actually cancelled it the user needs a new checkout.
+    const sub = await resolveUserSubscription(req, res, { scheduledToCancel: true });
+    if (!sub) return;
 
-async function handleStripeEvent(event) {
-  const obj = event.data.object;
+    const updated = await stripe.subscriptions.update(sub.stripe_subscription_id, {
+      cancel_at_period_end: false,
+    });
+
+    // As with cancellation, customer.subscription.updated syncs the row.
+    res.json({ success: true, cancel_at_period_end: updated.cancel_at_period_end });
+  } catch (error) {
+    console.error('Resume subscription failed:', error);
+    res.status(500).json({ error: 'Failed to resume subscription' });
+  }
+});
+
+// Stripe-hosted Billing Portal: update card, reactivate, download invoices.
+// Anything the user changes there arrives as customer.subscription.* webhooks
+// carrying our user_id metadata, so the row stays in sync without extra code.
+app.post('/stripe/billing-portal', verifyToken, async (req, res) => {
+  try {
+    const { returnUrl } = req.body;
+    const badRedirect = findInvalidRedirect(req.body, ['returnUrl']);
+    if (badRedirect) {
+      return res.status(400).json({ error: `${badRedirect} must be on an allowed origin` });
+    }
+    const customerId = await getOrCreateStripeCustomer(req.supabase, req.user.id, req.user.email);
+
+    const session = await stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl || `${config.frontendUrl}/settings`,
+    });
+
+    res.json({ url: session.url });
+  } catch (error) {
+    console.error('Create billing portal session failed:', error);
+    res.status(500).json({ error: 'Failed to create billing portal session' });
+  }
+});
+
+// ============================================================
+// Stripe webhook event handler
+// ============================================================
+
+// Handlers keyed by the name stored in stripe_webhook_events.handler.
+// /stripe/webhook and the legacy /webhook both use 'stripe'.
+const STRIPE_EVENT_HANDLERS = {
+  stripe: handleStripeEvent,
+  recording: handleRecordingSubscriptionEvent,
+  connect: handleConnectEvent,
+};
+
+// Run a verified event through the durable inbox: record it, skip it if this
+// handler already processed it, otherwise handle it and store the outcome.
+// Returns 'processed' | 'duplicate' | 'in_progress'. Handler errors are
+// recorded on the row and rethrown so the webhook returns 500 and Stripe retries.
+async function processStripeEvent(handlerName, event, { force = false } = {}) {
+  const handler = STRIPE_EVENT_HANDLERS[handlerName];
+  if (!handler) throw new Error(`unknown Stripe event handler: ${handlerName}`);
+
+  // Replays run many events in one request; give each its own log fields.
+  const fields = { stripeEventId: event.id, stripeEventType: event.type, handler: handlerName };
+  return logContext.run({ ...logContext.getStore(), ...fields }, () => runStripeEvent(handler, handlerName, event, force));
+}
+
+async function runStripeEvent(handler, handlerName, event, force) {
+  const { data: claim, error: claimErr } = await supabase.rpc('claim_stripe_webhook_event', {
+    p_event_id: event.id,
+    p_handler: handlerName,
+    p_event_type: event.type,
+    p_livemode: !!event.livemode,
+    p_stripe_created_at: event.created ? new Date(event.created * 1000).toISOString() : null,
+    p_payload: event,
+    p_force: force,
+  });
+  if (claimErr) {
+    console.error('[webhook-inbox] claim failed event=%s handler=%s: %s', event.id, handlerName, claimErr.message);
+    throw claimErr;
+  }
+  if (claim !== 'claimed') {
+    console.log('[webhook-inbox] %s event=%s type=%s handler=%s', claim, event.id, event.type, handlerName);
+    return claim;
+  }
+
+  try {
+    await handler(event);
+  } catch (err) {
+    await finishStripeEvent(handlerName, event, err.message || String(err));
+    throw err;
+  }
+  await finishStripeEvent(handlerName, event, null);
+  return 'processed';
+}
+
+async function finishStripeEvent(handlerName, event, errorMessage) {
+  const { error } = await supabase.rpc('finish_stripe_webhook_event', {
+    p_event_id: event.id,
+    p_handler: handlerName,
+    p_error: errorMessage,
+  });
+  // The handler has already run at this point; failing the webhook here would
+  // only make Stripe redeliver an event we've handled. The row stays
+  // 'processing' and becomes claimable again after its lease expires.
+  if (error) {
+    console.error('[webhook-inbox] finish failed event=%s handler=%s: %s', event.id, handlerName, error.message);
+  } else {
+    console.log('[webhook-inbox] %s event=%s type=%s handler=%s',
+      errorMessage ? 'failed' : 'processed', event.id, event.type, handlerName);
+  }
+}
+
+async function handleStripeEvent(event) {
+  const obj = event.data.object;
 
   switch (event.type) {
     case 'payment_intent.succeeded':
-      console.log(`Payment succeeded: ${obj.id}`);
+      if (obj.metadata?.type === 'credit_topup') await creditWalletForTopup(obj);
+      else console.log(`Payment succeeded: ${obj.id}`);
       break;
     case 'payment_intent.payment_failed':
       console.log(`Payment failed: ${obj.id}`);
@@ -703,6 +1601,34 @@ async function handleStripeEvent(event) {
       else if (obj.status === 'failed') await handleTransferFailed(obj);
       break;
     }
+    case 'charge.refunded':
+      await handleChargeRefunded(obj);
+      break;
+    case 'charge.refund.updated':
+      await handleRefundUpdated(obj);
+      break;
+    case 'charge.dispute.created':
+    case 'charge.dispute.closed':
+      await handleChargeDispute(event.type, obj);
+      break;
+    default:
+      break;
+  }
+}
+
+async function handleConnectEvent(event) {
+  const obj = event.data.object;
+
+  switch (event.type) {
+    case 'account.updated':
+      await syncConnectAccount(obj);
+      break;
+    // The transfer went through but the money is stuck on the connected
+    // account; it is listed as failed_payout by the reconciliation report.
+    case 'payout.failed':
+      console.warn('[connect] payout failed account=%s payout=%s amount=%d %s: %s',
+        event.account, obj.id, obj.amount, obj.currency, obj.failure_message || obj.failure_code || 'unknown reason');
+      break;
     default:
       break;
   }
@@ -733,15 +1659,24 @@ async function handleRecordingSubscriptionEvent(event) {
   }
 }
 
+// The catalog key a subscription was bought under: checkout stores it in the
+// metadata; subscriptions from before that are matched on their price.
+function planKeyForSubscription(subscription) {
+  if (subscription.metadata?.plan) return subscription.metadata.plan;
+  const priceId = subscription.items?.data?.[0]?.price?.id;
+  if (!priceId) return null;
+  return Object.keys(SUBSCRIPTION_PLANS).find((key) => SUBSCRIPTION_PLANS[key].priceId === priceId) || null;
+}
+
 async function upsertSubscriptionRow(userId, subscription, customerId) {
-  // The backend runs with the anon key (no service-role), so a direct
-  // supabase.from('subscriptions').upsert() is an anonymous request that RLS
-  // silently rejects — which is why paid subscriptions never showed up in the
-  // app. Write through a SECURITY DEFINER RPC that bypasses RLS instead.
+  // RLS has no write policy for subscriptions, so the row is written through
+  // a SECURITY DEFINER RPC (granted to the service role only) instead of a
+  // direct supabase.from('subscriptions').upsert().
   const cust = typeof customerId === 'string' ? customerId : customerId?.id;
   const { error } = await supabase.rpc('upsert_recording_subscription', {
     p_user_id: userId,
     p_product: subscription.metadata?.product || 'call_recording',
+    p_plan_key: planKeyForSubscription(subscription),
     p_stripe_customer_id: cust ?? null,
     p_stripe_subscription_id: subscription.id,
     p_status: subscription.status,
@@ -766,84 +1701,358 @@ async function upsertSubscriptionRow(userId, subscription, customerId) {
   );
 }
 
-async function handleTransferPaid(transfer) {
-  try {
-    const { data: withdrawalRequest, error: findError } = await supabase
-      .from('withdrawal_requests')
-      .select('*')
-      .eq('stripe_transfer_id', transfer.id)
-      .single();
+async function creditWalletForTopup(paymentIntent) {
+  const userId = paymentIntent.metadata?.userId;
+  if (!userId) {
+    console.warn('[topup-credit] payment_intent=%s has no userId metadata — not credited', paymentIntent.id);
+    return;
+  }
 
-    if (findError || !withdrawalRequest) return;
+  // The wallet write goes through a SECURITY DEFINER RPC that only the service
+  // role may call. The RPC is keyed on the PaymentIntent id, so a retried
+  // delivery returns false instead of crediting twice.
+  const amount = fromMinorUnits(paymentIntent.amount_received ?? paymentIntent.amount, paymentIntent.currency);
+  const { data: credited, error } = await supabase.rpc('credit_wallet_topup', {
+    p_user_id: userId,
+    p_payment_intent_id: paymentIntent.id,
+    p_amount: amount,
+    p_currency: paymentIntent.currency,
+  });
 
-    await supabase
-      .from('withdrawal_requests')
-      .update({ status: 'completed', processed_at: new Date().toISOString() })
-      .eq('id', withdrawalRequest.id);
-
-    await supabase
-      .from('transactions')
-      .update({ description: `Withdrawal completed: $${withdrawalRequest.amount.toFixed(2)} (${transfer.id})` })
-      .eq('from_user_id', withdrawalRequest.user_id)
-      .eq('amount', -withdrawalRequest.amount)
-      .eq('transaction_type', 'withdrawal');
-  } catch (error) {
-    console.error('Error handling transfer.paid:', error);
+  if (error) {
+    // Two top-ups in different currencies raced into an empty wallet and the
+    // other one won; the payment has to be refunded in Stripe.
+    if (error.message === 'wallet_currency_mismatch') {
+      console.error('[topup-credit] payment_intent=%s is in %s but the wallet of user=%s is not — refund it',
+        paymentIntent.id, paymentIntent.currency, userId);
+    } else {
+      console.error(
+        '[topup-credit] failed user=%s payment_intent=%s amount=%s: %s',
+        userId, paymentIntent.id, amount, error.message
+      );
+    }
+    throw error;
   }
+  console.log(
+    '[topup-credit] %s user=%s payment_intent=%s amount=%s %s',
+    credited ? 'ok' : 'already credited', userId, paymentIntent.id, amount, paymentIntent.currency
+  );
 }
 
-async function handleTransferFailed(transfer) {
-  try {
-    const { data: withdrawalRequest, error: findError } = await supabase
-      .from('withdrawal_requests')
-      .select('*')
-      .eq('stripe_transfer_id', transfer.id)
-      .single();
+// Debit (amount > 0) or give back (amount < 0) top-up credits. Keyed on
+// referenceId in the DB, so calling it again for the same refund/dispute phase
+// is a no-op. Returns null when the PaymentIntent isn't a credited top-up, or
+// for a topup_refund_reversal of a refund that was never reversed.
+async function reverseTopupCredits({ paymentIntentId, referenceId, kind, amount, reason }) {
+  const { data, error } = await supabase.rpc('reverse_topup_credits', {
+    p_payment_intent_id: paymentIntentId,
+    p_reference_id: referenceId,
+    p_kind: kind,
+    p_amount: amount,
+    p_reason: reason,
+  });
+  if (error) {
+    console.error('[topup-reversal] failed kind=%s payment_intent=%s ref=%s: %s',
+      kind, paymentIntentId, referenceId, error.message);
+    throw error;
+  }
 
-    if (findError || !withdrawalRequest) return;
+  const row = data?.[0] || null;
+  if (!row) {
+    console.log('[topup-reversal] payment_intent=%s ref=%s has nothing to reverse (not a credited top-up, or a refund that was never reversed) — skipped',
+      paymentIntentId, referenceId);
+    return null;
+  }
+  console.log('[topup-reversal] %s kind=%s user=%s payment_intent=%s ref=%s amount=%s credits=%s',
+    row.applied ? 'ok' : 'already applied', kind, row.user_id, paymentIntentId, referenceId, amount, row.credits);
+  if (row.flagged) {
+    console.warn('[topup-reversal] user=%s wallet flagged — balance %s after %s %s',
+      row.user_id, row.credits, kind, referenceId);
+  }
+  return row;
+}
 
-    const { data: wallet } = await supabase
-      .from('wallets')
-      .select('earnings')
-      .eq('user_id', withdrawalRequest.user_id)
-      .single();
+async function handleChargeRefunded(charge) {
+  const paymentIntentId = typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent?.id;
+  if (!paymentIntentId) return;
+
+  // charge.refunds isn't expanded in webhook payloads, and a charge can be
+  // partially refunded several times. Walk every refund and reverse each one
+  // by its own id; the ones already applied are skipped by the RPC.
+  // A pending refund can still fail, so it is only reversed once it succeeds
+  // (charge.refund.updated).
+  for await (const refund of stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 })) {
+    if (refund.status === 'succeeded') await reverseRefund(paymentIntentId, refund, 'Top-up refunded');
+  }
+}
 
-    if (wallet) {
-      await supabase
-        .from('wallets')
-        .update({ earnings: wallet.earnings + withdrawalRequest.amount })
-        .eq('user_id', withdrawalRequest.user_id);
-    }
+function reverseRefund(paymentIntentId, refund, reason) {
+  return reverseTopupCredits({
+    paymentIntentId,
+    referenceId: refund.id,
+    kind: 'topup_refund',
+    amount: fromMinorUnits(refund.amount, refund.currency),
+    reason,
+  });
+}
 
-    await supabase
-      .from('withdrawal_requests')
-      .update({
-        status: 'failed',
-        failure_reason: transfer.failure_message || 'Transfer failed',
-        processed_at: new Date().toISOString(),
-      })
-      .eq('id', withdrawalRequest.id);
-  } catch (error) {
-    console.error('Error handling transfer.failed:', error);
+// A refund settled, or failed after all (a succeeded refund can still fail,
+// e.g. when the card's bank rejects it). A failed or canceled refund gives
+// back what reversing it took; the RPC does nothing if it was never reversed.
+async function handleRefundUpdated(refund) {
+  const paymentIntentId = typeof refund.payment_intent === 'string' ? refund.payment_intent : refund.payment_intent?.id;
+  if (!paymentIntentId) return;
+
+  if (refund.status === 'succeeded') {
+    await reverseRefund(paymentIntentId, refund, 'Top-up refunded');
+  } else if (refund.status === 'failed' || refund.status === 'canceled') {
+    await reverseTopupCredits({
+      paymentIntentId,
+      referenceId: `${refund.id}:failed`,
+      kind: 'topup_refund_reversal',
+      amount: -fromMinorUnits(refund.amount, refund.currency),
+      reason: `Top-up refund ${refund.status}${refund.failure_reason ? ` (${refund.failure_reason})` : ''}`,
+    });
   }
 }
 
+async function handleChargeDispute(eventType, dispute) {
+  let paymentIntentId = typeof dispute.payment_intent === 'string' ? dispute.payment_intent : dispute.payment_intent?.id;
+  if (!paymentIntentId && dispute.charge) {
+    const charge = await stripe.charges.retrieve(typeof dispute.charge === 'string' ? dispute.charge : dispute.charge.id);
+    paymentIntentId = typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent?.id;
+  }
+  if (!paymentIntentId) return;
+
+  const amount = fromMinorUnits(dispute.amount, dispute.currency);
+  if (eventType === 'charge.dispute.created') {
+    // Take the credits back as soon as the dispute opens so they can't be
+    // spent while it's pending; they're returned if we win.
+    await reverseTopupCredits({
+      paymentIntentId,
+      referenceId: `${dispute.id}:opened`,
+      kind: 'topup_dispute',
+      amount,
+      reason: `Top-up disputed (${dispute.reason || 'unknown reason'})`,
+    });
+    return;
+  }
+
+  if (dispute.status === 'won' || dispute.status === 'warning_closed') {
+    await reverseTopupCredits({
+      paymentIntentId,
+      referenceId: `${dispute.id}:closed`,
+      kind: 'topup_dispute_reversal',
+      amount: -amount,
+      reason: `Top-up dispute closed in our favour (${dispute.status})`,
+    });
+  } else {
+    console.log('[topup-reversal] dispute=%s closed status=%s — credits stay debited', dispute.id, dispute.status);
+  }
+}
+
+// complete_withdrawal already completed the request and its ledger row when
+// the transfer was made, so a paid transfer changes nothing; it is only
+// checked against the request. A request that is no longer 'completed' (a
+// failure released it first) is left as it is for the reconciliation report.
+// Throws on DB errors so the webhook inbox records the event as failed.
+async function handleTransferPaid(transfer) {
+  const { data: withdrawalRequest, error } = await supabase
+    .from('withdrawal_requests')
+    .select('id, status')
+    .eq('stripe_transfer_id', transfer.id)
+    .maybeSingle();
+  if (error) throw error;
+
+  if (!withdrawalRequest) {
+    console.warn('[withdrawal] transfer.paid transfer=%s matches no withdrawal request', transfer.id);
+  } else if (withdrawalRequest.status !== 'completed') {
+    console.warn('[withdrawal] transfer.paid transfer=%s request=%s is %s, not completed — left for reconciliation',
+      transfer.id, withdrawalRequest.id, withdrawalRequest.status);
+  } else {
+    console.log('[withdrawal] transfer.paid transfer=%s request=%s confirmed', transfer.id, withdrawalRequest.id);
+  }
+}
+
+async function handleTransferFailed(transfer) {
+  // Throws on DB errors so the webhook inbox records the event as failed.
+  await releaseWithdrawal({
+    transferId: transfer.id,
+    reason: transfer.failure_message || 'Transfer failed',
+  });
+}
+
 // ============================================================
 // Twilio room creation + recording webhook
 // ============================================================
 
-async function userHasActiveRecordingSubscription(db, userId) {
+// Features the user is entitled to, from their active subscriptions mapped
+// through the plan catalog. Read under the caller's JWT, so db must be the
+// user's own client (RLS only exposes their own rows).
+async function getUserEntitlements(db, userId) {
   const { data, error } = await db
     .from('subscriptions')
-    .select('id')
+    .select('product')
     .eq('user_id', userId)
-    .eq('product', 'call_recording')
-    .in('status', ['active', 'trialing'])
-    .limit(1)
+    .in('status', ['active', 'trialing']);
+  if (error) console.warn('[entitlements] error for user=%s: %s', userId, error.message);
+
+  const features = new Set();
+  for (const row of data || []) {
+    for (const feature of PRODUCT_FEATURES[row.product] || [row.product]) features.add(feature);
+  }
+  return features;
+}
+
+async function userHasEntitlement(db, userId, feature) {
+  return (await getUserEntitlements(db, userId)).has(feature);
+}
+
+// ============================================================
+// Recording consent
+// ============================================================
+
+// 'all_party' (default): the other participant must accept before a call is
+// recorded. 'one_party': the recording user's own consent is enough, for
+// deployments limited to one-party-consent jurisdictions. The Edge Function
+// reads the same variable, so set it in both places.
+const RECORDING_CONSENT_POLICY = config.recordingConsentPolicy;
+
+// Whether recorderId may record this call. db is the recorder's RLS client;
+// consent rows are visible to both participants.
+async function getRecordingConsent(db, callRow, recorderId) {
+  if (RECORDING_CONSENT_POLICY === 'one_party') return { granted: true, status: 'not_required' };
+
+  const otherId = callRow.caller_id === recorderId ? callRow.receiver_id : callRow.caller_id;
+  const { data, error } = await db
+    .from('call_recording_consents')
+    .select('status')
+    .eq('call_id', callRow.id)
+    .eq('participant_id', otherId)
+    .maybeSingle();
+  if (error) console.warn('[recording-consent] lookup error callId=%s: %s', callRow.id, error.message);
+
+  const status = data?.status || 'not_requested';
+  return { granted: status === 'accepted', status };
+}
+
+async function loadCallForParticipant(req, res, callId, tag) {
+  if (!callId) {
+    res.status(400).json({ error: 'callId required' });
+    return null;
+  }
+  const { data: callRow, error } = await req.supabase
+    .from('calls')
+    .select('id, caller_id, receiver_id, twilio_room_sid, recording_enabled')
+    .eq('id', callId)
     .maybeSingle();
-  if (error) console.warn('[subscription-check] error for user=%s: %s', userId, error.message);
-  return !!data;
+  if (error) console.warn('[%s] calls lookup error: %s', tag, error.message);
+  if (!callRow) {
+    res.status(404).json({ error: 'call not found' });
+    return null;
+  }
+  if (callRow.caller_id !== req.user.id && callRow.receiver_id !== req.user.id) {
+    res.status(403).json({ error: 'not a call participant' });
+    return null;
+  }
+  addLogContext({ callId: callRow.id, roomSid: callRow.twilio_room_sid || undefined });
+  return callRow;
+}
+
+// Ask the other participant for consent. They see the pending row (e.g. via a
+// Realtime subscription on call_recording_consents) and answer below.
+app.post('/recording-consent/request', verifyToken, async (req, res) => {
+  try {
+    const callRow = await loadCallForParticipant(req, res, req.body.callId, 'recording-consent');
+    if (!callRow) return;
+
+    if (!(await userHasEntitlement(req.supabase, req.user.id, 'call_recording'))) {
+      return res.status(403).json({ error: 'active call recording subscription required' });
+    }
+
+    const { data: status, error } = await req.supabase.rpc('request_recording_consent', {
+      p_call_id: callRow.id,
+    });
+    if (error) throw error;
+
+    console.log('[recording-consent] requested callId=%s by=%s status=%s', callRow.id, req.user.id, status);
+    res.json({ callId: callRow.id, status, policy: RECORDING_CONSENT_POLICY });
+  } catch (error) {
+    console.error('[recording-consent] request failed:', error);
+    res.status(500).json({ error: 'failed to request recording consent' });
+  }
+});
+
+async function respondToRecordingConsent(req, res, accept) {
+  try {
+    const callRow = await loadCallForParticipant(req, res, req.body.callId, 'recording-consent');
+    if (!callRow) return;
+
+    const { data: status, error } = await req.supabase.rpc('respond_recording_consent', {
+      p_call_id: callRow.id,
+      p_accept: accept,
+    });
+    if (error) {
+      if (error.message === 'no_consent_request') {
+        return res.status(404).json({ error: 'no recording consent request for this call' });
+      }
+      throw error;
+    }
+
+    // Declining (or withdrawing an earlier yes) stops any recording in progress.
+    // The Edge Function also refuses to compose without consent, so anything
+    // already captured is discarded when the room ends.
+    if (!accept && callRow.recording_enabled && callRow.twilio_room_sid && RECORDING_CONSENT_POLICY !== 'one_party') {
+      try {
+        await twilioClient.video.v1.rooms(callRow.twilio_room_sid).recordingRules.update({
+          rules: [{ type: 'exclude', all: true }],
+        });
+        console.log('[recording-consent] declined — recording stopped sid=%s', callRow.twilio_room_sid);
+      } catch (e) {
+        if (e?.status !== 404) console.warn('[recording-consent] failed to stop recording:', e?.message);
+      }
+    }
+
+    console.log('[recording-consent] callId=%s participant=%s status=%s', callRow.id, req.user.id, status);
+    res.json({ callId: callRow.id, status });
+  } catch (error) {
+    console.error('[recording-consent] respond failed:', error);
+    res.status(500).json({ error: 'failed to record consent response' });
+  }
 }
+
+app.post('/recording-consent/accept', verifyToken, (req, res) => respondToRecordingConsent(req, res, true));
+app.post('/recording-consent/decline', verifyToken, (req, res) => respondToRecordingConsent(req, res, false));
+
+app.get('/recording-consent/:callId', verifyToken, async (req, res) => {
+  try {
+    const callRow = await loadCallForParticipant(req, res, req.params.callId, 'recording-consent');
+    if (!callRow) return;
+
+    const { data, error } = await req.supabase
+      .from('call_recording_consents')
+      .select('participant_id, requested_by, status, requested_at, responded_at')
+      .eq('call_id', callRow.id);
+    if (error) throw error;
+
+    const consent = await getRecordingConsent(req.supabase, callRow, req.user.id);
+    res.json({
+      callId: callRow.id,
+      policy: RECORDING_CONSENT_POLICY,
+      canRecord: consent.granted,
+      consents: data.map((row) => ({
+        participantId: row.participant_id,
+        requestedBy: row.requested_by,
+        status: row.status,
+        requestedAt: row.requested_at,
+        respondedAt: row.responded_at,
+      })),
+    });
+  } catch (error) {
+    console.error('[recording-consent] get failed:', error);
+    res.status(500).json({ error: 'failed to load recording consent' });
+  }
+});
   app.post('/twilio/start-recording', verifyToken, async (req, res) => {
     try {
       const { callId } = req.body;
@@ -852,11 +2061,30 @@ async function userHasActiveRecordingSubscription(db, userId) {
 
       const db = req.supabase;
 
-      if (!(await userHasActiveRecordingSubscription(db, req.user.id))) {
+      if (!(await userHasEntitlement(db, req.user.id, 'call_recording'))) {
         console.warn('[start-recording] user=%s has no active call_recording subscription', req.user.id);
         return res.status(403).json({ error: 'active call recording subscription required' });
       }
 
+      const { data: callRow, error: callErr } = await db
+        .from('calls')
+        .select('id, caller_id, receiver_id')
+        .eq('id', callId)
+        .maybeSingle();
+      if (callErr) console.warn('[start-recording] calls lookup error:', callErr.message);
+      if (!callRow) return res.status(404).json({ error: 'call not found' });
+      if (callRow.caller_id !== req.user.id && callRow.receiver_id !== req.user.id) {
+        return res.status(403).json({ error: 'not a call participant' });
+      }
+      addLogContext({ callId });
+      if (await refuseCrossCurrencyCall(res, callRow, 'start-recording')) return;
+
+      const consent = await getRecordingConsent(db, callRow, req.user.id);
+      if (!consent.granted) {
+        console.warn('[start-recording] callId=%s consent=%s — not recording', callId, consent.status);
+        return res.status(403).json({ error: 'recording consent required', consentStatus: consent.status });
+      }
+
       const roomName = `call-${callId}`;
       const callbackUrl = getRecordingCallbackUrl();
       if (!callbackUrl) {
@@ -885,7 +2113,7 @@ async function userHasActiveRecordingSubscription(db, userId) {
           emptyRoomTimeout: 1,
           unusedRoomTimeout: 1,
         });
-        console.log('[start-recording] created group room sid=%s callback=%s', room.sid, callbackUrl || '(none)');
+        console.log('[start-recording] created group room sid=%s callback=%s', room.sid, callbackUrl ? 'edge-function' : '(none)');
       } else if (room.type !== 'group') {
         return res.status(409).json({
           error: 'Room is peer-to-peer. End the call and start a new one to enable recording.',
@@ -897,6 +2125,7 @@ async function userHasActiveRecordingSubscription(db, userId) {
         recordingMode = 'rules-updated';
         console.log('[start-recording] updated recordingRules sid=%s — note: only participants who (re)connect after this point will be recorded', room.sid);
       }
+      addLogContext({ roomSid: room.sid });
 
       // Only set recording_subscriber_id if it isn't already set (first caller wins).
       try {
@@ -951,13 +2180,20 @@ app.post('/twilio/create-room', verifyToken, async (req, res) => {
       if (callRow.caller_id !== req.user.id && callRow.receiver_id !== req.user.id) {
         return res.status(403).json({ error: 'not a call participant' });
       }
+      addLogContext({ callId });
+
+      if (await refuseCrossCurrencyCall(res, callRow, 'create-room')) return;
 
       // Subscription lookup uses the user JWT, so the requesting user can only
       // see their own subscription row. That's fine for the common case where
       // the caller is checking whether *they* enabled recording.
       let subscriberId = null;
-      if (await userHasActiveRecordingSubscription(db, req.user.id)) {
-        subscriberId = req.user.id;
+      let consentStatus = null;
+      if (await userHasEntitlement(db, req.user.id, 'call_recording')) {
+        const consent = await getRecordingConsent(db, callRow, req.user.id);
+        consentStatus = consent.status;
+        if (consent.granted) subscriberId = req.user.id;
+        else console.log('[create-room] callId=%s consent=%s — room created without recording', callId, consent.status);
       }
 
       const roomName = `call-${callId}`;
@@ -988,25 +2224,152 @@ app.post('/twilio/create-room', verifyToken, async (req, res) => {
           unusedRoomTimeout: 1,
         });
         console.log('[create-room] created group room sid=%s record=%s callback=%s',
-          room.sid, !!subscriberId, callbackUrl || '(none)');
+          room.sid, !!subscriberId, callbackUrl ? 'edge-function' : '(none)');
       }
+      addLogContext({ roomSid: room.sid });
 
       if (subscriberId && !callRow.recording_enabled) {
         await db
           .from('calls')
           .update({ recording_enabled: true, recording_subscriber_id: subscriberId, twilio_room_sid: room.sid })
           .eq('id', callId);
-      } else if (!callRow.twilio_room_sid) {
+      } else if (callRow.twilio_room_sid !== room.sid) {
+        // Also replaces the sid of an ended room, which /twilio/token refuses.
         await db.from('calls').update({ twilio_room_sid: room.sid }).eq('id', callId);
       }
 
-      res.json({ recording: !!subscriberId, roomCreated: true, roomSid: room.sid });
+      res.json({
+        recording: !!subscriberId,
+        roomCreated: true,
+        roomSid: room.sid,
+        consentRequired: !subscriberId && consentStatus !== null,
+        consentStatus,
+      });
     } catch (error) {
       console.error('[create-room] failed:', error);
       res.status(500).json({ error: 'failed to create room' });
     }
   });
 
+// Pause / resume recording mid-call. Either participant may pause (whoever is
+// about to say something sensitive); resuming re-checks consent. Twilio rules
+// are switched first so that a failed Twilio call never leaves a pause window
+// on record that didn't actually happen.
+async function setRecordingPaused(req, res, paused) {
+  const tag = paused ? 'pause-recording' : 'resume-recording';
+  try {
+    const { callId } = req.body;
+    if (!callId) return res.status(400).json({ error: 'callId required' });
+
+    const { data: callRow, error: lookupErr } = await req.supabase
+      .from('calls')
+      .select('id, caller_id, receiver_id, twilio_room_sid, recording_enabled, recording_subscriber_id, recording_paused')
+      .eq('id', callId)
+      .maybeSingle();
+    if (lookupErr) console.warn('[%s] calls lookup error: %s', tag, lookupErr.message);
+    if (!callRow) return res.status(404).json({ error: 'call not found' });
+    if (callRow.caller_id !== req.user.id && callRow.receiver_id !== req.user.id) {
+      return res.status(403).json({ error: 'not a call participant' });
+    }
+    if (!callRow.recording_enabled || !callRow.twilio_room_sid) {
+      return res.status(409).json({ error: 'call is not being recorded' });
+    }
+
+    if (!paused) {
+      const consent = await getRecordingConsent(req.supabase, callRow, callRow.recording_subscriber_id);
+      if (!consent.granted) {
+        return res.status(403).json({ error: 'recording consent required', consentStatus: consent.status });
+      }
+    }
+
+    if (callRow.recording_paused !== paused) {
+      await twilioClient.video.v1.rooms(callRow.twilio_room_sid).recordingRules.update({
+        rules: [{ type: paused ? 'exclude' : 'include', all: true }],
+      });
+    }
+
+    const { data: pauses, error } = await req.supabase.rpc('set_call_recording_paused', {
+      p_call_id: callId,
+      p_paused: paused,
+    });
+    if (error) throw error;
+
+    console.log('[%s] callId=%s user=%s sid=%s windows=%d', tag, callId, req.user.id, callRow.twilio_room_sid, pauses?.length || 0);
+    res.json({ paused, pauses });
+  } catch (error) {
+    console.error('[%s] failed:', tag, error);
+    if (error?.status === 404) return res.status(409).json({ error: 'room is no longer active' });
+    res.status(500).json({ error: `failed to ${paused ? 'pause' : 'resume'} recording` });
+  }
+}
+
+app.post('/twilio/pause-recording', verifyToken, (req, res) => setRecordingPaused(req, res, true));
+app.post('/twilio/resume-recording', verifyToken, (req, res) => setRecordingPaused(req, res, false));
+
+// Access token for joining the call's Twilio Video room. Minted here rather
+// than by the client so the grant can be limited to the one room the user is a
+// participant of. The identity is the Supabase user id, which is what shows up
+// as participant identity in the room (and in the Edge Function's logs).
+const TWILIO_TOKEN_TTL_SECONDS = 15 * 60;
+
+app.post('/twilio/token', verifyToken, async (req, res) => {
+  try {
+    const { callId } = req.body;
+    if (!callId) return res.status(400).json({ error: 'callId required' });
+
+    if (!configReport.capabilities.video.enabled) {
+      return res.status(500).json({ error: 'Twilio not configured' });
+    }
+
+    const { data: callRow, error: lookupErr } = await req.supabase
+      .from('calls')
+      .select('id, caller_id, receiver_id, twilio_room_sid')
+      .eq('id', callId)
+      .maybeSingle();
+    if (lookupErr) console.warn('[twilio-token] calls lookup error:', lookupErr.message);
+    if (!callRow) return res.status(404).json({ error: 'call not found' });
+    if (callRow.caller_id !== req.user.id && callRow.receiver_id !== req.user.id) {
+      return res.status(403).json({ error: 'not a call participant' });
+    }
+    if (await refuseCrossCurrencyCall(res, callRow, 'twilio-token')) return;
+
+    // Connecting to a room that doesn't exist makes Twilio create one on the
+    // client's behalf, without our status callback, so the call would never
+    // be ended or billed. Tokens are only issued for the in-progress room
+    // the server created (create-room / start-recording store its sid).
+    if (!callRow.twilio_room_sid) {
+      return res.status(409).json({ error: 'room not created yet, call /twilio/create-room first' });
+    }
+    let room = null;
+    try {
+      room = await twilioClient.video.v1.rooms(callRow.twilio_room_sid).fetch();
+    } catch (e) {
+      if (e?.status !== 404) throw e;
+    }
+    if (room?.status !== 'in-progress') {
+      console.warn('[twilio-token] callId=%s room sid=%s is %s — no token',
+        callId, callRow.twilio_room_sid, room?.status || 'missing');
+      return res.status(409).json({ error: 'room has ended, call /twilio/create-room to start a new one' });
+    }
+
+    const roomName = `call-${callId}`;
+    const { AccessToken } = twilio.jwt;
+    const token = new AccessToken(
+      config.twilio.accountSid,
+      config.twilio.apiKey,
+      config.twilio.apiSecret,
+      { identity: req.user.id, ttl: TWILIO_TOKEN_TTL_SECONDS }
+    );
+    token.addGrant(new AccessToken.VideoGrant({ room: roomName }));
+
+    console.log('[twilio-token] issued callId=%s user=%s', callId, req.user.id);
+    res.json({ token: token.toJwt(), roomName, identity: req.user.id, ttl: TWILIO_TOKEN_TTL_SECONDS });
+  } catch (error) {
+    console.error('[twilio-token] failed:', error);
+    res.status(500).json({ error: 'failed to create access token' });
+  }
+});
+
 // Explicitly complete a room when the call hangs up — fires room-ended immediately
 // instead of waiting for Twilio's emptyRoomTimeout.
 app.post('/twilio/end-room', verifyToken, async (req, res) => {
@@ -1051,22 +2414,202 @@ app.post('/twilio/end-room', verifyToken, async (req, res) => {
   }
 });
 
-// Signed download URL for a recording (subscriber-only)
-app.get('/recordings/:id/signed-url', verifyToken, async (req, res) => {
-  try {
-    const { data: rec, error: lookupErr } = await req.supabase
-      .from('call_recordings')
-      .select('id, subscriber_user_id, storage_path, status')
-      .eq('id', req.params.id)
-      .maybeSingle();
-    if (lookupErr) console.warn('[signed-url] lookup error:', lookupErr.message);
+// ============================================================
+// Recordings library
+// ============================================================
+
+const RECORDING_COLUMNS =
+  'id, call_id, status, media_format, call_type, duration_seconds, size_bytes, checksum_sha256, created_at, ' +
+  'failure_reason, deleted_at, deleted_reason, attempts, retryable, next_retry_at, ' +
+  'calls(id, caller_id, receiver_id, connected_seconds, created_at)';
+
+// A composition normally lands within a few minutes of the call ending.
+const RECORDING_STALE_PROCESSING_MS = 60 * 60 * 1000;
+
+function describeRecordingStatus(rec) {
+  switch (rec.status) {
+    case 'ready':
+      return 'Recording is ready.';
+    case 'processing':
+      if (Date.now() - new Date(rec.created_at).getTime() > RECORDING_STALE_PROCESSING_MS) {
+        return 'Recording is taking longer than expected to process.';
+      }
+      return 'Recording is being processed. This usually takes a few minutes after the call ends.';
+    case 'failed': {
+      const detail = rec.failure_reason
+        ? `Recording failed: ${rec.failure_reason}.`
+        : 'Recording failed.';
+      // The retry job (twilio-recording-webhook ?task=retry-compositions)
+      // picks the row up again once next_retry_at passes.
+      return rec.retryable && rec.next_retry_at
+        ? `${detail} It will be retried automatically.`
+        : detail;
+    }
+    case 'deleted':
+      return rec.deleted_reason ? `Recording was deleted (${rec.deleted_reason}).` : 'Recording was deleted.';
+    default:
+      return `Recording status: ${rec.status}.`;
+  }
+}
+
+function toRecordingResponse(rec, userId) {
+  const call = rec.calls || null;
+  const otherUserId = call
+    ? (call.caller_id === userId ? call.receiver_id : call.caller_id)
+    : null;
+  return {
+    id: rec.id,
+    callId: rec.call_id,
+    status: rec.status,
+    statusDetail: describeRecordingStatus(rec),
+    failureReason: rec.failure_reason || null,
+    retryAttempts: rec.attempts ?? 0,
+    nextRetryAt: rec.status === 'failed' && rec.retryable ? rec.next_retry_at || null : null,
+    mediaFormat: rec.media_format,
+    callType: rec.call_type,
+    durationSeconds: rec.duration_seconds ?? null,
+    sizeBytes: rec.size_bytes ?? null,
+    checksumSha256: rec.checksum_sha256 || null,
+    createdAt: rec.created_at,
+    call: call && {
+      id: call.id,
+      direction: call.caller_id === userId ? 'outgoing' : 'incoming',
+      otherParticipantId: otherUserId,
+      connectedSeconds: call.connected_seconds ?? null,
+      createdAt: call.created_at,
+    },
+  };
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Postgres timestamptz as PostgREST returns it, microseconds included.
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?([+-]\d{2}:\d{2}|Z)$/;
+
+// Opaque cursor: the (created_at, id) of the last row of the previous page.
+function encodeRecordingCursor(rec) {
+  return Buffer.from(JSON.stringify([rec.created_at, rec.id])).toString('base64url');
+}
+
+function decodeRecordingCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    // Both values are interpolated into a PostgREST or() filter, so only
+    // accept exactly the shapes we emit.
+    if (typeof createdAt !== 'string' || !TIMESTAMP_RE.test(createdAt)) return null;
+    if (typeof id !== 'string' || !UUID_RE.test(id)) return null;
+    return { createdAt, id };
+  } catch {
+    return null;
+  }
+}
+
+// List the caller's recordings, newest first.
+//   ?status=ready|processing|failed|deleted  ?callType=audio|video
+//   ?from=<iso>&to=<iso>  ?limit=1..100 (default 20)  ?cursor=<nextCursor>
+app.get('/recordings', verifyToken, async (req, res) => {
+  try {
+    const { status, callType, from, to, cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    let query = req.supabase
+      .from('call_recordings')
+      .select(RECORDING_COLUMNS)
+      .eq('subscriber_user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+
+    if (status) query = query.eq('status', status);
+    if (callType) query = query.eq('call_type', callType);
+    if (from) {
+      if (Number.isNaN(Date.parse(from))) return res.status(400).json({ error: 'invalid from' });
+      query = query.gte('created_at', new Date(from).toISOString());
+    }
+    if (to) {
+      if (Number.isNaN(Date.parse(to))) return res.status(400).json({ error: 'invalid to' });
+      query = query.lte('created_at', new Date(to).toISOString());
+    }
+    if (cursor) {
+      const after = decodeRecordingCursor(cursor);
+      if (!after) return res.status(400).json({ error: 'invalid cursor' });
+      query = query.or(
+        `created_at.lt."${after.createdAt}",and(created_at.eq."${after.createdAt}",id.lt.${after.id})`
+      );
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const page = data.slice(0, limit);
+    res.json({
+      recordings: page.map((rec) => toRecordingResponse(rec, req.user.id)),
+      nextCursor: data.length > limit ? encodeRecordingCursor(page[page.length - 1]) : null,
+    });
+  } catch (error) {
+    console.error('[recordings] list failed:', error);
+    res.status(500).json({ error: 'failed to list recordings' });
+  }
+});
+
+app.get('/recordings/:id', verifyToken, async (req, res) => {
+  try {
+    const { data: rec, error: lookupErr } = await req.supabase
+      .from('call_recordings')
+      .select(`subscriber_user_id, ${RECORDING_COLUMNS}`)
+      .eq('id', req.params.id)
+      .maybeSingle();
+    if (lookupErr) console.warn('[recordings] lookup error:', lookupErr.message);
 
     if (!rec) return res.status(404).json({ error: 'not found' });
     if (rec.subscriber_user_id !== req.user.id) return res.status(403).json({ error: 'forbidden' });
-    if (!(await userHasActiveRecordingSubscription(req.supabase, req.user.id))) {
+
+    res.json(toRecordingResponse(rec, req.user.id));
+  } catch (error) {
+    console.error('[recordings] get failed:', error);
+    res.status(500).json({ error: 'failed to load recording' });
+  }
+});
+
+async function findActiveRecordingGrant(db, recordingId, userId) {
+  const { data, error } = await db
+    .from('call_recording_shares')
+    .select('id, expires_at')
+    .eq('recording_id', recordingId)
+    .eq('grantee_user_id', userId)
+    .is('revoked_at', null)
+    .maybeSingle();
+  if (error) console.warn('[recording-share] grant lookup error:', error.message);
+  if (!data) return null;
+  if (data.expires_at && new Date(data.expires_at).getTime() <= Date.now()) return null;
+  return data;
+}
+
+// Signed download URL for a recording: the subscriber, or a user they shared
+// it with. Every URL handed out is recorded in call_recording_downloads.
+app.get('/recordings/:id/signed-url', verifyToken, async (req, res) => {
+  try {
+    const { data: rec, error: lookupErr } = await req.supabase
+      .from('call_recordings')
+      .select('id, subscriber_user_id, storage_path, status')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    if (lookupErr) console.warn('[signed-url] lookup error:', lookupErr.message);
+
+    if (!rec) return res.status(404).json({ error: 'not found' });
+
+    let access = 'owner';
+    let shareId = null;
+    if (rec.subscriber_user_id !== req.user.id) {
+      // Grantees don't need a subscription of their own.
+      const grant = await findActiveRecordingGrant(req.supabase, rec.id, req.user.id);
+      if (!grant) return res.status(403).json({ error: 'forbidden' });
+      access = 'grant';
+      shareId = grant.id;
+    } else if (!(await userHasEntitlement(req.supabase, req.user.id, 'call_recording'))) {
       console.warn('[signed-url] user=%s no active call_recording subscription', req.user.id);
       return res.status(403).json({ error: 'active call recording subscription required' });
     }
+    if (rec.status === 'deleted') return res.status(410).json({ error: 'recording deleted' });
     if (rec.status !== 'ready' || !rec.storage_path) {
       return res.status(409).json({ error: 'recording not ready' });
     }
@@ -1076,6 +2619,16 @@ app.get('/recordings/:id/signed-url', verifyToken, async (req, res) => {
       .createSignedUrl(rec.storage_path, 60 * 10);
     if (error) throw error;
 
+    const { error: auditErr } = await req.supabase.from('call_recording_downloads').insert({
+      recording_id: rec.id,
+      user_id: req.user.id,
+      share_id: shareId,
+      access,
+      ip: req.ip,
+      user_agent: req.headers['user-agent'] || null,
+    });
+    if (auditErr) console.warn('[signed-url] download audit insert failed:', auditErr.message);
+
     res.json({ url: data.signedUrl });
   } catch (error) {
     console.error('signed-url failed:', error);
@@ -1084,21 +2637,230 @@ app.get('/recordings/:id/signed-url', verifyToken, async (req, res) => {
 });
 
 // ============================================================
-// Admin: backfill subscriptions from Stripe into the DB.
-// One-off repair for users who paid while the webhook write was broken.
-// Protected by a shared secret (ADMIN_KEY, falls back to WEBHOOK_KEY).
-// Call: POST /admin/backfill-subscriptions  header  x-admin-key: <secret>
+// Recording sharing
 // ============================================================
-app.post('/admin/backfill-subscriptions', async (req, res) => {
-  const adminKey = process.env.ADMIN_KEY || process.env.WEBHOOK_KEY;
-  if (!adminKey) {
-    return res.status(500).json({ error: 'ADMIN_KEY/WEBHOOK_KEY not configured' });
+
+const SHARE_LINK_DEFAULT_HOURS = 7 * 24;
+const SHARE_LINK_MAX_HOURS = 30 * 24;
+
+// Link tokens are only stored hashed, so a leaked shares table can't be
+// turned into working links.
+function hashShareToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+const RECORDING_SHARE_ERRORS = {
+  recording_not_found: { code: 404, error: 'not found' },
+  recording_deleted: { code: 410, error: 'recording deleted' },
+  grantee_not_participant: { code: 400, error: 'recordings can only be shared with the other call participant' },
+  share_link_invalid: { code: 404, error: 'share link is invalid or has expired' },
+};
+
+function sendShareError(res, error, tag) {
+  const mapped = RECORDING_SHARE_ERRORS[error.message];
+  if (mapped) return res.status(mapped.code).json({ error: mapped.error });
+  console.error('[recording-share] %s failed:', tag, error);
+  return res.status(500).json({ error: `failed to ${tag}` });
+}
+
+// Share a recording.
+//   { userId?, expiresInHours? }  grant the other call participant (userId
+//                                 defaults to them); no expiry unless given
+//   { link: true, expiresInHours? }  create a share link (default 7 days)
+app.post('/recordings/:id/shares', verifyToken, async (req, res) => {
+  const { link = false, expiresInHours } = req.body;
+  let { userId } = req.body;
+  if (expiresInHours !== undefined && (typeof expiresInHours !== 'number' || expiresInHours <= 0)) {
+    return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+  }
+
+  try {
+    if (!(await userHasEntitlement(req.supabase, req.user.id, 'call_recording'))) {
+      return res.status(403).json({ error: 'active call recording subscription required' });
+    }
+
+    let expiresAt = null;
+    let token = null;
+    if (link) {
+      const hours = Math.min(expiresInHours || SHARE_LINK_DEFAULT_HOURS, SHARE_LINK_MAX_HOURS);
+      expiresAt = new Date(Date.now() + hours * 3600 * 1000).toISOString();
+      token = crypto.randomBytes(32).toString('base64url');
+      userId = null;
+    } else {
+      if (expiresInHours) expiresAt = new Date(Date.now() + expiresInHours * 3600 * 1000).toISOString();
+      if (!userId) {
+        const { data: rec } = await req.supabase
+          .from('call_recordings')
+          .select('subscriber_user_id, calls(caller_id, receiver_id)')
+          .eq('id', req.params.id)
+          .maybeSingle();
+        if (!rec || rec.subscriber_user_id !== req.user.id) return res.status(404).json({ error: 'not found' });
+        const call = rec.calls;
+        userId = call && (call.caller_id === req.user.id ? call.receiver_id : call.caller_id);
+        if (!userId) return res.status(400).json({ error: 'recording has no other participant' });
+      }
+    }
+
+    const { data: shareId, error } = await req.supabase.rpc('create_recording_share', {
+      p_recording_id: req.params.id,
+      p_grantee_user_id: userId,
+      p_token_hash: token ? hashShareToken(token) : null,
+      p_expires_at: expiresAt,
+    });
+    if (error) return sendShareError(res, error, 'share recording');
+
+    console.log('[recording-share] created share=%s recording=%s by=%s %s',
+      shareId, req.params.id, req.user.id, token ? 'link' : `grantee=${userId}`);
+    res.json({
+      shareId,
+      recordingId: req.params.id,
+      granteeUserId: userId,
+      expiresAt,
+      token,
+      url: token ? `${config.frontendUrl}/recordings/shared/${token}` : undefined,
+    });
+  } catch (error) {
+    sendShareError(res, error, 'share recording');
+  }
+});
+
+app.get('/recordings/:id/shares', verifyToken, async (req, res) => {
+  try {
+    const { data, error } = await req.supabase
+      .from('call_recording_shares')
+      .select('id, grantee_user_id, token_hash, parent_share_id, expires_at, revoked_at, created_at')
+      .eq('recording_id', req.params.id)
+      .eq('granted_by', req.user.id)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+
+    res.json({
+      shares: data.map((row) => ({
+        id: row.id,
+        type: row.token_hash ? 'link' : 'user',
+        granteeUserId: row.grantee_user_id,
+        viaLinkId: row.parent_share_id,
+        expiresAt: row.expires_at,
+        revokedAt: row.revoked_at,
+        createdAt: row.created_at,
+      })),
+    });
+  } catch (error) {
+    sendShareError(res, error, 'list shares');
   }
-  const provided = req.headers['x-admin-key'] || req.body?.key;
-  if (provided !== adminKey) {
-    return res.status(401).json({ error: 'unauthorized' });
+});
+
+app.delete('/recordings/:id/shares/:shareId', verifyToken, async (req, res) => {
+  try {
+    const { data: revoked, error } = await req.supabase.rpc('revoke_recording_share', {
+      p_share_id: req.params.shareId,
+    });
+    if (error) return sendShareError(res, error, 'revoke share');
+    if (!revoked) return res.status(404).json({ error: 'no active share' });
+
+    console.log('[recording-share] revoked share=%s recording=%s by=%s', req.params.shareId, req.params.id, req.user.id);
+    res.json({ revoked: true });
+  } catch (error) {
+    sendShareError(res, error, 'revoke share');
+  }
+});
+
+// Open a share link: turns it into a grant for the signed-in user, after
+// which /recordings/:id/signed-url works for them.
+app.post('/recordings/shared/redeem', verifyToken, async (req, res) => {
+  const { token } = req.body;
+  if (!token || typeof token !== 'string') return res.status(400).json({ error: 'token required' });
+
+  try {
+    const { data: recordingId, error } = await req.supabase.rpc('redeem_recording_share_link', {
+      p_token_hash: hashShareToken(token),
+    });
+    if (error) return sendShareError(res, error, 'redeem share link');
+
+    console.log('[recording-share] link redeemed recording=%s user=%s', recordingId, req.user.id);
+    res.json({ recordingId });
+  } catch (error) {
+    sendShareError(res, error, 'redeem share link');
   }
+});
 
+// Delete a recording (subscriber-only). No subscription check: users must be
+// able to delete their data even after their plan has lapsed.
+app.delete('/recordings/:id', verifyToken, async (req, res) => {
+  try {
+    const { data: rec, error: lookupErr } = await req.supabase
+      .from('call_recordings')
+      .select('id, subscriber_user_id, storage_path, status')
+      .eq('id', req.params.id)
+      .maybeSingle();
+    if (lookupErr) console.warn('[delete-recording] lookup error:', lookupErr.message);
+
+    if (!rec) return res.status(404).json({ error: 'not found' });
+    if (rec.subscriber_user_id !== req.user.id) return res.status(403).json({ error: 'forbidden' });
+    if (rec.status === 'deleted') return res.json({ deleted: true, alreadyDeleted: true });
+    if (rec.status === 'processing') {
+      // The Edge Function would upload the file after we delete the row.
+      return res.status(409).json({ error: 'recording is still processing' });
+    }
+
+    // Object first: if this fails the row still points at the file and the
+    // user can retry. The storage delete policy only allows the owner's folder.
+    if (rec.storage_path) {
+      const { error: removeErr } = await req.supabase.storage
+        .from('recordings')
+        .remove([rec.storage_path]);
+      if (removeErr) throw removeErr;
+    }
+
+    const { error: markErr } = await req.supabase.rpc('mark_recording_deleted', {
+      p_recording_id: rec.id,
+    });
+    if (markErr) throw markErr;
+
+    console.log('[delete-recording] deleted id=%s user=%s path=%s', rec.id, req.user.id, rec.storage_path || '-');
+    res.json({ deleted: true });
+  } catch (error) {
+    console.error('[delete-recording] failed:', error);
+    res.status(500).json({ error: 'failed to delete recording' });
+  }
+});
+
+// ============================================================
+// Admin endpoints, under /admin.
+// Callers sign in with Supabase like any user and need the admin role in
+// their JWT's app_metadata (see 20261019001400_admin_roles.sql). Reads use
+// the admin's own client, which the admin RLS policies open up; writes go
+// through RPCs that check the role again in the database.
+// ============================================================
+const requireAdminRole = (req, res, next) => {
+  if (req.user.app_metadata?.role !== 'admin') {
+    console.warn('[admin] user=%s without the admin role tried %s %s', req.user.id, req.method, req.originalUrl);
+    return res.status(403).json({ error: 'Admin role required' });
+  }
+  next();
+};
+
+const adminRouter = express.Router();
+adminRouter.use(verifyToken, requireAdminRole);
+app.use('/admin', adminRouter);
+
+// Configuration/capability report: which features this deployment can serve
+// and which env vars are missing or invalid. Names and status only — values
+// are never returned.
+adminRouter.get('/config', (req, res) => {
+  res.json({
+    environment: config.nodeEnv,
+    sandbox: config.sandbox,
+    supabaseKeyRole: config.supabase.keyIsServiceRole ? 'service_role' : 'other',
+    recordingConsentPolicy: config.recordingConsentPolicy,
+    plans: Object.keys(SUBSCRIPTION_PLANS).filter((key) => SUBSCRIPTION_PLANS[key].priceId),
+    ...configReport,
+  });
+});
+
+// Backfill subscriptions from Stripe into the DB.
+// One-off repair for users who paid while the webhook write was broken.
+adminRouter.post('/backfill-subscriptions', async (req, res) => {
   const result = { processed: 0, upserted: 0, skipped_no_user_id: 0, failed: 0 };
   try {
     // Walk every subscription in the Stripe account (all statuses) and sync the
@@ -1131,6 +2893,709 @@ app.post('/admin/backfill-subscriptions', async (req, res) => {
   }
 });
 
+// Refund a credit top-up and take the credits back in one step.
+//   { paymentIntentId, amount?, reason? }  amount in cents, defaults to the
+//   full remaining amount. The refund's Stripe idempotency key is the
+//   Idempotency-Key header, or else the PaymentIntent, amount and admin, so a
+//   double submit doesn't refund twice; refunding the same amount again on
+//   purpose within 24 hours takes a new Idempotency-Key. The charge.refunded webhook that follows finds the
+//   reversal already applied and skips it. A refund that is still pending is
+//   reversed by charge.refund.updated once it succeeds.
+adminRouter.post('/refund-topup', async (req, res) => {
+  const { paymentIntentId, amount, reason } = req.body || {};
+  if (!paymentIntentId || typeof paymentIntentId !== 'string') {
+    return res.status(400).json({ error: 'paymentIntentId required' });
+  }
+  if (amount !== undefined && (typeof amount !== 'number' || !Number.isInteger(amount) || amount <= 0)) {
+    return res.status(400).json({ error: 'amount must be a positive integer (smallest currency unit)' });
+  }
+  const clientKey = req.get('idempotency-key');
+  if (clientKey !== undefined && !IDEMPOTENCY_KEY_RE.test(clientKey)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 1-128 printable ASCII characters' });
+  }
+  const idempotencyKey = `${req.user.id}:refund-topup:${clientKey ?? `${paymentIntentId}:${amount ?? 'full'}`}`;
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    if (paymentIntent.metadata?.type !== 'credit_topup') {
+      return res.status(400).json({ error: 'PaymentIntent is not a credit top-up' });
+    }
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(409).json({ error: `PaymentIntent is ${paymentIntent.status}` });
+    }
+
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      amount,
+      reason: 'requested_by_customer',
+      metadata: { source: 'admin_refund_topup', note: reason || '' },
+    }, { idempotencyKey });
+
+    const reversal = refund.status === 'succeeded'
+      ? await reverseRefund(paymentIntentId, refund, reason ? `Top-up refunded by admin: ${reason}` : 'Top-up refunded by admin')
+      : null;
+
+    res.json({
+      success: true,
+      refundId: refund.id,
+      refundStatus: refund.status,
+      amount: refund.amount,
+      userId: reversal?.user_id || paymentIntent.metadata.userId,
+      credits: reversal?.credits ?? null,
+      flagged: reversal?.flagged ?? false,
+    });
+  } catch (error) {
+    console.error('[refund-topup] failed payment_intent=%s:', paymentIntentId, error);
+    if (error.type === 'StripeIdempotencyError') {
+      return res.status(409).json({ error: 'This refund was already requested with a different reason; send a new Idempotency-Key to refund again' });
+    }
+    if (error.type === 'StripeInvalidRequestError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'refund failed' });
+  }
+});
+
+// Replay Stripe events through the webhook inbox. Events are re-fetched from
+// Stripe (which keeps them for 30 days), so this also recovers events that
+// never reached us at all.
+//   { eventId, force? }      one event; force re-runs it even if processed
+//   { from, to? }            every event created in the range that the handler
+//                            hasn't processed yet (failed, stuck or missing)
+// handler defaults to 'stripe'; pass 'recording' for the recording webhook, or
+// 'connect' with { eventId, account } for an event of a connected account.
+adminRouter.post('/replay-webhook-events', async (req, res) => {
+  const { eventId, from, to, handler = 'stripe', force = false, account } = req.body || {};
+  if (!STRIPE_EVENT_HANDLERS[handler]) {
+    return res.status(400).json({ error: `unknown handler: ${handler}` });
+  }
+  if (handler === 'connect' && (!eventId || !/^acct_\w+$/.test(account || ''))) {
+    return res.status(400).json({ error: 'connect replays need eventId and account' });
+  }
+  if (!eventId && !from) {
+    return res.status(400).json({ error: 'eventId or from required' });
+  }
+
+  const result = { replayed: 0, skipped: 0, failed: 0, events: [] };
+  const replay = async (event, forceEvent) => {
+    try {
+      const outcome = await processStripeEvent(handler, event, { force: forceEvent });
+      if (outcome === 'processed') result.replayed++;
+      else result.skipped++;
+      result.events.push({ id: event.id, type: event.type, outcome });
+    } catch (err) {
+      result.failed++;
+      result.events.push({ id: event.id, type: event.type, outcome: 'failed', error: err.message });
+    }
+  };
+
+  try {
+    if (eventId) {
+      const options = account ? { stripeAccount: account } : undefined;
+      await replay(await stripe.events.retrieve(eventId, {}, options), !!force);
+    } else {
+      const gte = Math.floor(new Date(from).getTime() / 1000);
+      const lte = to ? Math.floor(new Date(to).getTime() / 1000) : Math.floor(Date.now() / 1000);
+      if (!Number.isFinite(gte) || !Number.isFinite(lte) || gte > lte) {
+        return res.status(400).json({ error: 'invalid from/to range' });
+      }
+      for await (const event of stripe.events.list({ created: { gte, lte }, limit: 100 })) {
+        await replay(event, false);
+      }
+    }
+    console.log('[replay] done handler=%s replayed=%d skipped=%d failed=%d',
+      handler, result.replayed, result.skipped, result.failed);
+    res.json({ success: result.failed === 0, ...result });
+  } catch (error) {
+    console.error('[replay] failed:', error);
+    res.status(500).json({ error: 'replay failed', ...result });
+  }
+});
+
+// Force a composition retry for one call's failed or stuck recordings. The
+// retry itself runs in the twilio-recording-webhook Edge Function (it has the
+// service-role key and the Twilio/Storage plumbing); this skips the backoff
+// and attempt cap, but not recordings marked non-retryable.
+//   { callId }
+adminRouter.post('/retry-recording', async (req, res) => {
+  const { callId } = req.body || {};
+  if (!callId || typeof callId !== 'string' || !UUID_RE.test(callId)) {
+    return res.status(400).json({ error: 'callId (uuid) required' });
+  }
+  const callbackUrl = getRecordingCallbackUrl();
+  if (!callbackUrl) {
+    return res.status(500).json({ error: 'Recording webhook not configured' });
+  }
+
+  try {
+    const resp = await fetch(`${callbackUrl}&task=retry-compositions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ callId }),
+    });
+    const text = await resp.text();
+    if (!resp.ok) {
+      console.error('[retry-recording] edge function %d for callId=%s: %s', resp.status, callId, text);
+      return res.status(502).json({ error: 'retry failed' });
+    }
+    const result = text ? JSON.parse(text) : { retried: 0, results: [] };
+    console.log('[retry-recording] callId=%s retried=%d', callId, result.retried);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[retry-recording] failed callId=%s:', callId, error);
+    res.status(500).json({ error: 'retry failed' });
+  }
+});
+
+// ---- Withdrawals ----
+
+const WITHDRAWAL_STATUSES = ['pending', 'processing', 'held', 'completed', 'failed'];
+
+// review_withdrawal raises these as plain exception messages.
+const WITHDRAWAL_REVIEW_ERRORS = {
+  not_admin: { code: 403, error: 'Admin role required' },
+  withdrawal_not_found: { code: 404, error: 'Withdrawal request not found' },
+  withdrawal_not_held: { code: 409, error: 'Withdrawal request is not held for review' },
+};
+
+// List and search withdrawal requests, newest first.
+//   ?status=held&userId=<uuid>&from=<iso>&to=<iso>&q=<request, user or transfer id>
+//   &limit=50&offset=0
+adminRouter.get('/withdrawals', async (req, res) => {
+  const { status, userId, from, to, q } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  let query = req.supabase
+    .from('withdrawal_requests')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (status) {
+    if (!WITHDRAWAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${WITHDRAWAL_STATUSES.join(', ')}` });
+    }
+    query = query.eq('status', status);
+  }
+  if (userId) {
+    if (!UUID_RE.test(userId)) return res.status(400).json({ error: 'invalid userId' });
+    query = query.eq('user_id', userId);
+  }
+  if (from) {
+    if (Number.isNaN(Date.parse(from))) return res.status(400).json({ error: 'invalid from' });
+    query = query.gte('created_at', new Date(from).toISOString());
+  }
+  if (to) {
+    if (Number.isNaN(Date.parse(to))) return res.status(400).json({ error: 'invalid to' });
+    query = query.lte('created_at', new Date(to).toISOString());
+  }
+  if (q) {
+    if (UUID_RE.test(q)) query = query.or(`id.eq.${q},user_id.eq.${q}`);
+    else if (/^tr_\w+$/.test(q)) query = query.eq('stripe_transfer_id', q);
+    else return res.status(400).json({ error: 'q must be a request id, user id or transfer id' });
+  }
+
+  try {
+    const { data, error, count } = await query;
+    if (error) throw error;
+    res.json({ withdrawals: data, total: count, limit, offset });
+  } catch (error) {
+    console.error('[admin] list withdrawals failed:', error);
+    res.status(500).json({ error: 'failed to list withdrawals' });
+  }
+});
+
+async function reviewWithdrawal(req, res, approve) {
+  const { id } = req.params;
+  if (!UUID_RE.test(id)) return res.status(400).json({ error: 'invalid withdrawal request id' });
+  const note = typeof req.body?.note === 'string' && req.body.note.trim() ? req.body.note.trim().slice(0, 500) : null;
+
+  const { data, error } = await req.supabase.rpc('review_withdrawal', {
+    p_withdrawal_request_id: id,
+    p_approve: approve,
+    p_note: note,
+  });
+  if (error) {
+    const status = WITHDRAWAL_REVIEW_ERRORS[error.message];
+    if (status) return res.status(status.code).json({ error: status.error });
+    console.error('[admin] review withdrawal=%s failed: %s', id, error.message);
+    return res.status(500).json({ error: 'review failed' });
+  }
+  const request = data?.[0];
+  console.log('[admin] withdrawal=%s %s by admin=%s user=%s amount=%s',
+    id, approve ? 'approved' : 'rejected', req.user.id, request.user_id, request.amount);
+  if (!approve) return res.json({ success: true, status: 'failed' });
+
+  // Approved: the request is back in 'processing' with its funds reserved,
+  // so the payout is the same as an unheld withdrawal.
+  try {
+    // The currency was stamped on the request when its funds were reserved.
+    const { data: reserved, error: readErr } = await req.supabase
+      .from('withdrawal_requests')
+      .select('currency')
+      .eq('id', id)
+      .single();
+    if (readErr) throw readErr;
+    const currency = reserved.currency || 'usd';
+    const payout = await transferReservedWithdrawal({
+      withdrawalRequestId: id,
+      userId: request.user_id,
+      accountId: request.stripe_account_id,
+      amount: Number(request.amount),
+      currency,
+    });
+    res.json({ success: true, status: 'completed', ...withdrawalPayoutFields(payout, currency) });
+  } catch (error) {
+    console.error('[admin] approved withdrawal=%s but the payout failed:', id, error);
+    res.status(502).json({ error: 'Approved, but the transfer failed', message: error.message });
+  }
+}
+
+//   { note? }
+adminRouter.post('/withdrawals/:id/approve', (req, res) => reviewWithdrawal(req, res, true));
+adminRouter.post('/withdrawals/:id/reject', (req, res) => reviewWithdrawal(req, res, false));
+
+// ---- Users ----
+
+// A user's wallet, subscriptions, recent withdrawals and Connect status.
+adminRouter.get('/users/:userId', async (req, res) => {
+  const { userId } = req.params;
+  if (!UUID_RE.test(userId)) return res.status(400).json({ error: 'invalid userId' });
+
+  try {
+    const [wallet, subscriptions, withdrawals, connectAccount] = await Promise.all([
+      req.supabase.from('wallets').select('*').eq('user_id', userId).maybeSingle(),
+      req.supabase.from('subscriptions').select('*').eq('user_id', userId).order('created_at', { ascending: false }),
+      req.supabase.from('withdrawal_requests').select('*').eq('user_id', userId)
+        .order('created_at', { ascending: false }).limit(20),
+      req.supabase.from('connect_accounts').select('*').eq('user_id', userId).maybeSingle(),
+    ]);
+    for (const result of [wallet, subscriptions, withdrawals, connectAccount]) {
+      if (result.error) throw result.error;
+    }
+
+    res.json({
+      userId,
+      wallet: wallet.data,
+      subscriptions: subscriptions.data,
+      recentWithdrawals: withdrawals.data,
+      // As of the last account.updated / status check, not a live read.
+      connectAccount: connectAccount.data && {
+        id: connectAccount.data.stripe_account_id,
+        detailsSubmitted: connectAccount.data.details_submitted,
+        chargesEnabled: connectAccount.data.charges_enabled,
+        payoutsEnabled: connectAccount.data.payouts_enabled,
+        currentlyDue: connectAccount.data.currently_due,
+        pastDue: connectAccount.data.past_due,
+        disabledReason: connectAccount.data.disabled_reason,
+        syncedAt: connectAccount.data.synced_at,
+      },
+    });
+  } catch (error) {
+    console.error('[admin] user lookup failed user=%s:', userId, error);
+    res.status(500).json({ error: 'user lookup failed' });
+  }
+});
+
+// ---- Subscriptions ----
+
+// Re-sync one subscription row from Stripe, e.g. after a missed webhook.
+adminRouter.post('/subscriptions/:subscriptionId/resync', async (req, res) => {
+  const { subscriptionId } = req.params;
+  if (!/^sub_\w+$/.test(subscriptionId)) return res.status(400).json({ error: 'invalid subscription id' });
+
+  try {
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    const userId = subscription.metadata?.user_id;
+    if (!userId) {
+      return res.status(422).json({ error: 'Subscription has no user_id metadata' });
+    }
+    await upsertSubscriptionRow(userId, subscription, subscription.customer);
+    console.log('[admin] resynced sub=%s user=%s status=%s', subscription.id, userId, subscription.status);
+    res.json({
+      success: true,
+      userId,
+      status: subscription.status,
+      cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+      currentPeriodEnd: subscription.current_period_end
+        ? new Date(subscription.current_period_end * 1000).toISOString()
+        : null,
+    });
+  } catch (error) {
+    if (error.code === 'resource_missing') return res.status(404).json({ error: 'Subscription not found' });
+    console.error('[admin] resync failed sub=%s:', subscriptionId, error);
+    res.status(500).json({ error: 'resync failed' });
+  }
+});
+
+// ---- Payout reconciliation ----
+// Stripe transfers and payouts against withdrawal_requests, transactions and
+// wallets; the matching rules are in reconciliation.js.
+
+const RECONCILIATION_DEFAULT_DAYS = 7;
+const RECONCILIATION_MAX_RANGE_MS = 93 * 24 * 60 * 60 * 1000;
+const RECONCILIATION_STUCK_MS = 60 * 60 * 1000;
+const RECONCILIATION_MAX_TRANSFERS = 5000;
+// Per-object Stripe calls: transfers recorded outside the range, and the
+// payout lists of connected accounts.
+const RECONCILIATION_MAX_LOOKUPS = 200;
+
+// PostgREST caps each response (1000 rows by default), so page through.
+async function selectAllRows(buildQuery, pageSize = 1000) {
+  const rows = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await buildQuery().range(offset, offset + pageSize - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < pageSize) return rows;
+  }
+}
+
+// .in() filters travel in the URL, so long id lists go in chunks.
+async function selectByIds(db, table, column, ids) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  const rows = [];
+  for (let i = 0; i < unique.length; i += 100) {
+    const { data, error } = await db.from(table).select('*').in(column, unique.slice(i, i + 100));
+    if (error) throw error;
+    rows.push(...data);
+  }
+  return rows;
+}
+
+// Fetch everything buildPayoutReconciliation compares for transfers created
+// between from and to. db must be able to read every user's rows: the admin's
+// client, or the service-role client for the scheduled job.
+async function reconcilePayouts(db, { from, to, stuckAfterMs = RECONCILIATION_STUCK_MS }) {
+  const created = { gte: Math.floor(from.getTime() / 1000), lte: Math.floor(to.getTime() / 1000) };
+  const warnings = [];
+
+  const transfers = [];
+  for await (const transfer of stripe.transfers.list({ created, limit: 100 })) {
+    if (transfers.length >= RECONCILIATION_MAX_TRANSFERS) {
+      warnings.push(`more than ${RECONCILIATION_MAX_TRANSFERS} transfers in the range; only the newest were checked`);
+      break;
+    }
+    transfers.push(transfer);
+  }
+
+  // Requests created in the range, every request with reserved funds (stuck
+  // ones can be older than the range, and they make up reserved_earnings),
+  // and whatever the transfers point at.
+  const requestLists = await Promise.all([
+    selectAllRows(() => db.from('withdrawal_requests').select('*').order('id')
+      .gte('created_at', from.toISOString())
+      .lte('created_at', to.toISOString())),
+    selectAllRows(() => db.from('withdrawal_requests').select('*').order('id')
+      .in('status', ['processing', 'held'])),
+    selectByIds(db, 'withdrawal_requests', 'stripe_transfer_id', transfers.map((t) => t.id)),
+    selectByIds(db, 'withdrawal_requests', 'id',
+      transfers.map((t) => t.metadata?.withdrawalRequestId).filter((id) => UUID_RE.test(id || ''))),
+  ]);
+  const requests = [...new Map(requestLists.flat().map((r) => [r.id, r])).values()];
+
+  // Transfers recorded on those requests but created outside the range.
+  const listed = new Set(transfers.map((t) => t.id));
+  const unlisted = [...new Set(requests.map((r) => r.stripe_transfer_id).filter((id) => id && !listed.has(id)))];
+  if (unlisted.length > RECONCILIATION_MAX_LOOKUPS) {
+    warnings.push(`${unlisted.length - RECONCILIATION_MAX_LOOKUPS} recorded transfers outside the range were not checked`);
+  }
+  const linkedTransfers = [];
+  const missingTransferIds = [];
+  for (const id of unlisted.slice(0, RECONCILIATION_MAX_LOOKUPS)) {
+    try {
+      linkedTransfers.push(await stripe.transfers.retrieve(id));
+    } catch (error) {
+      if (error.code !== 'resource_missing') throw error;
+      missingTransferIds.push(id);
+    }
+  }
+
+  const accountIds = [...new Set(transfers.map((t) => t.destination))];
+  const connectAccounts = await selectByIds(db, 'connect_accounts', 'stripe_account_id', accountIds);
+  const userIds = [
+    ...requests.map((r) => r.user_id),
+    ...connectAccounts.map((a) => a.user_id),
+    ...transfers.map((t) => t.metadata?.userId).filter((id) => UUID_RE.test(id || '')),
+  ];
+  const [transactions, wallets] = await Promise.all([
+    selectByIds(db, 'transactions', 'withdrawal_request_id', requests.map((r) => r.id)),
+    selectByIds(db, 'wallets', 'user_id', userIds),
+  ]);
+
+  // Money that reached a connected account but not the user's bank.
+  if (accountIds.length > RECONCILIATION_MAX_LOOKUPS) {
+    warnings.push(`payouts of ${accountIds.length - RECONCILIATION_MAX_LOOKUPS} connected accounts were not checked`);
+  }
+  const failedPayouts = [];
+  for (const accountId of accountIds.slice(0, RECONCILIATION_MAX_LOOKUPS)) {
+    try {
+      const payouts = stripe.payouts.list({ created, status: 'failed', limit: 100 }, { stripeAccount: accountId });
+      for await (const payout of payouts) failedPayouts.push({ accountId, payout });
+    } catch (error) {
+      warnings.push(`payouts of ${accountId} could not be listed: ${error.message}`);
+    }
+  }
+
+  const report = buildPayoutReconciliation({
+    from,
+    to,
+    stuckAfterMs,
+    transfers,
+    linkedTransfers,
+    missingTransferIds,
+    requests,
+    transactions: transactions.filter((t) => ['withdrawal', 'withdrawal_reversal'].includes(t.transaction_type)),
+    wallets,
+    connectAccounts,
+    failedPayouts,
+  });
+  return { ...report, warnings };
+}
+
+// Report payout discrepancies for transfers created in a date range.
+//   ?from=<iso>&to=<iso>   default: the last 7 days; at most 93 days
+//   &stuckMinutes=60       how long a request may stay 'processing'
+//   &format=json|csv
+adminRouter.get('/reconciliation/payouts', async (req, res) => {
+  const { format = 'json' } = req.query;
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - RECONCILIATION_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    return res.status(400).json({ error: 'invalid from/to range' });
+  }
+  if (to - from > RECONCILIATION_MAX_RANGE_MS) {
+    return res.status(400).json({ error: 'range is limited to 93 days' });
+  }
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+  let stuckAfterMs = RECONCILIATION_STUCK_MS;
+  if (req.query.stuckMinutes !== undefined) {
+    const minutes = Number(req.query.stuckMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 7 * 24 * 60) {
+      return res.status(400).json({ error: 'stuckMinutes must be between 1 and 10080' });
+    }
+    stuckAfterMs = minutes * 60 * 1000;
+  }
+
+  try {
+    const report = await reconcilePayouts(req.supabase, { from, to, stuckAfterMs });
+    console.log('[reconcile] admin=%s from=%s to=%s transfers=%d issues=%d',
+      req.user.id, report.from, report.to, report.summary.transfers, report.summary.issues);
+    if (format === 'json') return res.json(report);
+    res.type('text/csv')
+      .attachment(`payout-reconciliation-${report.from.slice(0, 10)}-${report.to.slice(0, 10)}.csv`)
+      .send(reconciliationToCsv(report));
+  } catch (error) {
+    console.error('[reconcile] failed:', error);
+    res.status(500).json({ error: 'reconciliation failed' });
+  }
+});
+
+// Scheduled run (PAYOUT_RECONCILIATION_INTERVAL_HOURS). Each run covers the
+// last two intervals, so one failed run is picked up by the next, and logs
+// every issue as its own warning line for log-based alerts. It reads with the
+// backend's client, so it only runs with the service-role key (or in sandbox).
+function schedulePayoutReconciliation() {
+  const hours = config.withdrawals.reconciliationIntervalHours;
+  if (!hours || (!config.supabase.keyIsServiceRole && !sandbox)) return;
+  const intervalMs = hours * 60 * 60 * 1000;
+
+  const run = () => logContext.run({ requestId: `reconcile-${crypto.randomUUID()}` }, async () => {
+    const to = new Date();
+    const from = new Date(to.getTime() - 2 * intervalMs);
+    try {
+      const report = await reconcilePayouts(supabase, { from, to });
+      for (const issue of report.issues) {
+        logFields('warn', { reconciliationIssue: issue }, '[reconcile] %s: %s', issue.type, issue.detail);
+      }
+      for (const warning of report.warnings) console.warn('[reconcile] %s', warning);
+      console.log('[reconcile] scheduled run from=%s to=%s transfers=%d issues=%d',
+        report.from, report.to, report.summary.transfers, report.summary.issues);
+    } catch (error) {
+      console.error('[reconcile] scheduled run failed:', error);
+    }
+  });
+
+  setInterval(run, intervalMs).unref();
+  console.log('[reconcile] scheduled payout reconciliation every %dh', hours);
+}
+
+// ============================================================
+// Sandbox-only endpoints (SANDBOX_MODE=true; never registered otherwise).
+// Drive the flows that normally start at Stripe or Twilio, and inspect or
+// seed the in-memory data. See sandbox.js.
+// ============================================================
+if (sandbox) {
+  const ctl = sandbox.stripeControls;
+
+  // Stripe events are built from the fake's objects and run through the same
+  // webhook inbox as real deliveries, so duplicates and failures behave the
+  // same. The Twilio events do in-process what the recording Edge Function
+  // would, minus billing and the consent check.
+  const SIMULATIONS = {
+    // { paymentIntentId } from /create-payment-intent, or { userId, amount,
+    // currency? } (smallest unit) for a top-up that never went through the API.
+    'payment_intent.succeeded': async ({ paymentIntentId, userId, amount, currency = 'usd' }) => {
+      let id = paymentIntentId;
+      if (!id) {
+        if (!UUID_RE.test(userId || '') || !Number.isInteger(amount) || amount <= 0) {
+          throw new Error('paymentIntentId, or userId (uuid) and amount (smallest currency unit), required');
+        }
+        ({ id } = await stripe.paymentIntents.create({
+          amount, currency, metadata: { userId, type: 'credit_topup' },
+        }));
+      }
+      return { handler: 'stripe', event: ctl.event('payment_intent.succeeded', await ctl.succeedPaymentIntent(id)) };
+    },
+
+    // { sessionId } from /stripe/create-subscription-checkout.
+    'checkout.session.completed': async ({ sessionId }) => ({
+      handler: 'recording',
+      event: ctl.event('checkout.session.completed', await ctl.completeCheckout(sessionId)),
+    }),
+
+    // { subscriptionId } or { userId, planKey } for a new one, plus the
+    // fields to change: { status, cancelAtPeriodEnd }.
+    'customer.subscription.updated': async ({ subscriptionId, userId, planKey = DEFAULT_PLAN_KEY, status, cancelAtPeriodEnd }) => {
+      let subscription;
+      if (subscriptionId) {
+        subscription = await ctl.subscription(subscriptionId);
+      } else {
+        const plan = SUBSCRIPTION_PLANS[planKey];
+        if (!UUID_RE.test(userId || '') || !plan) throw new Error('subscriptionId, or userId (uuid) and a valid planKey, required');
+        subscription = ctl.createSubscription({
+          customer: `cus_sandbox_${userId.slice(0, 8)}`,
+          metadata: { user_id: userId, product: plan.product, plan: planKey },
+          priceId: plan.priceId,
+        });
+      }
+      if (status) subscription.status = status;
+      if (cancelAtPeriodEnd !== undefined) subscription.cancel_at_period_end = !!cancelAtPeriodEnd;
+      return { handler: 'recording', event: ctl.event('customer.subscription.updated', subscription) };
+    },
+
+    // { accountId, payoutsEnabled?, currentlyDue?, defaultCurrency? }:
+    // onboarding progress, or a payout currency to test conversions with.
+    'account.updated': async ({ accountId, payoutsEnabled, currentlyDue, defaultCurrency }) => {
+      const account = await ctl.account(accountId);
+      if (payoutsEnabled !== undefined) Object.assign(account, { payouts_enabled: !!payoutsEnabled, charges_enabled: !!payoutsEnabled });
+      if (defaultCurrency) account.default_currency = String(defaultCurrency).toLowerCase();
+      if (Array.isArray(currentlyDue)) account.requirements.currently_due = currentlyDue;
+      return { handler: 'connect', event: ctl.event('account.updated', account) };
+    },
+
+    // { refundId, status }: a refund settling ('succeeded') or bouncing
+    // ('failed', 'canceled') after it was created.
+    'charge.refund.updated': async ({ refundId, status = 'failed' }) => {
+      const refund = await ctl.refund(refundId);
+      refund.status = status;
+      return { handler: 'stripe', event: ctl.event('charge.refund.updated', refund) };
+    },
+
+    // { transferId } from /stripe/process-withdrawal.
+    'transfer.failed': async ({ transferId, reason = 'Simulated transfer failure' }) => {
+      const transfer = await ctl.transfer(transferId);
+      // A failed transfer moved no money, which reconciliation sees as reversed.
+      Object.assign(transfer, { status: 'failed', failure_message: reason, reversed: true, amount_reversed: transfer.amount });
+      return { handler: 'stripe', event: ctl.event('transfer.updated', transfer) };
+    },
+
+    // { accountId, amount } (cents): the connected account's payout to the
+    // user's bank bounced.
+    'payout.failed': async ({ accountId, amount, reason = 'Simulated payout failure' }) => {
+      await ctl.account(accountId);
+      const payout = ctl.failPayout({ account: accountId, amount, reason });
+      return { handler: 'connect', event: ctl.event('payout.failed', payout, accountId) };
+    },
+
+    // { callId }: ends the room and, for a recorded call, starts a composition.
+    'room-ended': async ({ callId }) => {
+      const call = sandbox.store.find('calls', (c) => c.id === callId);
+      if (!call) throw new Error(`no call ${callId}`);
+      const endedAt = new Date().toISOString();
+      call.ended_at = endedAt;
+      if (call.twilio_room_sid) await twilioClient.video.v1.rooms(call.twilio_room_sid).update({ status: 'completed' }).catch(() => {});
+      for (const session of sandbox.store.rows('call_participant_sessions')) {
+        if (session.call_id === callId && !session.disconnected_at) session.disconnected_at = endedAt;
+      }
+      if (!call.recording_subscriber_id) return { result: 'ended, no recording subscriber' };
+      const recording = sandbox.store.insert('call_recordings', {
+        call_id: callId,
+        subscriber_user_id: call.recording_subscriber_id,
+        twilio_composition_sid: `CJ${crypto.randomBytes(16).toString('hex')}`,
+        storage_path: '',
+        media_format: call.call_type === 'video' ? 'mp4' : 'mp3',
+        call_type: call.call_type,
+        status: 'processing',
+        attempts: 0,
+        retryable: true,
+        attempt_errors: [],
+      });
+      return { result: 'ended, composition started', recordingId: recording.id };
+    },
+
+    // { callId }: the composition is done; stores placeholder media.
+    'composition-available': async ({ callId }) => {
+      const rec = sandbox.store.find('call_recordings', (r) => r.call_id === callId && r.status === 'processing');
+      if (!rec) throw new Error(`no processing recording for call ${callId}`);
+      const media = Buffer.from(`sandbox recording ${rec.id}`);
+      const storagePath = `${rec.subscriber_user_id}/${rec.call_id}.${rec.media_format}`;
+      sandbox.store.objects.set(`recordings/${storagePath}`, { size: media.length });
+      Object.assign(rec, {
+        status: 'ready',
+        storage_path: storagePath,
+        size_bytes: media.length,
+        checksum_sha256: crypto.createHash('sha256').update(media).digest('hex'),
+      });
+      return { result: 'ready', recordingId: rec.id, storagePath };
+    },
+  };
+
+  // POST /dev/simulate  { type, handler?, force?, ...params }
+  app.post('/dev/simulate', async (req, res) => {
+    const { type, handler, force, ...params } = req.body || {};
+    const simulate = SIMULATIONS[type];
+    if (!simulate) {
+      return res.status(400).json({ error: `type must be one of: ${Object.keys(SIMULATIONS).join(', ')}` });
+    }
+    try {
+      const outcome = await simulate(params);
+      if (!outcome.event) return res.json({ type, ...outcome });
+      const handlerName = handler || outcome.handler;
+      const result = await processStripeEvent(handlerName, outcome.event, { force: !!force });
+      res.json({ type, eventId: outcome.event.id, handler: handlerName, result, object: outcome.event.data.object });
+    } catch (error) {
+      console.warn('[sandbox] simulate %s failed: %s', type, error.message);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/dev/sandbox/state', (req, res) => {
+    res.json(sandbox.snapshot());
+  });
+
+  // Seed rows the app expects to exist (calls, wallets, withdrawal_requests…).
+  //   { table, rows: [...] }
+  app.post('/dev/sandbox/rows', (req, res) => {
+    const { table, rows } = req.body || {};
+    if (!table || typeof table !== 'string' || !Array.isArray(rows)) {
+      return res.status(400).json({ error: 'table and rows[] required' });
+    }
+    res.json({ table, rows: rows.map((row) => sandbox.store.insert(table, row)) });
+  });
+
+  // Target of the fake's signed URLs.
+  app.get('/dev/sandbox/storage/:bucket/*', (req, res) => {
+    const key = `${req.params.bucket}/${req.params[0]}`;
+    if (!sandbox.store.objects.has(key)) return res.status(404).json({ error: 'Object not found' });
+    res.type('text/plain').send(`sandbox object ${key}\n`);
+  });
+}
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -1139,7 +3604,14 @@ app.use('*', (req, res) => {
       'GET /',
       'GET /health',
       'GET /stripe/balance',
+      'GET /plans',
+      'GET /recordings',
+      'GET /recordings/:id',
       'GET /recordings/:id/signed-url',
+      'GET /admin/config',
+      'GET /admin/withdrawals',
+      'GET /admin/users/:userId',
+      'GET /admin/reconciliation/payouts',
       'POST /create-payment-intent',
       'POST /stripe/create-express-account',
       'POST /stripe/create-account-link',
@@ -1147,13 +3619,35 @@ app.use('*', (req, res) => {
       'POST /stripe/process-withdrawal',
       'POST /stripe/create-subscription-checkout',
       'POST /stripe/cancel-subscription',
+      'POST /stripe/resume-subscription',
+      'POST /stripe/billing-portal',
       'POST /admin/backfill-subscriptions',
+      'POST /admin/refund-topup',
+      'POST /admin/replay-webhook-events',
+      'POST /admin/retry-recording',
+      'POST /admin/withdrawals/:id/approve',
+      'POST /admin/withdrawals/:id/reject',
+      'POST /admin/subscriptions/:subscriptionId/resync',
       'POST /stripe/webhook',
+      'POST /stripe/webhook/connect',
       'POST /webhook',
       'POST /twilio/create-room',
       'POST /twilio/start-recording',
+      'POST /twilio/pause-recording',
+      'POST /twilio/resume-recording',
       'POST /twilio/end-room',
+      'POST /twilio/token',
+      'POST /recording-consent/request',
+      'POST /recording-consent/accept',
+      'POST /recording-consent/decline',
+      'GET /recording-consent/:callId',
       'POST /twilio/recording-webhook',
+      'DELETE /recordings/:id',
+      'POST /recordings/:id/shares',
+      'GET /recordings/:id/shares',
+      'DELETE /recordings/:id/shares/:shareId',
+      'POST /recordings/shared/redeem',
+      ...(sandbox ? ['POST /dev/simulate', 'GET /dev/sandbox/state', 'POST /dev/sandbox/rows'] : []),
     ],
   });
 });
@@ -1162,7 +3656,7 @@ app.use((error, req, res, next) => {
   console.error('Server error:', error);
   res.status(500).json({
     error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong',
+    message: config.nodeEnv === 'development' ? error.message : 'Something went wrong',
   });
 });
 
@@ -1171,16 +3665,18 @@ process.on('SIGINT', () => { console.log('SIGINT received, shutting down gracefu
 
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`TalkProfit Payment Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Stripe configured: ${process.env.STRIPE_SECRET_KEY ? 'yes' : 'no'}`);
-  console.log(`Twilio configured: ${process.env.TWILIO_API_KEY ? 'yes' : 'no'}`);
+  console.log(`Environment: ${config.nodeEnv}`);
+  const enabled = Object.entries(configReport.capabilities).filter(([, c]) => c.enabled).map(([name]) => name);
+  console.log(`Features enabled: ${enabled.join(', ') || '(none)'}`);
   const cb = getRecordingCallbackUrl();
   if (cb) {
-    console.log(`Twilio recording callback: ${cb}`);
+    // Never log the URL itself: its ?key= is the webhook secret.
+    console.log(`Twilio recording callback: ${cb.split('?')[0]}`);
   } else {
     console.warn('Twilio recording callback: DISABLED — set PUBLIC_BACKEND_URL to a publicly reachable https URL (e.g. https://your-app.up.railway.app) or compositions will never be created.');
   }
   logSupabaseDiagnostic();
+  schedulePayoutReconciliation();
 });
 
 server.on('error', (error) => {
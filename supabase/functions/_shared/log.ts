@@ -0,0 +1,129 @@
+// Structured logging for the Edge Functions, in the same JSON shape as the
+// Railway backend's logs (see the Logging section of server.js):
+//   {"ts","level","tag","msg","requestId","fn",...}
+//
+// Importing this module routes console.* through writeLog, so call sites keep
+// using console.log("[tag] ..."). Each invocation should run inside
+// withLogContext({ requestId, fn }, ...); handlers add ids as they learn them
+// (addLogContext({ callId })). The backend passes its request id on the Twilio
+// callback URLs as ?requestId=, so every event of a room, and the recording
+// it produces, logs under the request that created the room.
+
+import { AsyncLocalStorage } from "node:async_hooks";
+
+type LogFields = Record<string, unknown>;
+type Level = "info" | "warn" | "error";
+
+const logContext = new AsyncLocalStorage<LogFields>();
+
+export function withLogContext<T>(fields: LogFields, fn: () => T): T {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+// Add fields to every later log line of the current invocation.
+export function addLogContext(fields: LogFields) {
+  const store = logContext.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+export function currentRequestId(): string | undefined {
+  return logContext.getStore()?.requestId as string | undefined;
+}
+
+const REDACTED = "[REDACTED]";
+const SENSITIVE_KEY_RE =
+  /pass(word)?|secret|token|authorization|cookie|api_?key|^key$|jwt|signature|card|cvc|cvv|iban|account_number|routing_number/i;
+const SECRET_PATTERNS: [RegExp, string][] = [
+  [/eyJ[\w-]+\.eyJ[\w-]+\.[\w-]+/g, REDACTED], // JWTs
+  [/\b(sk|rk)_(live|test)_\w+/g, REDACTED], // Stripe secret/restricted keys
+  [/\bwhsec_\w+/g, REDACTED], // Stripe webhook secrets
+  [/\b(pi|seti)_\w+?_secret_\w+/g, REDACTED], // client secrets
+  [/\b(Bearer|Basic)\s+[\w.~+/-]+=*/gi, `$1 ${REDACTED}`],
+  [/([?&](?:key|token|access_token|apikey)=)[^&\s"']+/gi, `$1${REDACTED}`], // secrets in URLs
+];
+// Card numbers start with 2-6 (Mastercard, Amex, Visa, Discover, ...).
+const CARD_NUMBER_RE = /\b[2-6](?:[ -]?\d){12,18}\b/g;
+
+// Luhn check, so other long digit runs aren't mistaken for cards.
+function isLuhnValid(digits: string): boolean {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+export function redactString(str: string): string {
+  let out = str;
+  for (const [re, replacement] of SECRET_PATTERNS) out = out.replace(re, replacement);
+  return out.replace(CARD_NUMBER_RE, (m) => (isLuhnValid(m.replace(/\D/g, "")) ? REDACTED : m));
+}
+
+export function redactValue(value: unknown, seen = new WeakSet<object>(), depth = 0): unknown {
+  if (typeof value === "string") return redactString(value);
+  if (value === null || typeof value !== "object") return value;
+  if (seen.has(value) || depth > 6) return "[…]";
+  seen.add(value);
+  if (value instanceof Error) {
+    const err: LogFields = { name: value.name, message: redactString(value.message || "") };
+    if (value.stack) err.stack = redactString(value.stack);
+    return err;
+  }
+  if (Array.isArray(value)) return value.map((v) => redactValue(v, seen, depth + 1));
+  const out: LogFields = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = SENSITIVE_KEY_RE.test(key) ? REDACTED : redactValue(v, seen, depth + 1);
+  }
+  return out;
+}
+
+function formatArg(arg: unknown): string {
+  if (typeof arg === "string") return arg;
+  if (arg instanceof Error) return arg.message;
+  if (arg !== null && typeof arg === "object") {
+    try {
+      return JSON.stringify(redactValue(arg));
+    } catch {
+      return String(arg);
+    }
+  }
+  return String(arg);
+}
+
+// Writes with the console methods captured before they were replaced.
+const write = {
+  info: console.log.bind(console),
+  warn: console.warn.bind(console),
+  error: console.error.bind(console),
+};
+
+function writeLog(level: Level, args: unknown[], fields?: LogFields) {
+  const error = args.find((a) => a instanceof Error) as Error | undefined;
+  let msg = args.map(formatArg).join(" ");
+  const entry: LogFields = { ts: new Date().toISOString(), level };
+  const tag = msg.match(/^\[([\w-]+)\]\s*/);
+  if (tag) {
+    entry.tag = tag[1];
+    msg = msg.slice(tag[0].length);
+  }
+  entry.msg = redactString(msg);
+  Object.assign(entry, redactValue({ ...logContext.getStore(), ...fields }));
+  if (error) entry.error = redactValue(error);
+  write[level](JSON.stringify(entry));
+}
+
+// Like console.log, with extra structured fields on the line.
+export function logFields(level: Level, fields: LogFields, ...args: unknown[]) {
+  writeLog(level, args, fields);
+}
+
+console.log = (...args: unknown[]) => writeLog("info", args);
+console.info = console.log;
+console.debug = console.log;
+console.warn = (...args: unknown[]) => writeLog("warn", args);
+console.error = (...args: unknown[]) => writeLog("error", args);
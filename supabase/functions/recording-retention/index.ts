@@ -0,0 +1,132 @@
+// Supabase Edge Function: recording-retention
+//
+// Purges call recordings according to the retention policy:
+//   - recordings older than RECORDING_RETENTION_DAYS
+//   - all recordings of users whose call_recording subscription lapsed more
+//     than RECORDING_LAPSED_GRACE_DAYS ago
+// The storage object is removed and the call_recordings row is marked
+// status='deleted'. Meant to run on a schedule (see the pg_cron snippet in
+// supabase/migrations/20261019000600_recording_retention.sql).
+//
+// Deploy via Lovable's Supabase Edge Function UI, or with the Supabase CLI:
+//   supabase functions deploy recording-retention --no-verify-jwt
+//
+// Env vars (set in Supabase Edge Function secrets):
+//   - WEBHOOK_KEY                  required, shared secret used in the ?key= query param
+//   - RECORDING_RETENTION_DAYS     optional, unset/0 disables the age rule
+//   - RECORDING_LAPSED_GRACE_DAYS  optional, unset/0 disables the lapsed-subscription rule
+//
+// POST body (optional JSON): { "dryRun": true } lists what would be purged
+// without deleting anything.
+//
+// SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are auto-injected by Supabase.
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import { withLogContext } from "../_shared/log.ts";
+
+const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
+const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+const WEBHOOK_KEY = Deno.env.get("WEBHOOK_KEY") ?? "";
+const RETENTION_DAYS = Number(Deno.env.get("RECORDING_RETENTION_DAYS") ?? "0") || 0;
+const LAPSED_GRACE_DAYS = Number(Deno.env.get("RECORDING_LAPSED_GRACE_DAYS") ?? "0") || 0;
+
+// Each run purges at most BATCH_SIZE * MAX_BATCHES recordings; the rest are
+// picked up by the next scheduled run.
+const BATCH_SIZE = 100;
+const MAX_BATCHES = 10;
+
+if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+  console.error("[boot] missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
+}
+if (!WEBHOOK_KEY) console.error("[boot] WEBHOOK_KEY not set — function will reject all requests");
+if (!RETENTION_DAYS && !LAPSED_GRACE_DAYS) {
+  console.warn("[boot] neither RECORDING_RETENTION_DAYS nor RECORDING_LAPSED_GRACE_DAYS set — nothing will be purged");
+}
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+  auth: { persistSession: false, autoRefreshToken: false },
+});
+
+Deno.serve((req) => {
+  const requestId = req.headers.get("x-request-id") || crypto.randomUUID();
+  return withLogContext({ requestId, fn: "recording-retention" }, () => handleRequest(req));
+});
+
+async function handleRequest(req: Request): Promise<Response> {
+  try {
+    if (req.method !== "POST") return new Response("method not allowed", { status: 405 });
+
+    const url = new URL(req.url);
+    if (!WEBHOOK_KEY || url.searchParams.get("key") !== WEBHOOK_KEY) {
+      console.warn("[auth] rejected request — bad/missing key");
+      return new Response("forbidden", { status: 403 });
+    }
+
+    let dryRun = false;
+    try {
+      dryRun = !!(await req.json())?.dryRun;
+    } catch {
+      // empty body is fine
+    }
+
+    const result = await runRetention(dryRun);
+    return Response.json(result);
+  } catch (err) {
+    console.error("[handler] error:", err instanceof Error ? err.stack || err.message : err);
+    return new Response("error", { status: 500 });
+  }
+}
+
+async function runRetention(dryRun: boolean) {
+  const result = { dryRun, purged: 0, failed: 0, candidates: [] as any[] };
+  if (!RETENTION_DAYS && !LAPSED_GRACE_DAYS) return result;
+
+  for (let batch = 0; batch < MAX_BATCHES; batch++) {
+    const { data: due, error } = await supabase.rpc("recordings_due_for_retention", {
+      p_max_age_days: RETENTION_DAYS,
+      p_lapsed_grace_days: LAPSED_GRACE_DAYS,
+      p_limit: BATCH_SIZE,
+    });
+    if (error) throw new Error(`recordings_due_for_retention: ${error.message}`);
+    if (!due?.length) break;
+
+    if (dryRun) {
+      result.candidates.push(...due);
+      break;
+    }
+
+    const paths = due.map((r: any) => r.storage_path).filter(Boolean);
+    if (paths.length) {
+      const { error: removeErr } = await supabase.storage.from("recordings").remove(paths);
+      if (removeErr) {
+        // Leave the rows alone so the next run retries them.
+        console.error("[retention] storage remove failed:", removeErr.message);
+        result.failed += due.length;
+        break;
+      }
+    }
+
+    for (const r of due) {
+      const { error: updErr } = await supabase
+        .from("call_recordings")
+        .update({
+          status: "deleted",
+          storage_path: "",
+          deleted_at: new Date().toISOString(),
+          deleted_reason: `retention: ${r.reason}`,
+        })
+        .eq("id", r.id);
+      if (updErr) {
+        console.error(`[retention] mark deleted failed id=${r.id}:`, updErr.message);
+        result.failed++;
+      } else {
+        result.purged++;
+      }
+    }
+    console.log(`[retention] batch=${batch} purged=${due.length}`);
+    if (due.length < BATCH_SIZE) break;
+  }
+
+  console.log(`[retention] done purged=${result.purged} failed=${result.failed} dryRun=${dryRun}`);
+  return result;
+}
@@ -1,8 +1,23 @@
 // Supabase Edge Function: twilio-recording-webhook
 //
-// Handles Twilio Video status callbacks for the recording flow:
-//   - room-ended           -> creates a Composition for the room
-//   - composition-available -> downloads composition media and uploads to Storage
+// Handles Twilio Video status callbacks for the call and recording flow:
+//   - room-created         -> links the room to its call
+//   - participant-connected / participant-disconnected
+//                          -> per-participant join/leave in call_participant_sessions,
+//                             calls.started_at once both sides are in
+//   - room-ended           -> calls.ended_at, bills the call, then creates a
+//                             Composition for the room
+//   - composition-available -> streams composition media into Storage (resumable
+//                             upload), verifies size + SHA-256, marks it ready
+//
+// It also runs the composition retry job when called with ?task=retry-compositions
+// (on a schedule, or via POST /admin/retry-recording on the Railway backend):
+// failed recordings and ones stuck in 'processing' are re-polled or
+// re-composed, with bounded attempts and exponential backoff.
+//
+// ?task=bill-calls (on a schedule) bills calls that ended but were never
+// billed: room-ended answers 5xx when billing fails, and this sweep retries
+// them from the room's participant list.
 //
 // Deploy via Lovable's Supabase Edge Function UI, or with the Supabase CLI:
 //   supabase functions deploy twilio-recording-webhook --no-verify-jwt
@@ -11,16 +26,32 @@
 //   - WEBHOOK_KEY          required, shared secret used in the ?key= query param
 //   - TWILIO_API_KEY       required (the SK... API key, NOT the Account SID)
 //   - TWILIO_API_SECRET    required (the API key's secret)
+//   - PLATFORM_FEE_PERCENT optional, share of each call charge kept by the
+//                          platform, 0-100 (default 20); any other value
+//                          stops billing until it is fixed
+//   - RECORDING_CONSENT_POLICY optional, 'all_party' (default) or 'one_party';
+//                          must match the Railway backend's setting
 //
 // SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are auto-injected by Supabase.
 
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.4";
+import { createHash } from "node:crypto";
+import { addLogContext, currentRequestId, logFields, withLogContext } from "../_shared/log.ts";
 
 const SUPABASE_URL = Deno.env.get("SUPABASE_URL")!;
 const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
 const WEBHOOK_KEY = Deno.env.get("WEBHOOK_KEY") ?? "";
 const TWILIO_API_KEY = Deno.env.get("TWILIO_API_KEY") ?? "";
 const TWILIO_API_SECRET = Deno.env.get("TWILIO_API_SECRET") ?? "";
+const PLATFORM_FEE_PERCENT = Number(Deno.env.get("PLATFORM_FEE_PERCENT")?.trim() || "20");
+// null when PLATFORM_FEE_PERCENT isn't a percentage: billCall then refuses to
+// bill rather than charge with a NaN or out-of-range fee.
+const PLATFORM_FEE_RATE =
+  Number.isFinite(PLATFORM_FEE_PERCENT) && PLATFORM_FEE_PERCENT >= 0 && PLATFORM_FEE_PERCENT <= 100
+    ? PLATFORM_FEE_PERCENT / 100
+    : null;
+const RECORDING_CONSENT_POLICY =
+  Deno.env.get("RECORDING_CONSENT_POLICY") === "one_party" ? "one_party" : "all_party";
 
 if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
   console.error("[boot] missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY");
@@ -29,6 +60,9 @@ if (!WEBHOOK_KEY) console.error("[boot] WEBHOOK_KEY not set — function will re
 if (!TWILIO_API_KEY || !TWILIO_API_SECRET) {
   console.error("[boot] TWILIO_API_KEY / TWILIO_API_SECRET not set — composition + media download will fail");
 }
+if (PLATFORM_FEE_RATE === null) {
+  console.error("[boot] PLATFORM_FEE_PERCENT must be a number from 0 to 100 — calls will not be billed");
+}
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
   auth: { persistSession: false, autoRefreshToken: false },
@@ -37,10 +71,43 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
 const TWILIO_BASIC_AUTH =
   "Basic " + btoa(`${TWILIO_API_KEY}:${TWILIO_API_SECRET}`);
 
-// Edge Function URL we'll pass back to Twilio as the composition's status callback.
+// Composition retries: at most MAX_COMPOSITION_RETRIES per recording, the
+// n-th one no earlier than RETRY_BASE_MS * 2^(n-1) after the last failure.
+// A 'processing' row is considered stuck once STALE_PROCESSING_MS passes
+// without its composition-available callback.
+const MAX_COMPOSITION_RETRIES = 5;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+const RETRY_BATCH_SIZE = 20;
+
+// Billing sweep: calls that ended at least BILLING_GRACE_MS ago (so the
+// room-ended callback has had its turn) and still have billed_at null.
+const BILLING_GRACE_MS = 5 * 60 * 1000;
+const BILLING_BATCH_SIZE = 20;
+
+const RECORDING_RETRY_COLUMNS =
+  "id, call_id, subscriber_user_id, media_format, call_type, status, twilio_composition_sid, attempts, retryable, next_retry_at, last_attempt_at, created_at";
+
+// Composition media is streamed from Twilio into Storage through the TUS
+// resumable upload endpoint, one chunk at a time, so memory use stays at one
+// chunk no matter how long the call was. Supabase requires 6MB chunks.
+const UPLOAD_CHUNK_BYTES = 6 * 1024 * 1024;
+const UPLOAD_CHUNK_ATTEMPTS = 3;
+const STORAGE_URL = `${SUPABASE_URL.replace(/\/$/, "")}/storage/v1`;
+
+// Edge Function URL we'll pass back to Twilio as the composition's status
+// callback. Never log it: ?key= is the webhook secret.
 const SELF_URL =
   `${SUPABASE_URL.replace(/\/$/, "")}/functions/v1/twilio-recording-webhook?key=${encodeURIComponent(WEBHOOK_KEY)}`;
 
+// SELF_URL carrying the current request id, so the composition's callback
+// logs under the same trace as the room.
+function selfCallbackUrl(): string {
+  const requestId = currentRequestId();
+  return requestId ? `${SELF_URL}&requestId=${encodeURIComponent(requestId)}` : SELF_URL;
+}
+
 async function twilio(
   path: string,
   method: "GET" | "POST" | "DELETE" = "GET",
@@ -58,15 +125,29 @@ async function twilio(
     body = params;
     headers["Content-Type"] = "application/x-www-form-urlencoded";
   }
+  const started = Date.now();
   const res = await fetch(url, { method, headers, body });
   const text = await res.text();
+  logFields(res.ok ? "info" : "warn", {
+    twilioRequestId: res.headers.get("twilio-request-id") ?? undefined,
+    status: res.status,
+    elapsedMs: Date.now() - started,
+  }, `[twilio] ${method} ${path}`);
   if (!res.ok) {
     throw new Error(`twilio ${method} ${path} ${res.status}: ${text}`);
   }
   return text ? JSON.parse(text) : null;
 }
 
-Deno.serve(async (req) => {
+// Request id: the backend's (?requestId= on the callback URL) when present,
+// so a room's events share one trace; otherwise per invocation.
+Deno.serve((req) => {
+  const requestId = new URL(req.url).searchParams.get("requestId") ||
+    req.headers.get("x-request-id") || crypto.randomUUID();
+  return withLogContext({ requestId, fn: "twilio-recording-webhook" }, () => handleRequest(req));
+});
+
+async function handleRequest(req: Request): Promise<Response> {
   try {
     if (req.method === "GET") return new Response("ok", { status: 200 });
     if (req.method !== "POST") return new Response("method not allowed", { status: 405 });
@@ -77,6 +158,21 @@ Deno.serve(async (req) => {
       return new Response("forbidden", { status: 403 });
     }
 
+    if (url.searchParams.get("task") === "retry-compositions") {
+      let payload: any = null;
+      try {
+        payload = await req.json();
+      } catch {
+        // scheduled runs send no body
+      }
+      const result = await retryCompositions(payload?.callId || null);
+      return Response.json(result);
+    }
+
+    if (url.searchParams.get("task") === "bill-calls") {
+      return Response.json(await billUnbilledCalls());
+    }
+
     const form = await req.formData();
     const body: Record<string, string> = {};
     for (const [k, v] of form.entries()) body[k] = String(v);
@@ -85,13 +181,29 @@ Deno.serve(async (req) => {
     const roomSid = body.RoomSid || "";
     const roomName = body.RoomName || "";
     const compositionSid = body.CompositionSid || "";
+    addLogContext({
+      event,
+      roomSid: roomSid || undefined,
+      compositionSid: compositionSid || undefined,
+    });
 
     console.log(
       `[event] ${event} roomSid=${roomSid || "-"} roomName=${roomName || "-"} compositionSid=${compositionSid || "-"}`,
     );
 
-    if (event === "room-ended") {
-      await handleRoomEnded(roomSid, roomName);
+    // Twilio sends the event time as Timestamp; fall back to receipt time.
+    const timestamp = body.Timestamp && !Number.isNaN(Date.parse(body.Timestamp))
+      ? new Date(body.Timestamp).toISOString()
+      : new Date().toISOString();
+
+    if (event === "room-created") {
+      await handleRoomCreated(roomSid, roomName);
+    } else if (event === "participant-connected") {
+      await handleParticipantConnected(roomSid, roomName, body, timestamp);
+    } else if (event === "participant-disconnected") {
+      await handleParticipantDisconnected(roomSid, roomName, body, timestamp);
+    } else if (event === "room-ended") {
+      await handleRoomEnded(roomSid, roomName, timestamp);
     } else if (event === "composition-available") {
       await handleCompositionAvailable(compositionSid);
     } else {
@@ -103,38 +215,202 @@ Deno.serve(async (req) => {
     console.error("[handler] error:", err instanceof Error ? err.stack || err.message : err);
     return new Response("error", { status: 500 });
   }
-});
-
-async function handleRoomEnded(roomSid: string, roomName: string) {
-  if (!roomSid) {
-    console.warn("[room-ended] missing RoomSid");
-    return;
-  }
+}
 
-  // Primary lookup: by stored twilio_room_sid
+// Find the call a room belongs to: by stored twilio_room_sid, falling back to
+// the room's uniqueName (we always create rooms as `call-<uuid>`).
+async function findCallForRoom(roomSid: string, roomName: string, columns: string, tag: string) {
   let { data: call, error: e1 } = await supabase
     .from("calls")
-    .select("id, recording_subscriber_id, call_type, recording_enabled")
+    .select(columns)
     .eq("twilio_room_sid", roomSid)
     .maybeSingle();
-  if (e1) console.error("[room-ended] lookup-by-sid error:", e1.message);
+  if (e1) console.error(`[${tag}] lookup-by-sid error:`, e1.message);
 
-  // Fallback: parse callId from the room's uniqueName (we always create rooms as `call-<uuid>`)
   if (!call && roomName.startsWith("call-")) {
     const callId = roomName.slice("call-".length);
     const { data, error } = await supabase
       .from("calls")
-      .select("id, recording_subscriber_id, call_type, recording_enabled")
+      .select(columns)
       .eq("id", callId)
       .maybeSingle();
-    if (error) console.error("[room-ended] lookup-by-id error:", error.message);
+    if (error) console.error(`[${tag}] lookup-by-id error:`, error.message);
     call = data || null;
   }
+  if (call) addLogContext({ callId: (call as any).id });
+  return call as any;
+}
+
+async function handleRoomCreated(roomSid: string, roomName: string) {
+  const call = await findCallForRoom(roomSid, roomName, "id, twilio_room_sid", "room-created");
+  if (!call) {
+    console.warn(`[room-created] no call row for roomSid=${roomSid} roomName=${roomName}`);
+    return;
+  }
+  // Usually already set by /twilio/create-room; make sure later events for
+  // this room resolve by sid even if that write was lost.
+  if (call.twilio_room_sid !== roomSid) {
+    const { error } = await supabase.from("calls").update({ twilio_room_sid: roomSid }).eq("id", call.id);
+    if (error) console.error("[room-created] calls update error:", error.message);
+  }
+  console.log(`[room-created] callId=${call.id} roomSid=${roomSid}`);
+}
+
+async function handleParticipantConnected(
+  roomSid: string,
+  roomName: string,
+  body: Record<string, string>,
+  timestamp: string,
+) {
+  const participantSid = body.ParticipantSid || "";
+  const identity = body.ParticipantIdentity || "";
+  if (!participantSid) {
+    console.warn("[participant-connected] missing ParticipantSid");
+    return;
+  }
+  const call = await findCallForRoom(roomSid, roomName, "id, caller_id, receiver_id, started_at", "participant-connected");
+  if (!call) {
+    console.warn(`[participant-connected] no call row for roomSid=${roomSid} roomName=${roomName}`);
+    return;
+  }
+
+  // Identity is the Supabase user id for tokens minted by POST /twilio/token.
+  const userId = identity === call.caller_id || identity === call.receiver_id ? identity : null;
+  const { error } = await supabase.from("call_participant_sessions").upsert({
+    call_id: call.id,
+    participant_sid: participantSid,
+    identity,
+    user_id: userId,
+    connected_at: timestamp,
+  }, { onConflict: "participant_sid" });
+  if (error) {
+    console.error("[participant-connected] session upsert error:", error.message);
+    return;
+  }
+  console.log(`[participant-connected] callId=${call.id} identity=${identity} participantSid=${participantSid}`);
+
+  // The call starts when both sides are in the room, not when the room opens.
+  if (!call.started_at && userId) {
+    const { data: sessions } = await supabase
+      .from("call_participant_sessions")
+      .select("user_id")
+      .eq("call_id", call.id)
+      .in("user_id", [call.caller_id, call.receiver_id]);
+    const joined = new Set((sessions ?? []).map((row: any) => row.user_id));
+    if (joined.has(call.caller_id) && joined.has(call.receiver_id)) {
+      const { error: updErr } = await supabase
+        .from("calls")
+        .update({ started_at: timestamp })
+        .eq("id", call.id)
+        .is("started_at", null);
+      if (updErr) console.error("[participant-connected] calls started_at error:", updErr.message);
+      else console.log(`[participant-connected] callId=${call.id} started_at=${timestamp}`);
+    }
+  }
+}
+
+async function handleParticipantDisconnected(
+  roomSid: string,
+  roomName: string,
+  body: Record<string, string>,
+  timestamp: string,
+) {
+  const participantSid = body.ParticipantSid || "";
+  if (!participantSid) {
+    console.warn("[participant-disconnected] missing ParticipantSid");
+    return;
+  }
+  const duration = Number(body.ParticipantDuration);
+
+  const { data: updated, error } = await supabase
+    .from("call_participant_sessions")
+    .update({
+      disconnected_at: timestamp,
+      duration_seconds: Number.isFinite(duration) ? duration : null,
+    })
+    .eq("participant_sid", participantSid)
+    .select("call_id");
+  if (error) {
+    console.error("[participant-disconnected] session update error:", error.message);
+    return;
+  }
+  if (!updated?.length) {
+    // participant-connected never arrived (or failed); record what we know.
+    const call = await findCallForRoom(roomSid, roomName, "id, caller_id, receiver_id", "participant-disconnected");
+    if (!call) {
+      console.warn(`[participant-disconnected] no call row for roomSid=${roomSid} roomName=${roomName}`);
+      return;
+    }
+    const identity = body.ParticipantIdentity || "";
+    const connectedAt = Number.isFinite(duration)
+      ? new Date(Date.parse(timestamp) - duration * 1000).toISOString()
+      : null;
+    const { error: insErr } = await supabase.from("call_participant_sessions").insert({
+      call_id: call.id,
+      participant_sid: participantSid,
+      identity,
+      user_id: identity === call.caller_id || identity === call.receiver_id ? identity : null,
+      connected_at: connectedAt,
+      disconnected_at: timestamp,
+      duration_seconds: Number.isFinite(duration) ? duration : null,
+    });
+    if (insErr) console.error("[participant-disconnected] session insert error:", insErr.message);
+  }
+  console.log(
+    `[participant-disconnected] participantSid=${participantSid} identity=${body.ParticipantIdentity || "-"} duration=${body.ParticipantDuration || "-"}`,
+  );
+}
+
+async function handleRoomEnded(roomSid: string, roomName: string, timestamp: string) {
+  if (!roomSid) {
+    console.warn("[room-ended] missing RoomSid");
+    return;
+  }
+
+  const call = await findCallForRoom(
+    roomSid,
+    roomName,
+    "id, caller_id, receiver_id, recording_subscriber_id, call_type, recording_enabled, recording_pauses",
+    "room-ended",
+  );
 
   if (!call) {
     console.warn(`[room-ended] no call row for roomSid=${roomSid} roomName=${roomName}`);
     return;
   }
+
+  await recordCallEnded(call.id, timestamp);
+
+  // List participants — used for billing, and for recording diagnostics it
+  // distinguishes "nobody joined" from "joined but didn't publish any track".
+  let participants: any[] | null = null;
+  try {
+    participants = await listRoomParticipants(roomSid);
+    console.log(`[room-ended] participants count=${participants.length}`);
+    for (const p of participants) {
+      console.log(
+        `[room-ended]   participant identity=${p.identity} status=${p.status} duration=${p.duration} startTime=${p.start_time} endTime=${p.end_time}`,
+      );
+    }
+  } catch (err) {
+    console.warn("[room-ended] participants list failed:", err instanceof Error ? err.message : err);
+  }
+
+  // A billing failure still fails the callback (5xx) and leaves the call for
+  // ?task=bill-calls, but the composition is started either way.
+  try {
+    await billCall(call, participants);
+  } finally {
+    await composeRoomRecording(call, roomSid);
+  }
+}
+
+async function listRoomParticipants(roomSid: string): Promise<any[]> {
+  const list = await twilio(`/v1/Rooms/${roomSid}/Participants?PageSize=50`);
+  return list?.participants ?? [];
+}
+
+async function composeRoomRecording(call: any, roomSid: string) {
   if (!call.recording_subscriber_id) {
     console.log(`[room-ended] callId=${call.id} has no subscriber, skipping composition`);
     return;
@@ -142,6 +418,14 @@ async function handleRoomEnded(roomSid: string, roomName: string) {
 
   const format = call.call_type === "video" ? "mp4" : "mp3";
 
+  if (!(await recordingConsentGiven(call))) {
+    const reason = "the other participant did not consent to recording";
+    console.warn(`[room-ended] callId=${call.id} — ${reason}; discarding track recordings`);
+    await deleteRoomRecordings(roomSid);
+    await insertFailedRecording(call, format, "consent", reason, false);
+    return;
+  }
+
   // Diagnostics: fetch the room and its track recordings before composing.
   // Twilio's "no recordings for the given room" 400 is generic — knowing the
   // room config and the actual recording count makes the failure mode explicit.
@@ -173,36 +457,14 @@ async function handleRoomEnded(roomSid: string, roomName: string) {
     console.warn("[room-ended] room recordings list failed:", err instanceof Error ? err.message : err);
   }
 
-  // List participants — this distinguishes "nobody joined" from "joined but
-  // didn't publish any track".
-  try {
-    const list = await twilio(`/v1/Rooms/${roomSid}/Participants?PageSize=50`);
-    const participants: any[] = list?.participants ?? [];
-    console.log(`[room-ended] participants count=${participants.length}`);
-    for (const p of participants) {
-      console.log(
-        `[room-ended]   participant identity=${p.identity} status=${p.status} duration=${p.duration} startTime=${p.start_time} endTime=${p.end_time}`,
-      );
-    }
-  } catch (err) {
-    console.warn("[room-ended] participants list failed:", err instanceof Error ? err.message : err);
-  }
-
   if (recordingCount === 0) {
     const reason =
       room && room.record_participants_on_connect === false
         ? "room was created without record_participants_on_connect; recordingRules.update() does not record participants who were already connected"
         : "no participant published any audio/video tracks while recording was active";
     console.error(`[room-ended] aborting composition for callId=${call.id} — ${reason}`);
-    await supabase.from("call_recordings").insert({
-      call_id: call.id,
-      subscriber_user_id: call.recording_subscriber_id,
-      twilio_composition_sid: null,
-      storage_path: "",
-      media_format: format,
-      call_type: call.call_type,
-      status: "failed",
-    });
+    // Nothing was recorded, so there is nothing a retry could compose.
+    await insertFailedRecording(call, format, "room-recordings", reason, false);
     return;
   }
 
@@ -219,34 +481,21 @@ async function handleRoomEnded(roomSid: string, roomName: string) {
     useVideoLayout = false;
   }
 
-  console.log(`[room-ended] creating composition callId=${call.id} format=${effectiveFormat}`);
+  // Paused windows (/twilio/pause-recording) have no recorded media; Trim
+  // cuts those intervals out instead of leaving silence/black in the output.
+  const pauses: any[] = Array.isArray(call.recording_pauses) ? call.recording_pauses : [];
+  console.log(
+    `[room-ended] creating composition callId=${call.id} format=${effectiveFormat} pauseWindows=${pauses.length}`,
+  );
 
   let composition: any;
   try {
-    const params: Record<string, string | string[]> = {
-      RoomSid: roomSid,
-      AudioSources: "*",
-      Format: effectiveFormat,
-      StatusCallback: SELF_URL,
-      StatusCallbackMethod: "POST",
-    };
-    if (useVideoLayout) {
-      params.VideoLayout = JSON.stringify({ grid: { video_sources: ["*"] } });
-    }
-    composition = await twilio("/v1/Compositions", "POST", params);
+    composition = await createComposition(roomSid, effectiveFormat, useVideoLayout);
     console.log(`[room-ended] composition sid=${composition.sid} status=${composition.status}`);
   } catch (err) {
     const msg = err instanceof Error ? err.message : String(err);
     console.error("[room-ended] composition create failed:", msg);
-    await supabase.from("call_recordings").insert({
-      call_id: call.id,
-      subscriber_user_id: call.recording_subscriber_id,
-      twilio_composition_sid: null,
-      storage_path: "",
-      media_format: effectiveFormat,
-      call_type: call.call_type,
-      status: "failed",
-    });
+    await insertFailedRecording(call, effectiveFormat, "composition-create", `composition create failed: ${msg}`, true);
     return;
   }
 
@@ -263,6 +512,201 @@ async function handleRoomEnded(roomSid: string, roomName: string) {
   else console.log(`[room-ended] inserted processing row for composition=${composition.sid}`);
 }
 
+async function createComposition(roomSid: string, format: string, useVideoLayout: boolean) {
+  const params: Record<string, string | string[]> = {
+    RoomSid: roomSid,
+    AudioSources: "*",
+    Format: format,
+    Trim: "true",
+    StatusCallback: selfCallbackUrl(),
+    StatusCallbackMethod: "POST",
+  };
+  if (useVideoLayout) {
+    params.VideoLayout = JSON.stringify({ grid: { video_sources: ["*"] } });
+  }
+  return await twilio("/v1/Compositions", "POST", params);
+}
+
+function nextRetryAt(attempts: number): string | null {
+  if (attempts >= MAX_COMPOSITION_RETRIES) return null;
+  const delay = Math.min(RETRY_BASE_MS * 2 ** attempts, RETRY_MAX_MS);
+  return new Date(Date.now() + delay).toISOString();
+}
+
+async function insertFailedRecording(
+  call: any,
+  format: string,
+  stage: string,
+  reason: string,
+  retryable: boolean,
+) {
+  const { error } = await supabase.from("call_recordings").insert({
+    call_id: call.id,
+    subscriber_user_id: call.recording_subscriber_id,
+    twilio_composition_sid: null,
+    storage_path: "",
+    media_format: format,
+    call_type: call.call_type,
+    status: "failed",
+    failure_reason: reason,
+    retryable,
+    next_retry_at: retryable ? nextRetryAt(0) : null,
+    attempt_errors: [{ at: new Date().toISOString(), attempt: 0, stage, error: reason }],
+  });
+  if (error) console.error("[room-ended] insert failed call_recordings row error:", error.message);
+}
+
+// Marks the row failed and appends the error to its attempt history.
+async function markRecordingFailed(rec: any, stage: string, message: string, retryable = true) {
+  const attempts = rec.attempts ?? 0;
+  const nextAt = retryable ? nextRetryAt(attempts) : null;
+  const reason = retryable && !nextAt
+    ? `${message} (gave up after ${attempts} retries)`
+    : message;
+  const { error } = await supabase.rpc("record_recording_attempt_error", {
+    p_recording_id: rec.id,
+    p_stage: stage,
+    p_error: reason,
+    p_retryable: retryable,
+    p_next_retry_at: nextAt,
+  });
+  if (error) console.error(`[recording] record attempt error failed id=${rec.id}:`, error.message);
+  console.warn(`[recording] id=${rec.id} failed stage=${stage} attempts=${attempts} nextRetryAt=${nextAt ?? "-"}: ${message}`);
+}
+
+// ended_at on the call, and close any session that never got its
+// participant-disconnected event (the room ending disconnects everyone).
+async function recordCallEnded(callId: string, timestamp: string) {
+  const { error } = await supabase.from("calls").update({ ended_at: timestamp }).eq("id", callId);
+  if (error) console.error("[room-ended] calls ended_at error:", error.message);
+
+  const { error: sessErr } = await supabase
+    .from("call_participant_sessions")
+    .update({ disconnected_at: timestamp })
+    .eq("call_id", callId)
+    .is("disconnected_at", null);
+  if (sessErr) console.error("[room-ended] close open sessions error:", sessErr.message);
+}
+
+// Same rule as getRecordingConsent on the Railway backend: the participant
+// who isn't the recording subscriber must have accepted.
+async function recordingConsentGiven(call: any): Promise<boolean> {
+  if (RECORDING_CONSENT_POLICY === "one_party") return true;
+
+  const otherId = call.caller_id === call.recording_subscriber_id ? call.receiver_id : call.caller_id;
+  const { data, error } = await supabase
+    .from("call_recording_consents")
+    .select("status")
+    .eq("call_id", call.id)
+    .eq("participant_id", otherId)
+    .maybeSingle();
+  if (error) console.error(`[consent] lookup error callId=${call.id}:`, error.message);
+  return data?.status === "accepted";
+}
+
+// Best-effort: remove track recordings Twilio captured for a room we won't
+// compose, so media of a non-consenting participant isn't kept on Twilio.
+async function deleteRoomRecordings(roomSid: string) {
+  try {
+    const list = await twilio(`/v1/Rooms/${roomSid}/Recordings?PageSize=100`);
+    for (const r of list?.recordings ?? []) {
+      try {
+        await twilio(`/v1/Recordings/${r.sid}`, "DELETE");
+      } catch (err) {
+        console.warn(`[consent] delete recording ${r.sid} failed:`, err instanceof Error ? err.message : err);
+      }
+    }
+    console.log(`[consent] deleted ${list?.recordings?.length ?? 0} track recordings for room=${roomSid}`);
+  } catch (err) {
+    console.warn("[consent] room recordings list failed:", err instanceof Error ? err.message : err);
+  }
+}
+
+type Interval = [number, number];
+
+// A participant identity is the Supabase user id (see POST /twilio/token). The
+// same user can appear several times if they dropped and rejoined, so their
+// intervals are merged before overlapping them with the other side's.
+function connectedIntervals(participants: any[], identity: string): Interval[] {
+  const intervals: Interval[] = participants
+    .filter((p) => p.identity === identity && p.start_time)
+    .map((p): Interval => [
+      Date.parse(p.start_time),
+      p.end_time ? Date.parse(p.end_time) : Date.parse(p.start_time) + (p.duration ?? 0) * 1000,
+    ])
+    .filter(([start, end]) => Number.isFinite(start) && Number.isFinite(end) && end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged: Interval[] = [];
+  for (const [start, end] of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+// Seconds during which caller and receiver were both in the room.
+function overlapSeconds(a: Interval[], b: Interval[]): number {
+  let totalMs = 0;
+  for (const [aStart, aEnd] of a) {
+    for (const [bStart, bEnd] of b) {
+      totalMs += Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart));
+    }
+  }
+  return Math.floor(totalMs / 1000);
+}
+
+async function billCall(call: any, participants: any[] | null) {
+  if (!call.caller_id || !call.receiver_id) {
+    console.warn(`[billing] callId=${call.id} has no caller/receiver — not billed`);
+    return;
+  }
+  if (PLATFORM_FEE_RATE === null) {
+    throw new Error(`callId=${call.id} not billed — PLATFORM_FEE_PERCENT is not a number from 0 to 100`);
+  }
+  if (participants === null) {
+    // Without the participants list we can't tell how long the call lasted.
+    // Leave it unbilled rather than guess; the bill-calls sweep retries it.
+    throw new Error(`callId=${call.id} not billed — participants list unavailable`);
+  }
+
+  const connectedSeconds = overlapSeconds(
+    connectedIntervals(participants, call.caller_id),
+    connectedIntervals(participants, call.receiver_id),
+  );
+
+  const { data, error } = await supabase.rpc("bill_call", {
+    p_call_id: call.id,
+    p_connected_seconds: connectedSeconds,
+    p_platform_fee_rate: PLATFORM_FEE_RATE,
+  });
+  if (error) {
+    // Wallets in different currencies can't be billed by retrying; record it
+    // so the sweep leaves the call for an admin.
+    if (error.message === "wallet_currency_mismatch") {
+      const { error: markErr } = await supabase
+        .from("calls")
+        .update({ billing_error: error.message })
+        .eq("id", call.id);
+      if (markErr) console.error(`[billing] callId=${call.id} billing_error update failed:`, markErr.message);
+    }
+    throw new Error(`bill_call failed callId=${call.id}: ${error.message}`);
+  }
+
+  const result = data?.[0];
+  if (!result?.billed) {
+    console.log(`[billing] callId=${call.id} already billed — skipping`);
+    return;
+  }
+  console.log(
+    `[billing] callId=${call.id} connectedSeconds=${connectedSeconds} minutes=${result.minutes} cost=${result.cost} charged=${result.charged} receiverEarnings=${result.receiver_earnings} fee=${result.platform_fee}`,
+  );
+  if (Number(result.charged) < Number(result.cost)) {
+    console.warn(`[billing] callId=${call.id} caller had insufficient credits — charged ${result.charged} of ${result.cost}`);
+  }
+}
+
 async function handleCompositionAvailable(compositionSid: string) {
   if (!compositionSid) {
     console.warn("[composition-available] missing CompositionSid");
@@ -271,7 +715,7 @@ async function handleCompositionAvailable(compositionSid: string) {
 
   const { data: rec, error: lookupErr } = await supabase
     .from("call_recordings")
-    .select("id, subscriber_user_id, call_id, media_format")
+    .select("id, subscriber_user_id, call_id, media_format, attempts")
     .eq("twilio_composition_sid", compositionSid)
     .maybeSingle();
   if (lookupErr) console.error("[composition-available] recording lookup error:", lookupErr.message);
@@ -279,15 +723,23 @@ async function handleCompositionAvailable(compositionSid: string) {
     console.warn(`[composition-available] no call_recordings row for composition=${compositionSid}`);
     return;
   }
+  addLogContext({ callId: rec.call_id, recordingId: rec.id });
+
+  await storeCompositionMedia(rec, compositionSid);
+}
 
+// Download a completed composition into the recordings bucket and mark the
+// row ready. On failure the row is marked failed (and retried later).
+// Returns whether the recording is now ready.
+async function storeCompositionMedia(rec: any, compositionSid: string): Promise<boolean> {
   let composition: any;
   try {
     composition = await twilio(`/v1/Compositions/${compositionSid}`);
   } catch (err) {
     const msg = err instanceof Error ? err.message : String(err);
     console.error("[composition-available] composition fetch failed:", msg);
-    await supabase.from("call_recordings").update({ status: "failed" }).eq("id", rec.id);
-    return;
+    await markRecordingFailed(rec, "composition-fetch", `composition fetch failed: ${msg}`);
+    return false;
   }
 
   // Build the media URL from the SID directly. composition.url from Twilio is
@@ -298,37 +750,63 @@ async function handleCompositionAvailable(compositionSid: string) {
     headers: { Authorization: TWILIO_BASIC_AUTH },
     redirect: "follow",
   });
-  if (!mediaResp.ok) {
+  if (!mediaResp.ok || !mediaResp.body) {
     console.error(`[composition-available] media download failed: ${mediaResp.status} ${mediaResp.statusText}`);
-    await supabase.from("call_recordings").update({ status: "failed" }).eq("id", rec.id);
-    return;
+    await markRecordingFailed(rec, "media-download", `media download failed: ${mediaResp.status} ${mediaResp.statusText}`);
+    return false;
+  }
+  // The resumable upload has to declare its length up front. Twilio's media
+  // redirect lands on S3, which always sends Content-Length.
+  const expectedBytes = Number(mediaResp.headers.get("content-length"));
+  if (!Number.isSafeInteger(expectedBytes) || expectedBytes <= 0) {
+    await mediaResp.body.cancel();
+    await markRecordingFailed(rec, "media-download", "media download has no Content-Length");
+    return false;
   }
-  const arrayBuffer = await mediaResp.arrayBuffer();
-  const buffer = new Uint8Array(arrayBuffer);
-  console.log(`[composition-available] downloaded bytes=${buffer.length}`);
 
   const ext = rec.media_format;
   const storagePath = `${rec.subscriber_user_id}/${rec.call_id}.${ext}`;
-  const { error: uploadErr } = await supabase.storage
-    .from("recordings")
-    .upload(storagePath, buffer, {
-      contentType: ext === "mp4" ? "video/mp4" : "audio/mpeg",
-      upsert: true,
-    });
-  if (uploadErr) {
-    console.error("[composition-available] storage upload failed:", uploadErr.message);
-    await supabase.from("call_recordings").update({ status: "failed" }).eq("id", rec.id);
-    return;
+  const contentType = ext === "mp4" ? "video/mp4" : "audio/mpeg";
+  console.log(`[composition-available] streaming bytes=${expectedBytes} to storage path=${storagePath}`);
+
+  let uploaded: { bytes: number; sha256: string };
+  try {
+    uploaded = await streamToStorage(mediaResp.body, "recordings", storagePath, contentType, expectedBytes);
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    console.error("[composition-available] storage upload failed:", msg);
+    await markRecordingFailed(rec, "storage-upload", `storage upload failed: ${msg}`);
+    return false;
+  }
+
+  // Read the stored object back and check it byte-for-byte (by size and
+  // hash) before the recording is offered to anyone.
+  try {
+    const stored = await hashStoredObject("recordings", storagePath);
+    if (stored.bytes !== expectedBytes || stored.sha256 !== uploaded.sha256) {
+      throw new Error(
+        `stored object mismatch: bytes ${stored.bytes}/${expectedBytes}, sha256 ${stored.sha256}/${uploaded.sha256}`,
+      );
+    }
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    console.error("[composition-available] storage verification failed:", msg);
+    await supabase.storage.from("recordings").remove([storagePath]);
+    await markRecordingFailed(rec, "storage-verify", `storage verification failed: ${msg}`);
+    return false;
   }
-  console.log(`[composition-available] uploaded to storage path=${storagePath}`);
+  console.log(`[composition-available] uploaded + verified path=${storagePath} sha256=${uploaded.sha256}`);
 
   const { error: updErr } = await supabase
     .from("call_recordings")
     .update({
       storage_path: storagePath,
-      size_bytes: buffer.length,
+      size_bytes: uploaded.bytes,
+      checksum_sha256: uploaded.sha256,
       duration_seconds: composition.duration ?? null,
       status: "ready",
+      failure_reason: null,
+      next_retry_at: null,
     })
     .eq("id", rec.id);
   if (updErr) console.error("[composition-available] update call_recordings error:", updErr.message);
@@ -340,4 +818,272 @@ async function handleCompositionAvailable(compositionSid: string) {
     const msg = err instanceof Error ? err.message : String(err);
     console.warn("[composition-available] delete composition failed:", msg);
   }
+  return true;
+}
+
+// Yields the stream in chunks of exactly `size` bytes (the last one may be
+// shorter). The buffer is reused, so each chunk is only valid until the next
+// one is requested.
+async function* fixedChunks(stream: ReadableStream<Uint8Array>, size: number) {
+  const buf = new Uint8Array(size);
+  let filled = 0;
+  for await (const piece of stream) {
+    let offset = 0;
+    while (offset < piece.length) {
+      const n = Math.min(size - filled, piece.length - offset);
+      buf.set(piece.subarray(offset, offset + n), filled);
+      filled += n;
+      offset += n;
+      if (filled === size) {
+        yield buf;
+        filled = 0;
+      }
+    }
+  }
+  if (filled > 0) yield buf.subarray(0, filled);
+}
+
+function tusMetadata(fields: Record<string, string>): string {
+  return Object.entries(fields).map(([k, v]) => `${k} ${btoa(v)}`).join(",");
+}
+
+// Upload a stream to Storage with the TUS resumable protocol, hashing it on
+// the way through. A failed chunk is retried from the offset the server
+// reports, which works because the chunk is still in memory.
+async function streamToStorage(
+  body: ReadableStream<Uint8Array>,
+  bucket: string,
+  path: string,
+  contentType: string,
+  length: number,
+): Promise<{ bytes: number; sha256: string }> {
+  const auth = { Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`, "Tus-Resumable": "1.0.0" };
+  const createResp = await fetch(`${STORAGE_URL}/upload/resumable`, {
+    method: "POST",
+    headers: {
+      ...auth,
+      "Upload-Length": String(length),
+      "Upload-Metadata": tusMetadata({ bucketName: bucket, objectName: path, contentType }),
+      "x-upsert": "true",
+    },
+  });
+  const uploadUrl = createResp.headers.get("location");
+  if (createResp.status !== 201 || !uploadUrl) {
+    throw new Error(`create upload ${createResp.status}: ${await createResp.text()}`);
+  }
+
+  const hash = createHash("sha256");
+  let offset = 0;
+  for await (const chunk of fixedChunks(body, UPLOAD_CHUNK_BYTES)) {
+    if (offset + chunk.length > length) {
+      throw new Error(`media is longer than its Content-Length (${length})`);
+    }
+    hash.update(chunk);
+
+    let chunkStart = offset;
+    for (let attempt = 1; ; attempt++) {
+      const resp = await fetch(uploadUrl, {
+        method: "PATCH",
+        headers: {
+          ...auth,
+          "Upload-Offset": String(chunkStart),
+          "Content-Type": "application/offset+octet-stream",
+        },
+        body: chunk.subarray(chunkStart - offset),
+      });
+      if (resp.status === 204) {
+        await resp.body?.cancel();
+        chunkStart = Number(resp.headers.get("upload-offset"));
+        break;
+      }
+      const text = await resp.text();
+      if (attempt >= UPLOAD_CHUNK_ATTEMPTS) {
+        throw new Error(`upload chunk at offset ${chunkStart} ${resp.status}: ${text}`);
+      }
+      console.warn(`[upload] chunk at offset ${chunkStart} failed (${resp.status}), attempt ${attempt}`);
+      // Ask the server how much of this chunk it kept and resend the rest.
+      const head = await fetch(uploadUrl, { method: "HEAD", headers: auth });
+      chunkStart = Number(head.headers.get("upload-offset"));
+      if (!Number.isFinite(chunkStart) || chunkStart < offset || chunkStart > offset + chunk.length) {
+        throw new Error(`upload offset ${head.headers.get("upload-offset")} outside current chunk`);
+      }
+    }
+    if (chunkStart !== offset + chunk.length) {
+      throw new Error(`server offset ${chunkStart}, expected ${offset + chunk.length}`);
+    }
+    offset = chunkStart;
+  }
+
+  if (offset !== length) {
+    throw new Error(`media ended at ${offset} bytes, Content-Length was ${length}`);
+  }
+  return { bytes: offset, sha256: hash.digest("hex") };
+}
+
+// Stream an object back out of Storage and hash it.
+async function hashStoredObject(bucket: string, path: string): Promise<{ bytes: number; sha256: string }> {
+  const resp = await fetch(
+    `${STORAGE_URL}/object/${bucket}/${path.split("/").map(encodeURIComponent).join("/")}`,
+    { headers: { Authorization: `Bearer ${SUPABASE_SERVICE_ROLE_KEY}` } },
+  );
+  if (!resp.ok || !resp.body) {
+    throw new Error(`read back ${resp.status}: ${await resp.text()}`);
+  }
+  const hash = createHash("sha256");
+  let bytes = 0;
+  for await (const piece of resp.body) {
+    hash.update(piece);
+    bytes += piece.length;
+  }
+  return { bytes, sha256: hash.digest("hex") };
+}
+
+// ============================================================
+// Billing sweep
+// ============================================================
+
+// Bill ended calls that still have billed_at null (the room-ended callback
+// failed to bill them), except those with a billing_error that retrying
+// can't fix. bill_call locks the call and checks billed_at, so a
+// call billed concurrently by its callback is not charged twice.
+async function billUnbilledCalls() {
+  const { data: calls, error } = await supabase
+    .from("calls")
+    .select("id, caller_id, receiver_id, twilio_room_sid")
+    .is("billed_at", null)
+    .is("billing_error", null)
+    .not("ended_at", "is", null)
+    .not("twilio_room_sid", "is", null)
+    .not("caller_id", "is", null)
+    .not("receiver_id", "is", null)
+    .lt("ended_at", new Date(Date.now() - BILLING_GRACE_MS).toISOString())
+    .order("ended_at", { ascending: true })
+    .limit(BILLING_BATCH_SIZE);
+  if (error) throw new Error(`unbilled calls lookup: ${error.message}`);
+
+  const results: { callId: string; outcome: string }[] = [];
+  for (const call of calls ?? []) {
+    let outcome = "billed";
+    try {
+      await withLogContext({ callId: call.id, roomSid: call.twilio_room_sid }, async () => {
+        await billCall(call, await listRoomParticipants(call.twilio_room_sid));
+      });
+    } catch (err) {
+      console.error("[billing] sweep failed:", err instanceof Error ? err.message : err);
+      outcome = "failed";
+    }
+    results.push({ callId: call.id, outcome });
+  }
+  console.log(`[billing] sweep candidates=${results.length} failed=${results.filter((r) => r.outcome === "failed").length}`);
+  return { attempted: results.length, results };
+}
+
+// ============================================================
+// Composition retries
+// ============================================================
+
+// Retry due recordings, or, with callId, every failed/processing recording
+// of that call regardless of backoff and attempt limits (admin force).
+async function retryCompositions(callId: string | null) {
+  let query = supabase
+    .from("call_recordings")
+    .select(RECORDING_RETRY_COLUMNS)
+    .in("status", ["failed", "processing"])
+    .eq("retryable", true);
+  if (callId) {
+    query = query.eq("call_id", callId);
+  } else {
+    query = query
+      .lt("attempts", MAX_COMPOSITION_RETRIES)
+      .order("created_at", { ascending: true })
+      .limit(RETRY_BATCH_SIZE * 5);
+  }
+
+  const { data: rows, error } = await query;
+  if (error) throw new Error(`call_recordings retry lookup: ${error.message}`);
+
+  const now = Date.now();
+  const due = callId ? rows ?? [] : (rows ?? []).filter((rec: any) => {
+    if (rec.status === "failed") {
+      return !rec.next_retry_at || Date.parse(rec.next_retry_at) <= now;
+    }
+    const lastActivity = Date.parse(rec.last_attempt_at || rec.created_at);
+    return now - lastActivity > STALE_PROCESSING_MS;
+  }).slice(0, RETRY_BATCH_SIZE);
+
+  const results: { id: string; callId: string; outcome: string }[] = [];
+  for (const rec of due) {
+    let outcome: string;
+    try {
+      outcome = await withLogContext({ callId: rec.call_id, recordingId: rec.id }, () => retryRecording(rec));
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      await markRecordingFailed(rec, "retry", msg);
+      outcome = "failed";
+    }
+    results.push({ id: rec.id, callId: rec.call_id, outcome });
+  }
+  console.log(`[retry] callId=${callId ?? "-"} candidates=${rows?.length ?? 0} retried=${results.length}`);
+  return { retried: results.length, results };
+}
+
+async function retryRecording(rec: any): Promise<string> {
+  rec.attempts = (rec.attempts ?? 0) + 1;
+  await supabase
+    .from("call_recordings")
+    .update({ attempts: rec.attempts, last_attempt_at: new Date().toISOString() })
+    .eq("id", rec.id);
+  console.log(`[retry] id=${rec.id} callId=${rec.call_id} status=${rec.status} attempt=${rec.attempts}`);
+
+  // Re-poll the composition we already have before composing a new one.
+  if (rec.twilio_composition_sid) {
+    let composition: any = null;
+    try {
+      composition = await twilio(`/v1/Compositions/${rec.twilio_composition_sid}`);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      if (!msg.includes(" 404:")) {
+        await markRecordingFailed(rec, "composition-fetch", `composition fetch failed: ${msg}`);
+        return "failed";
+      }
+    }
+
+    if (composition?.status === "completed") {
+      return (await storeCompositionMedia(rec, rec.twilio_composition_sid)) ? "ready" : "failed";
+    }
+    if (composition?.status === "enqueued" || composition?.status === "processing") {
+      await supabase.from("call_recordings").update({ status: "processing" }).eq("id", rec.id);
+      return "still-processing";
+    }
+    // failed, deleted or gone: compose again from the room's track recordings.
+  }
+
+  const { data: call } = await supabase
+    .from("calls")
+    .select("id, twilio_room_sid")
+    .eq("id", rec.call_id)
+    .maybeSingle();
+  if (!call?.twilio_room_sid) {
+    await markRecordingFailed(rec, "composition-create", "call has no Twilio room to compose from", false);
+    return "failed";
+  }
+
+  try {
+    const composition = await createComposition(call.twilio_room_sid, rec.media_format, rec.media_format === "mp4");
+    await supabase
+      .from("call_recordings")
+      .update({
+        twilio_composition_sid: composition.sid,
+        status: "processing",
+        failure_reason: null,
+        next_retry_at: null,
+      })
+      .eq("id", rec.id);
+    console.log(`[retry] id=${rec.id} new composition sid=${composition.sid}`);
+    return "recomposing";
+  } catch (err) {
+    const msg = err instanceof Error ? err.message : String(err);
+    await markRecordingFailed(rec, "composition-create", `composition create failed: ${msg}`);
+    return "failed";
+  }
 }
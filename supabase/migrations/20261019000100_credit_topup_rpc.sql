@@ -0,0 +1,86 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Credit top-ups used to be applied by the frontend after Stripe confirmed the
+-- PaymentIntent, which meant the wallet balance was whatever the client said it
+-- was. The Stripe webhook on the Railway backend now credits the wallet itself
+-- on payment_intent.succeeded, through the SECURITY DEFINER function below.
+-- Only the service role may call it: with the anon key anyone could credit any
+-- user with a made-up PaymentIntent id. The backend needs
+-- SUPABASE_SERVICE_ROLE_KEY.
+--
+-- Idempotency: Stripe retries webhook deliveries, so the same PaymentIntent can
+-- arrive more than once. The transactions row is keyed on the PaymentIntent id
+-- and the wallet is only credited when that row is newly inserted.
+--
+-- Safe to run multiple times.
+
+------------------------------------------------------------
+-- transactions: link top-up rows to their Stripe PaymentIntent
+------------------------------------------------------------
+alter table public.transactions
+  add column if not exists stripe_payment_intent_id text;
+
+create unique index if not exists transactions_topup_payment_intent_key
+  on public.transactions (stripe_payment_intent_id)
+  where transaction_type = 'credit_topup';
+
+------------------------------------------------------------
+-- SECURITY DEFINER credit used by the Stripe webhook.
+-- Returns true when the wallet was credited, false when this PaymentIntent
+-- had already been applied (duplicate delivery).
+------------------------------------------------------------
+create or replace function public.credit_wallet_topup(
+  p_user_id uuid,
+  p_payment_intent_id text,
+  p_amount numeric,
+  p_currency text
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_inserted integer;
+begin
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'credit_wallet_topup: amount must be positive (got %)', p_amount;
+  end if;
+
+  insert into public.transactions (
+    from_user_id,
+    to_user_id,
+    amount,
+    transaction_type,
+    description,
+    stripe_payment_intent_id
+  )
+  values (
+    null,
+    p_user_id,
+    p_amount,
+    'credit_topup',
+    format('Credit top-up: %s %s (%s)', to_char(p_amount, 'FM999999990.00'), upper(coalesce(p_currency, 'usd')), p_payment_intent_id),
+    p_payment_intent_id
+  )
+  on conflict (stripe_payment_intent_id) where transaction_type = 'credit_topup' do nothing;
+
+  get diagnostics v_inserted = row_count;
+  if v_inserted = 0 then
+    return false;
+  end if;
+
+  insert into public.wallets (user_id, credits)
+  values (p_user_id, p_amount)
+  on conflict (user_id) do update set
+    credits = public.wallets.credits + excluded.credits;
+
+  return true;
+end;
+$$;
+
+-- Only the Railway backend (service role) credits wallets.
+revoke execute on function public.credit_wallet_topup(uuid, text, numeric, text)
+  from public, anon, authenticated;
+grant execute on function public.credit_wallet_topup(uuid, text, numeric, text)
+  to service_role;
@@ -0,0 +1,144 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Durable inbox for Stripe webhook events. Every verified event is recorded
+-- before it is handled, together with its processing status and last error,
+-- so that:
+--   - duplicate deliveries of an event that was already processed are skipped;
+--   - a failed event (bad deploy, DB outage) stays visible as 'failed' and can
+--     be replayed from POST /admin/replay-webhook-events instead of being lost.
+--
+-- Rows are keyed on (event_id, handler). The same Stripe event can legitimately
+-- reach both the main webhook ('stripe') and the recording webhook
+-- ('recording'), and each handler must process it once.
+--
+-- The table has RLS enabled with no policies and is only touched through the
+-- SECURITY DEFINER functions below, which only the service role may call:
+-- with the anon key anyone could pre-claim a real event id (so it would be
+-- skipped as a duplicate) or mark events processed.
+--
+-- Safe to run multiple times.
+
+create table if not exists public.stripe_webhook_events (
+  event_id          text        not null,
+  handler           text        not null,
+  event_type        text        not null,
+  livemode          boolean     not null default false,
+  stripe_created_at timestamptz,
+  payload           jsonb       not null,
+  status            text        not null default 'processing'
+                    check (status in ('processing', 'processed', 'failed')),
+  attempts          integer     not null default 1,
+  last_error        text,
+  received_at       timestamptz not null default now(),
+  updated_at        timestamptz not null default now(),
+  processed_at      timestamptz,
+  primary key (event_id, handler)
+);
+
+create index if not exists stripe_webhook_events_status_created_idx
+  on public.stripe_webhook_events (status, stripe_created_at);
+
+alter table public.stripe_webhook_events enable row level security;
+
+------------------------------------------------------------
+-- claim_stripe_webhook_event: record the event and take ownership of it.
+-- Returns:
+--   'claimed'     - caller should run the handler, then finish the event
+--   'duplicate'   - already processed; skip (unless p_force)
+--   'in_progress' - another delivery is handling it right now
+-- A 'processing' row that hasn't been touched for 10 minutes is treated as
+-- abandoned (the process died mid-handler) and can be claimed again.
+------------------------------------------------------------
+create or replace function public.claim_stripe_webhook_event(
+  p_event_id text,
+  p_handler text,
+  p_event_type text,
+  p_livemode boolean,
+  p_stripe_created_at timestamptz,
+  p_payload jsonb,
+  p_force boolean default false
+)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_status text;
+  v_updated_at timestamptz;
+begin
+  insert into public.stripe_webhook_events (
+    event_id, handler, event_type, livemode, stripe_created_at, payload
+  )
+  values (
+    p_event_id, p_handler, p_event_type, coalesce(p_livemode, false), p_stripe_created_at, p_payload
+  )
+  on conflict (event_id, handler) do nothing;
+
+  if found then
+    return 'claimed';
+  end if;
+
+  select status, updated_at
+    into v_status, v_updated_at
+    from public.stripe_webhook_events
+   where event_id = p_event_id and handler = p_handler
+   for update;
+
+  if not coalesce(p_force, false) then
+    if v_status = 'processed' then
+      return 'duplicate';
+    end if;
+    if v_status = 'processing' and v_updated_at > now() - interval '10 minutes' then
+      return 'in_progress';
+    end if;
+  end if;
+
+  update public.stripe_webhook_events
+     set status     = 'processing',
+         attempts   = attempts + 1,
+         payload    = p_payload,
+         updated_at = now()
+   where event_id = p_event_id and handler = p_handler;
+
+  return 'claimed';
+end;
+$$;
+
+------------------------------------------------------------
+-- finish_stripe_webhook_event: p_error null => processed, else failed.
+------------------------------------------------------------
+create or replace function public.finish_stripe_webhook_event(
+  p_event_id text,
+  p_handler text,
+  p_error text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.stripe_webhook_events
+     set status       = case when p_error is null then 'processed' else 'failed' end,
+         last_error   = p_error,
+         updated_at   = now(),
+         processed_at = case when p_error is null then now() else null end
+   where event_id = p_event_id and handler = p_handler;
+end;
+$$;
+
+-- Only the Railway backend (service role) records events.
+revoke execute on function public.claim_stripe_webhook_event(
+  text, text, text, boolean, timestamptz, jsonb, boolean
+) from public, anon, authenticated;
+grant execute on function public.claim_stripe_webhook_event(
+  text, text, text, boolean, timestamptz, jsonb, boolean
+) to service_role;
+
+revoke execute on function public.finish_stripe_webhook_event(
+  text, text, text
+) from public, anon, authenticated;
+grant execute on function public.finish_stripe_webhook_event(
+  text, text, text
+) to service_role;
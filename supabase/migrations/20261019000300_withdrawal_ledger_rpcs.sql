@@ -0,0 +1,226 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Atomic withdrawals. /stripe/process-withdrawal used to read wallets.earnings,
+-- create the Stripe transfer and then write `earnings - amount` in separate
+-- calls: two concurrent requests could both pass the balance check, and a
+-- crash between steps left the money moved but the wallet untouched.
+--
+-- Funds now move through a reservation held on the wallet, and each step is a
+-- single SECURITY DEFINER function (one transaction, row-locked):
+--
+--   pending --reserve_withdrawal--> processing --complete_withdrawal--> completed
+--      |                               |                                  |
+--      +-------------------------------+---release_withdrawal-------------+--> failed
+--
+--   reserve_withdrawal   earnings -= amount, reserved_earnings += amount
+--   complete_withdrawal  reserved_earnings -= amount, ledger row written
+--   release_withdrawal   funds go back to earnings (from the reservation while
+--                        processing, or as a reversal once completed)
+--
+-- reserve_withdrawal is idempotent for a request that is already 'processing',
+-- so a client retry after a crash resumes the same withdrawal; the backend
+-- creates the transfer with a Stripe idempotency key derived from the request
+-- id, so the retry gets the original transfer back instead of a second one.
+--
+-- Only the service role may call these: reserve_withdrawal skips the owner
+-- check when p_user_id is null, complete_withdrawal marks a request paid, and
+-- release_withdrawal on a completed request gives the amount back to earnings.
+--
+-- Safe to run multiple times.
+
+alter table public.wallets
+  add column if not exists reserved_earnings numeric not null default 0;
+
+alter table public.withdrawal_requests
+  add column if not exists reserved_at timestamptz;
+
+alter table public.transactions
+  add column if not exists withdrawal_request_id uuid;
+
+------------------------------------------------------------
+-- reserve_withdrawal: pending -> processing, holding the funds.
+------------------------------------------------------------
+create or replace function public.reserve_withdrawal(
+  p_withdrawal_request_id uuid,
+  p_user_id uuid,
+  p_amount numeric
+)
+returns table (user_id uuid, amount numeric, status text, stripe_transfer_id text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_req public.withdrawal_requests%rowtype;
+begin
+  select * into v_req
+    from public.withdrawal_requests
+   where id = p_withdrawal_request_id
+   for update;
+
+  if not found or (p_user_id is not null and v_req.user_id <> p_user_id) then
+    raise exception 'withdrawal_not_found';
+  end if;
+  if v_req.amount <> p_amount then
+    raise exception 'amount_mismatch';
+  end if;
+
+  if v_req.status = 'pending' then
+    update public.wallets w
+       set earnings          = w.earnings - v_req.amount,
+           reserved_earnings = w.reserved_earnings + v_req.amount
+     where w.user_id = v_req.user_id
+       and w.earnings >= v_req.amount;
+    if not found then
+      raise exception 'insufficient_earnings';
+    end if;
+
+    update public.withdrawal_requests r
+       set status = 'processing',
+           reserved_at = now(),
+           failure_reason = null
+     where r.id = v_req.id;
+    v_req.status := 'processing';
+  elsif v_req.status not in ('processing', 'completed') then
+    raise exception 'withdrawal_not_pending';
+  end if;
+
+  return query select v_req.user_id, v_req.amount, v_req.status, v_req.stripe_transfer_id;
+end;
+$$;
+
+------------------------------------------------------------
+-- complete_withdrawal: processing -> completed once the transfer exists.
+-- Returns false if the request was already completed with this transfer.
+------------------------------------------------------------
+create or replace function public.complete_withdrawal(
+  p_withdrawal_request_id uuid,
+  p_stripe_transfer_id text
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_req public.withdrawal_requests%rowtype;
+begin
+  select * into v_req
+    from public.withdrawal_requests
+   where id = p_withdrawal_request_id
+   for update;
+
+  if not found then
+    raise exception 'withdrawal_not_found';
+  end if;
+  if v_req.status = 'completed' and v_req.stripe_transfer_id = p_stripe_transfer_id then
+    return false;
+  end if;
+  if v_req.status <> 'processing' then
+    raise exception 'withdrawal_not_processing';
+  end if;
+
+  update public.wallets w
+     set reserved_earnings = w.reserved_earnings - v_req.amount
+   where w.user_id = v_req.user_id;
+
+  update public.withdrawal_requests r
+     set status = 'completed',
+         stripe_transfer_id = p_stripe_transfer_id,
+         processed_at = now()
+   where r.id = v_req.id;
+
+  insert into public.transactions (
+    from_user_id, to_user_id, amount, transaction_type, description, withdrawal_request_id
+  )
+  values (
+    v_req.user_id,
+    null,
+    -v_req.amount,
+    'withdrawal',
+    format('Withdrawal to Stripe Connect account: $%s', to_char(v_req.amount, 'FM999999990.00')),
+    v_req.id
+  );
+
+  return true;
+end;
+$$;
+
+------------------------------------------------------------
+-- release_withdrawal: -> failed, returning the funds to earnings.
+-- Looks the request up by id, or by transfer id for Stripe webhooks.
+-- Returns null if no request matches, false if it was already failed.
+------------------------------------------------------------
+create or replace function public.release_withdrawal(
+  p_withdrawal_request_id uuid,
+  p_stripe_transfer_id text,
+  p_reason text
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_req public.withdrawal_requests%rowtype;
+begin
+  select * into v_req
+    from public.withdrawal_requests
+   where (p_withdrawal_request_id is not null and id = p_withdrawal_request_id)
+      or (p_withdrawal_request_id is null and stripe_transfer_id = p_stripe_transfer_id)
+   limit 1
+   for update;
+
+  if not found then
+    return null;
+  end if;
+  if v_req.status = 'failed' then
+    return false;
+  end if;
+
+  if v_req.status = 'processing' then
+    update public.wallets w
+       set earnings          = w.earnings + v_req.amount,
+           reserved_earnings = w.reserved_earnings - v_req.amount
+     where w.user_id = v_req.user_id;
+  elsif v_req.status = 'completed' then
+    update public.wallets w
+       set earnings = w.earnings + v_req.amount
+     where w.user_id = v_req.user_id;
+
+    insert into public.transactions (
+      from_user_id, to_user_id, amount, transaction_type, description, withdrawal_request_id
+    )
+    values (
+      null,
+      v_req.user_id,
+      v_req.amount,
+      'withdrawal_reversal',
+      format('Withdrawal reversed: $%s (%s)', to_char(v_req.amount, 'FM999999990.00'), coalesce(p_reason, 'transfer failed')),
+      v_req.id
+    );
+  end if;
+
+  update public.withdrawal_requests r
+     set status = 'failed',
+         failure_reason = coalesce(p_reason, 'Transfer failed'),
+         processed_at = now()
+   where r.id = v_req.id;
+
+  return true;
+end;
+$$;
+
+-- Only the Railway backend (service role) moves withdrawal funds.
+revoke execute on function public.reserve_withdrawal(uuid, uuid, numeric)
+  from public, anon, authenticated;
+grant execute on function public.reserve_withdrawal(uuid, uuid, numeric)
+  to service_role;
+revoke execute on function public.complete_withdrawal(uuid, text)
+  from public, anon, authenticated;
+grant execute on function public.complete_withdrawal(uuid, text)
+  to service_role;
+revoke execute on function public.release_withdrawal(uuid, text, text)
+  from public, anon, authenticated;
+grant execute on function public.release_withdrawal(uuid, text, text)
+  to service_role;
@@ -0,0 +1,123 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Refunds and chargebacks on credit top-ups. A refunded or disputed top-up
+-- used to keep its credits forever. The Stripe webhook (charge.refunded,
+-- charge.dispute.created, charge.dispute.closed) and POST /admin/refund-topup
+-- now reverse the credits through reverse_topup_credits, which writes a
+-- transactions row linked to the original PaymentIntent.
+--
+-- Each reversal is keyed on a Stripe reference (refund id, or dispute id plus
+-- phase), so redelivered events never debit twice. If the debit takes the
+-- wallet below zero (the credits were already spent) the wallet is flagged
+-- for review instead of being clamped.
+--
+-- Only the service role may call reverse_topup_credits; with the anon key
+-- anyone could debit or re-credit any user's top-up.
+--
+-- Safe to run multiple times.
+
+alter table public.transactions
+  add column if not exists stripe_reference_id text;
+
+create unique index if not exists transactions_topup_reversal_reference_key
+  on public.transactions (stripe_reference_id)
+  where transaction_type in ('topup_refund', 'topup_dispute', 'topup_dispute_reversal');
+
+alter table public.wallets
+  add column if not exists flagged_at timestamptz,
+  add column if not exists flag_reason text;
+
+------------------------------------------------------------
+-- reverse_topup_credits
+--   p_amount > 0 debits the wallet (refund, dispute opened);
+--   p_amount < 0 gives credits back (dispute won).
+-- Returns no row if the PaymentIntent isn't a credited top-up; otherwise the
+-- user, whether this call applied the reversal (false = duplicate), the new
+-- credit balance and whether the wallet is flagged.
+------------------------------------------------------------
+create or replace function public.reverse_topup_credits(
+  p_payment_intent_id text,
+  p_reference_id text,
+  p_kind text,
+  p_amount numeric,
+  p_reason text
+)
+returns table (user_id uuid, applied boolean, credits numeric, flagged boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_user_id uuid;
+  v_credits numeric;
+  v_flagged_at timestamptz;
+begin
+  if p_kind not in ('topup_refund', 'topup_dispute', 'topup_dispute_reversal') then
+    raise exception 'reverse_topup_credits: unsupported kind %', p_kind;
+  end if;
+
+  select t.to_user_id into v_user_id
+    from public.transactions t
+   where t.stripe_payment_intent_id = p_payment_intent_id
+     and t.transaction_type = 'credit_topup';
+
+  if v_user_id is null then
+    return;
+  end if;
+
+  insert into public.transactions (
+    from_user_id,
+    to_user_id,
+    amount,
+    transaction_type,
+    description,
+    stripe_payment_intent_id,
+    stripe_reference_id
+  )
+  values (
+    v_user_id,
+    null,
+    -p_amount,
+    p_kind,
+    format('%s: %s credits (%s)', coalesce(p_reason, p_kind), to_char(-p_amount, 'FM999999990.00'), p_reference_id),
+    p_payment_intent_id,
+    p_reference_id
+  )
+  on conflict (stripe_reference_id)
+    where transaction_type in ('topup_refund', 'topup_dispute', 'topup_dispute_reversal')
+    do nothing;
+
+  if not found then
+    select w.credits, w.flagged_at into v_credits, v_flagged_at
+      from public.wallets w
+     where w.user_id = v_user_id;
+    return query select v_user_id, false, v_credits, v_flagged_at is not null;
+    return;
+  end if;
+
+  update public.wallets w
+     set credits     = w.credits - p_amount,
+         flagged_at  = case
+                         when w.credits - p_amount < 0 and w.flagged_at is null then now()
+                         else w.flagged_at
+                       end,
+         flag_reason = case
+                         when w.credits - p_amount < 0 and w.flagged_at is null
+                           then format('negative balance after %s %s', p_kind, p_reference_id)
+                         else w.flag_reason
+                       end
+   where w.user_id = v_user_id
+  returning w.credits, w.flagged_at into v_credits, v_flagged_at;
+
+  return query select v_user_id, true, v_credits, v_flagged_at is not null;
+end;
+$$;
+
+-- Only the Railway backend (service role) reverses top-ups.
+revoke execute on function public.reverse_topup_credits(
+  text, text, text, numeric, text
+) from public, anon, authenticated;
+grant execute on function public.reverse_topup_credits(
+  text, text, text, numeric, text
+) to service_role;
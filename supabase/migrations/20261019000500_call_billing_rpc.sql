@@ -0,0 +1,154 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Per-minute call billing. When a Twilio room ends, the
+-- twilio-recording-webhook Edge Function works out how long caller and
+-- receiver were connected at the same time and calls bill_call, which in one
+-- transaction:
+--   - debits the caller's credits at the receiver's per-minute rate
+--     (every started minute is billed; capped at the credits they have),
+--   - credits the receiver's earnings minus the platform fee,
+--   - writes a transactions row for each side, linked to the call,
+--   - stamps the call as billed.
+-- The call row is locked and billed_at checked first, so a room that ends
+-- twice (duplicate callback, manual retry) is only billed once.
+--
+-- The rate is calls.rate_per_minute when the app set one when the call was
+-- placed, otherwise the receiver's profiles.rate_per_minute at billing time.
+-- Whatever was used is written back to the call.
+--
+-- Only the Edge Function (service role) may call this.
+--
+-- Safe to run multiple times.
+
+alter table public.calls
+  add column if not exists rate_per_minute numeric,
+  add column if not exists connected_seconds integer,
+  add column if not exists billed_at timestamptz,
+  add column if not exists billed_minutes integer,
+  add column if not exists billed_amount numeric,
+  add column if not exists billed_platform_fee numeric;
+
+alter table public.profiles
+  add column if not exists rate_per_minute numeric;
+
+alter table public.transactions
+  add column if not exists call_id uuid;
+
+create index if not exists transactions_call_id_idx
+  on public.transactions (call_id)
+  where call_id is not null;
+
+create or replace function public.bill_call(
+  p_call_id uuid,
+  p_connected_seconds integer,
+  p_platform_fee_rate numeric
+)
+returns table (
+  billed boolean,
+  minutes integer,
+  cost numeric,
+  charged numeric,
+  receiver_earnings numeric,
+  platform_fee numeric
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_call public.calls%rowtype;
+  v_rate numeric;
+  v_minutes integer;
+  v_cost numeric;
+  v_credits numeric;
+  v_charged numeric;
+  v_fee numeric;
+  v_net numeric;
+begin
+  select * into v_call
+    from public.calls
+   where id = p_call_id
+   for update;
+
+  if not found then
+    raise exception 'call_not_found';
+  end if;
+
+  if v_call.billed_at is not null then
+    return query select
+      false,
+      v_call.billed_minutes,
+      round(coalesce(v_call.rate_per_minute, 0) * coalesce(v_call.billed_minutes, 0), 2),
+      v_call.billed_amount,
+      v_call.billed_amount - v_call.billed_platform_fee,
+      v_call.billed_platform_fee;
+    return;
+  end if;
+
+  v_rate := coalesce(
+    v_call.rate_per_minute,
+    (select p.rate_per_minute from public.profiles p where p.id = v_call.receiver_id),
+    0
+  );
+  v_minutes := ceil(greatest(coalesce(p_connected_seconds, 0), 0) / 60.0);
+  v_cost := round(v_rate * v_minutes, 2);
+
+  select w.credits into v_credits
+    from public.wallets w
+   where w.user_id = v_call.caller_id
+   for update;
+
+  v_charged := least(v_cost, greatest(coalesce(v_credits, 0), 0));
+  v_fee := round(v_charged * greatest(least(coalesce(p_platform_fee_rate, 0), 1), 0), 2);
+  v_net := v_charged - v_fee;
+
+  if v_charged > 0 then
+    update public.wallets w
+       set credits = w.credits - v_charged
+     where w.user_id = v_call.caller_id;
+
+    insert into public.wallets (user_id, earnings)
+    values (v_call.receiver_id, v_net)
+    on conflict (user_id) do update set
+      earnings = public.wallets.earnings + excluded.earnings;
+
+    insert into public.transactions (
+      from_user_id, to_user_id, amount, transaction_type, description, call_id
+    )
+    values
+      (
+        v_call.caller_id,
+        v_call.receiver_id,
+        -v_charged,
+        'call_charge',
+        format('Call charge: %s min at $%s/min', v_minutes, to_char(v_rate, 'FM999999990.00')),
+        v_call.id
+      ),
+      (
+        v_call.caller_id,
+        v_call.receiver_id,
+        v_net,
+        'call_earning',
+        format('Call earnings: %s min (platform fee $%s)', v_minutes, to_char(v_fee, 'FM999999990.00')),
+        v_call.id
+      );
+  end if;
+
+  update public.calls c
+     set rate_per_minute     = v_rate,
+         connected_seconds   = greatest(coalesce(p_connected_seconds, 0), 0),
+         billed_at           = now(),
+         billed_minutes      = v_minutes,
+         billed_amount       = v_charged,
+         billed_platform_fee = v_fee
+   where c.id = v_call.id;
+
+  return query select true, v_minutes, v_cost, v_charged, v_net, v_fee;
+end;
+$$;
+
+revoke execute on function public.bill_call(uuid, integer, numeric)
+  from public, anon, authenticated;
+grant execute on function public.bill_call(uuid, integer, numeric)
+  to service_role;
@@ -0,0 +1,133 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Recording deletion and retention.
+--
+--   - DELETE /recordings/:id on the Railway backend lets the subscriber delete
+--     one of their recordings. It removes the storage object under the user's
+--     JWT (needs the delete policy below) and then marks the row through
+--     mark_recording_deleted, which checks auth.uid() itself.
+--   - The recording-retention Edge Function runs on a schedule and purges
+--     recordings older than RECORDING_RETENTION_DAYS, and all recordings of
+--     users whose call_recording subscription lapsed more than
+--     RECORDING_LAPSED_GRACE_DAYS ago. It picks them with
+--     recordings_due_for_retention (service role only).
+--
+-- Deleted rows are kept with status 'deleted' (and an empty storage_path) so
+-- the call history still shows that a recording existed.
+--
+-- Safe to run multiple times.
+
+alter table public.call_recordings
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_reason text;
+
+------------------------------------------------------------
+-- Storage: the owning subscriber may delete their own recording objects.
+------------------------------------------------------------
+drop policy if exists "recordings_delete_owner" on storage.objects;
+create policy "recordings_delete_owner"
+on storage.objects
+for delete
+to authenticated
+using (
+  bucket_id = 'recordings'
+  and auth.uid()::text = (storage.foldername(name))[1]
+);
+
+------------------------------------------------------------
+-- mark_recording_deleted: called under the subscriber's JWT.
+-- call_recordings has no client update policy, so this is the only way a
+-- client can change a row, and only to mark their own recording deleted.
+-- Returns false if the recording doesn't exist or isn't theirs.
+------------------------------------------------------------
+create or replace function public.mark_recording_deleted(
+  p_recording_id uuid,
+  p_reason text default 'deleted by subscriber'
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.call_recordings
+     set status         = 'deleted',
+         storage_path   = '',
+         deleted_at     = now(),
+         deleted_reason = p_reason
+   where id = p_recording_id
+     and subscriber_user_id = auth.uid()
+     and status <> 'deleted';
+  return found;
+end;
+$$;
+
+revoke execute on function public.mark_recording_deleted(uuid, text)
+  from public, anon;
+grant execute on function public.mark_recording_deleted(uuid, text)
+  to authenticated;
+
+------------------------------------------------------------
+-- recordings_due_for_retention: recordings the retention job should purge.
+-- A null/zero argument disables that rule.
+------------------------------------------------------------
+create or replace function public.recordings_due_for_retention(
+  p_max_age_days integer,
+  p_lapsed_grace_days integer,
+  p_limit integer default 100
+)
+returns table (id uuid, storage_path text, reason text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select r.id,
+         r.storage_path,
+         case
+           when coalesce(p_max_age_days, 0) > 0
+            and r.created_at < now() - make_interval(days => p_max_age_days)
+             then format('older than %s days', p_max_age_days)
+           else format('subscription lapsed more than %s days ago', p_lapsed_grace_days)
+         end
+    from public.call_recordings r
+   where r.status <> 'deleted'
+     and r.status <> 'processing'
+     and (
+       (coalesce(p_max_age_days, 0) > 0
+         and r.created_at < now() - make_interval(days => p_max_age_days))
+       or
+       (coalesce(p_lapsed_grace_days, 0) > 0
+         and not exists (
+           select 1
+             from public.subscriptions s
+            where s.user_id = r.subscriber_user_id
+              and s.product = 'call_recording'
+              and (
+                s.status in ('active', 'trialing', 'past_due')
+                or s.current_period_end > now() - make_interval(days => p_lapsed_grace_days)
+              )
+         ))
+     )
+   order by r.created_at
+   limit greatest(coalesce(p_limit, 100), 1);
+$$;
+
+revoke execute on function public.recordings_due_for_retention(integer, integer, integer)
+  from public, anon, authenticated;
+grant execute on function public.recordings_due_for_retention(integer, integer, integer)
+  to service_role;
+
+------------------------------------------------------------
+-- Schedule (optional): run the retention function daily at 03:30 UTC with
+-- pg_cron + pg_net. Fill in the project ref and WEBHOOK_KEY, then run:
+--
+-- select cron.schedule(
+--   'recording-retention',
+--   '30 3 * * *',
+--   $$ select net.http_post(
+--        url := 'https://<project-ref>.supabase.co/functions/v1/recording-retention?key=<WEBHOOK_KEY>',
+--        body := '{}'::jsonb
+--      ) $$
+-- );
+------------------------------------------------------------
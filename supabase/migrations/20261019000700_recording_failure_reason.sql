@@ -0,0 +1,17 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- The twilio-recording-webhook Edge Function now stores why a recording
+-- failed (e.g. "no participant published any audio/video tracks while
+-- recording was active") instead of only logging it, so GET /recordings and
+-- GET /recordings/:id can explain failed recordings to the user.
+--
+-- The index backs the cursor pagination of GET /recordings
+-- (subscriber_user_id, newest first).
+--
+-- Safe to run multiple times.
+
+alter table public.call_recordings
+  add column if not exists failure_reason text;
+
+create index if not exists call_recordings_subscriber_created_idx
+  on public.call_recordings (subscriber_user_id, created_at desc, id desc);
@@ -0,0 +1,120 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Recording consent. Recording used to be switched on by the requesting
+-- user's subscription alone; the other person on the call was never asked.
+-- Now the subscriber requests consent (POST /recording-consent/request) and
+-- the other participant accepts or declines (/recording-consent/accept,
+-- /recording-consent/decline). One row per (call, participant being asked).
+--
+-- Enforcement, unless RECORDING_CONSENT_POLICY=one_party is configured on
+-- both the Railway backend and the Edge Function:
+--   - /twilio/start-recording and /twilio/create-room won't turn recording on
+--     without an 'accepted' row for the other participant;
+--   - the twilio-recording-webhook Edge Function won't compose a recording
+--     without it, and deletes the room's track recordings instead.
+--
+-- Rows are readable by both call participants (so the app can show the
+-- request and subscribe to it over Realtime) and writable only through the
+-- SECURITY DEFINER functions below, which check auth.uid() themselves.
+--
+-- Safe to run multiple times.
+
+create table if not exists public.call_recording_consents (
+  id             uuid        primary key default gen_random_uuid(),
+  call_id        uuid        not null references public.calls (id) on delete cascade,
+  participant_id uuid        not null,
+  requested_by   uuid        not null,
+  status         text        not null default 'pending'
+                 check (status in ('pending', 'accepted', 'declined')),
+  requested_at   timestamptz not null default now(),
+  responded_at   timestamptz,
+  unique (call_id, participant_id)
+);
+
+alter table public.call_recording_consents enable row level security;
+
+drop policy if exists "call_recording_consents_select_participant" on public.call_recording_consents;
+create policy "call_recording_consents_select_participant"
+on public.call_recording_consents
+for select
+to authenticated
+using (
+  exists (
+    select 1
+      from public.calls c
+     where c.id = call_id
+       and (auth.uid() = c.caller_id or auth.uid() = c.receiver_id)
+  )
+);
+
+------------------------------------------------------------
+-- request_recording_consent: the caller of this function asks the other
+-- participant of the call. Re-requesting after a decline resets the row to
+-- 'pending'; an existing 'accepted' consent is kept.
+------------------------------------------------------------
+create or replace function public.request_recording_consent(p_call_id uuid)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_call public.calls%rowtype;
+  v_other uuid;
+  v_status text;
+begin
+  select * into v_call from public.calls where id = p_call_id;
+  if not found or auth.uid() is null
+     or (auth.uid() <> v_call.caller_id and auth.uid() <> v_call.receiver_id) then
+    raise exception 'not_a_participant';
+  end if;
+
+  v_other := case when auth.uid() = v_call.caller_id then v_call.receiver_id else v_call.caller_id end;
+
+  insert into public.call_recording_consents as c (call_id, participant_id, requested_by)
+  values (p_call_id, v_other, auth.uid())
+  on conflict (call_id, participant_id) do update set
+    requested_by = excluded.requested_by,
+    status       = case when c.status = 'accepted' then 'accepted' else 'pending' end,
+    requested_at = case when c.status = 'accepted' then c.requested_at else now() end,
+    responded_at = case when c.status = 'accepted' then c.responded_at else null end
+  returning c.status into v_status;
+
+  return v_status;
+end;
+$$;
+
+------------------------------------------------------------
+-- respond_recording_consent: the participant who was asked answers.
+------------------------------------------------------------
+create or replace function public.respond_recording_consent(
+  p_call_id uuid,
+  p_accept boolean
+)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_status text;
+begin
+  update public.call_recording_consents
+     set status       = case when p_accept then 'accepted' else 'declined' end,
+         responded_at = now()
+   where call_id = p_call_id
+     and participant_id = auth.uid()
+  returning status into v_status;
+
+  if v_status is null then
+    raise exception 'no_consent_request';
+  end if;
+  return v_status;
+end;
+$$;
+
+revoke execute on function public.request_recording_consent(uuid) from public, anon;
+grant execute on function public.request_recording_consent(uuid) to authenticated;
+
+revoke execute on function public.respond_recording_consent(uuid, boolean) from public, anon;
+grant execute on function public.respond_recording_consent(uuid, boolean) to authenticated;
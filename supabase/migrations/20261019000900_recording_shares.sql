@@ -0,0 +1,255 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Sharing a recording. Only subscriber_user_id could ever read a recording.
+-- The subscriber can now:
+--   - grant access to the other call participant (optionally until a date),
+--   - create an expiring share link. Opening it requires signing in: the
+--     backend redeems the link into a per-user grant for whoever opened it,
+--     so every access still runs under a user JWT and RLS,
+--   - revoke either. Revoking a link also revokes the grants redeemed from it.
+--
+-- Grantees can read the call_recordings row and the storage object through
+-- the policies below, which is what lets GET /recordings/:id/signed-url sign
+-- under the grantee's own JWT. Each signed URL handed out is written to
+-- call_recording_downloads for auditing.
+--
+-- Safe to run multiple times.
+
+create table if not exists public.call_recording_shares (
+  id              uuid        primary key default gen_random_uuid(),
+  recording_id    uuid        not null references public.call_recordings (id) on delete cascade,
+  granted_by      uuid        not null,
+  grantee_user_id uuid,
+  token_hash      text        unique,
+  parent_share_id uuid        references public.call_recording_shares (id) on delete cascade,
+  expires_at      timestamptz,
+  revoked_at      timestamptz,
+  created_at      timestamptz not null default now(),
+  check ((grantee_user_id is null) <> (token_hash is null))
+);
+
+create unique index if not exists call_recording_shares_active_grant_key
+  on public.call_recording_shares (recording_id, grantee_user_id)
+  where grantee_user_id is not null and revoked_at is null;
+
+create table if not exists public.call_recording_downloads (
+  id           uuid        primary key default gen_random_uuid(),
+  recording_id uuid        not null references public.call_recordings (id) on delete cascade,
+  user_id      uuid        not null,
+  share_id     uuid        references public.call_recording_shares (id) on delete set null,
+  access       text        not null check (access in ('owner', 'grant')),
+  ip           text,
+  user_agent   text,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists call_recording_downloads_recording_idx
+  on public.call_recording_downloads (recording_id, created_at desc);
+
+-- True when p_user_id holds an unrevoked, unexpired grant on the recording.
+create or replace function public.has_recording_grant(p_recording_id uuid, p_user_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+      from public.call_recording_shares s
+     where s.recording_id = p_recording_id
+       and s.grantee_user_id = p_user_id
+       and s.revoked_at is null
+       and (s.expires_at is null or s.expires_at > now())
+  );
+$$;
+
+grant execute on function public.has_recording_grant(uuid, uuid) to authenticated, service_role;
+
+------------------------------------------------------------
+-- RLS
+------------------------------------------------------------
+alter table public.call_recording_shares enable row level security;
+alter table public.call_recording_downloads enable row level security;
+
+drop policy if exists "call_recording_shares_select_party" on public.call_recording_shares;
+create policy "call_recording_shares_select_party"
+on public.call_recording_shares
+for select
+to authenticated
+using (auth.uid() = granted_by or auth.uid() = grantee_user_id);
+
+drop policy if exists "call_recording_downloads_insert_self" on public.call_recording_downloads;
+create policy "call_recording_downloads_insert_self"
+on public.call_recording_downloads
+for insert
+to authenticated
+with check (auth.uid() = user_id);
+
+drop policy if exists "call_recording_downloads_select_owner" on public.call_recording_downloads;
+create policy "call_recording_downloads_select_owner"
+on public.call_recording_downloads
+for select
+to authenticated
+using (
+  exists (
+    select 1 from public.call_recordings r
+     where r.id = recording_id and r.subscriber_user_id = auth.uid()
+  )
+);
+
+drop policy if exists "call_recordings_select_grantee" on public.call_recordings;
+create policy "call_recordings_select_grantee"
+on public.call_recordings
+for select
+to authenticated
+using (public.has_recording_grant(id, auth.uid()));
+
+drop policy if exists "recordings_select_grantee" on storage.objects;
+create policy "recordings_select_grantee"
+on storage.objects
+for select
+to authenticated
+using (
+  bucket_id = 'recordings'
+  and exists (
+    select 1
+      from public.call_recordings r
+     where r.storage_path = objects.name
+       and public.has_recording_grant(r.id, auth.uid())
+  )
+);
+
+------------------------------------------------------------
+-- create_recording_share: called under the subscriber's JWT.
+-- Exactly one of p_grantee_user_id / p_token_hash. A user grant is limited to
+-- the other participant of the call; re-granting updates the expiry.
+------------------------------------------------------------
+create or replace function public.create_recording_share(
+  p_recording_id uuid,
+  p_grantee_user_id uuid,
+  p_token_hash text,
+  p_expires_at timestamptz
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_rec public.call_recordings%rowtype;
+  v_call public.calls%rowtype;
+  v_id uuid;
+begin
+  select * into v_rec from public.call_recordings where id = p_recording_id;
+  if not found or v_rec.subscriber_user_id <> auth.uid() then
+    raise exception 'recording_not_found';
+  end if;
+  if v_rec.status = 'deleted' then
+    raise exception 'recording_deleted';
+  end if;
+
+  if p_grantee_user_id is not null then
+    select * into v_call from public.calls where id = v_rec.call_id;
+    if p_grantee_user_id = auth.uid()
+       or p_grantee_user_id not in (v_call.caller_id, v_call.receiver_id) then
+      raise exception 'grantee_not_participant';
+    end if;
+
+    update public.call_recording_shares
+       set expires_at = p_expires_at
+     where recording_id = p_recording_id
+       and grantee_user_id = p_grantee_user_id
+       and revoked_at is null
+    returning id into v_id;
+    if v_id is not null then
+      return v_id;
+    end if;
+  end if;
+
+  insert into public.call_recording_shares (
+    recording_id, granted_by, grantee_user_id, token_hash, expires_at
+  )
+  values (
+    p_recording_id, auth.uid(), p_grantee_user_id, p_token_hash, p_expires_at
+  )
+  returning id into v_id;
+  return v_id;
+end;
+$$;
+
+------------------------------------------------------------
+-- revoke_recording_share: subscriber only. Cascades to grants redeemed from
+-- a link. Returns false if there was nothing active to revoke.
+------------------------------------------------------------
+create or replace function public.revoke_recording_share(p_share_id uuid)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.call_recording_shares
+     set revoked_at = now()
+   where (id = p_share_id or parent_share_id = p_share_id)
+     and granted_by = auth.uid()
+     and revoked_at is null;
+  return found;
+end;
+$$;
+
+------------------------------------------------------------
+-- redeem_recording_share_link: turns a valid link into a grant for the
+-- signed-in user, expiring with the link. Returns the recording id.
+------------------------------------------------------------
+create or replace function public.redeem_recording_share_link(p_token_hash text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_link public.call_recording_shares%rowtype;
+begin
+  if auth.uid() is null then
+    raise exception 'not_authenticated';
+  end if;
+
+  select * into v_link
+    from public.call_recording_shares
+   where token_hash = p_token_hash
+     and revoked_at is null
+     and (expires_at is null or expires_at > now());
+  if not found then
+    raise exception 'share_link_invalid';
+  end if;
+
+  if v_link.granted_by <> auth.uid() then
+    -- An existing grant is only ever extended, never shortened.
+    insert into public.call_recording_shares as c (
+      recording_id, granted_by, grantee_user_id, parent_share_id, expires_at
+    )
+    values (
+      v_link.recording_id, v_link.granted_by, auth.uid(), v_link.id, v_link.expires_at
+    )
+    on conflict (recording_id, grantee_user_id)
+      where grantee_user_id is not null and revoked_at is null
+      do update set
+        expires_at = case
+                       when c.expires_at is null or excluded.expires_at is null then null
+                       else greatest(c.expires_at, excluded.expires_at)
+                     end;
+  end if;
+
+  return v_link.recording_id;
+end;
+$$;
+
+revoke execute on function public.create_recording_share(uuid, uuid, text, timestamptz) from public, anon;
+grant execute on function public.create_recording_share(uuid, uuid, text, timestamptz) to authenticated;
+
+revoke execute on function public.revoke_recording_share(uuid) from public, anon;
+grant execute on function public.revoke_recording_share(uuid) to authenticated;
+
+revoke execute on function public.redeem_recording_share_link(text) from public, anon;
+grant execute on function public.redeem_recording_share_link(text) to authenticated;
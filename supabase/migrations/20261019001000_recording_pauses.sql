@@ -0,0 +1,77 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Pausing a recording mid-call (e.g. while payment details are read aloud).
+-- /twilio/pause-recording and /twilio/resume-recording switch the room's
+-- Twilio recording rules off and on, and record each pause window on the call
+-- through set_call_recording_paused:
+--
+--   calls.recording_paused  true while a pause is open
+--   calls.recording_pauses  [{ "paused_at", "paused_by", "resumed_at" }, ...]
+--
+-- While paused Twilio records no media, and the Edge Function composes with
+-- Trim=true, so the paused intervals are cut from the final recording.
+--
+-- Safe to run multiple times.
+
+alter table public.calls
+  add column if not exists recording_paused boolean not null default false,
+  add column if not exists recording_pauses jsonb not null default '[]'::jsonb;
+
+------------------------------------------------------------
+-- set_call_recording_paused: called under either participant's JWT.
+-- Appends a window on pause and closes the open one on resume; setting the
+-- state it's already in is a no-op. Returns the pause windows.
+------------------------------------------------------------
+create or replace function public.set_call_recording_paused(
+  p_call_id uuid,
+  p_paused boolean
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_call public.calls%rowtype;
+  v_pauses jsonb;
+  v_last integer;
+begin
+  select * into v_call
+    from public.calls
+   where id = p_call_id
+   for update;
+
+  if not found or auth.uid() is null
+     or (auth.uid() <> v_call.caller_id and auth.uid() <> v_call.receiver_id) then
+    raise exception 'not_a_participant';
+  end if;
+
+  v_pauses := coalesce(v_call.recording_pauses, '[]'::jsonb);
+  if p_paused = v_call.recording_paused then
+    return v_pauses;
+  end if;
+
+  if p_paused then
+    v_pauses := v_pauses || jsonb_build_array(jsonb_build_object(
+      'paused_at', now(),
+      'paused_by', auth.uid(),
+      'resumed_at', null
+    ));
+  else
+    v_last := jsonb_array_length(v_pauses) - 1;
+    if v_last >= 0 then
+      v_pauses := jsonb_set(v_pauses, array[v_last::text, 'resumed_at'], to_jsonb(now()));
+    end if;
+  end if;
+
+  update public.calls
+     set recording_paused = p_paused,
+         recording_pauses = v_pauses
+   where id = p_call_id;
+
+  return v_pauses;
+end;
+$$;
+
+revoke execute on function public.set_call_recording_paused(uuid, boolean) from public, anon;
+grant execute on function public.set_call_recording_paused(uuid, boolean) to authenticated;
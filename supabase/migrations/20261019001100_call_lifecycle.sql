@@ -0,0 +1,54 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Call lifecycle from Twilio room events. The twilio-recording-webhook Edge
+-- Function now also handles room-created, participant-connected and
+-- participant-disconnected, and writes:
+--
+--   call_participant_sessions  one row per Twilio participant (a user who
+--                              drops and rejoins gets a new row), with
+--                              connected_at / disconnected_at / duration
+--   calls.started_at           when caller and receiver were first both in
+--                              the room
+--   calls.ended_at             when the room ended
+--   calls.connected_seconds    time both were connected (written at billing,
+--                              see bill_call)
+--
+-- Writes come from the Edge Function with the service role. Participants can
+-- read the sessions of their own calls.
+--
+-- Safe to run multiple times.
+
+alter table public.calls
+  add column if not exists started_at timestamptz,
+  add column if not exists ended_at timestamptz;
+
+create table if not exists public.call_participant_sessions (
+  id               uuid        primary key default gen_random_uuid(),
+  call_id          uuid        not null references public.calls (id) on delete cascade,
+  participant_sid  text        not null unique,
+  identity         text        not null default '',
+  user_id          uuid,
+  connected_at     timestamptz,
+  disconnected_at  timestamptz,
+  duration_seconds integer,
+  created_at       timestamptz not null default now()
+);
+
+create index if not exists call_participant_sessions_call_idx
+  on public.call_participant_sessions (call_id, connected_at);
+
+alter table public.call_participant_sessions enable row level security;
+
+drop policy if exists "call_participant_sessions_select_participant" on public.call_participant_sessions;
+create policy "call_participant_sessions_select_participant"
+on public.call_participant_sessions
+for select
+to authenticated
+using (
+  exists (
+    select 1
+      from public.calls c
+     where c.id = call_id
+       and (auth.uid() = c.caller_id or auth.uid() = c.receiver_id)
+  )
+);
@@ -0,0 +1,87 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Automatic retry of failed or stuck compositions.
+--
+-- The twilio-recording-webhook Edge Function, called with
+-- ?task=retry-compositions, picks up call_recordings rows that failed with a
+-- retryable error (composition create/fetch, media download, storage upload)
+-- or have sat in 'processing' too long, and re-polls or re-creates their
+-- composition. Each row keeps:
+--
+--   - attempts        retries made so far (the function stops at its cap)
+--   - retryable       false for failures a retry can't fix (no consent,
+--                     nothing recorded)
+--   - next_retry_at   earliest time for the next retry (exponential backoff)
+--   - last_attempt_at when the last retry started
+--   - attempt_errors  history of {at, attempt, stage, error}, newest last
+--
+-- POST /admin/retry-recording on the Railway backend forces a retry for one
+-- call, ignoring the backoff and the attempt cap.
+--
+-- Safe to run multiple times.
+
+alter table public.call_recordings
+  add column if not exists attempts integer not null default 0,
+  add column if not exists retryable boolean not null default true,
+  add column if not exists next_retry_at timestamptz,
+  add column if not exists last_attempt_at timestamptz,
+  add column if not exists attempt_errors jsonb not null default '[]'::jsonb;
+
+create index if not exists call_recordings_retry_idx
+  on public.call_recordings (status, next_retry_at)
+  where status in ('failed', 'processing') and retryable;
+
+------------------------------------------------------------
+-- record_recording_attempt_error: marks a recording failed and appends the
+-- error to its history in one statement, so concurrent callbacks can't drop
+-- each other's entries. Service role only (Edge Function).
+------------------------------------------------------------
+create or replace function public.record_recording_attempt_error(
+  p_recording_id uuid,
+  p_stage text,
+  p_error text,
+  p_retryable boolean,
+  p_next_retry_at timestamptz
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.call_recordings
+     set status         = 'failed',
+         failure_reason = p_error,
+         retryable      = coalesce(p_retryable, false),
+         next_retry_at  = p_next_retry_at,
+         attempt_errors = coalesce(attempt_errors, '[]'::jsonb) || jsonb_build_array(
+           jsonb_build_object(
+             'at', now(),
+             'attempt', attempts,
+             'stage', p_stage,
+             'error', p_error
+           )
+         )
+   where id = p_recording_id
+     and status <> 'deleted';
+end;
+$$;
+
+revoke execute on function public.record_recording_attempt_error(uuid, text, text, boolean, timestamptz)
+  from public, anon, authenticated;
+grant execute on function public.record_recording_attempt_error(uuid, text, text, boolean, timestamptz)
+  to service_role;
+
+------------------------------------------------------------
+-- Schedule (optional): run the retry job every 10 minutes with pg_cron +
+-- pg_net. Fill in the project ref and WEBHOOK_KEY, then run:
+--
+-- select cron.schedule(
+--   'composition-retries',
+--   '*/10 * * * *',
+--   $$ select net.http_post(
+--        url := 'https://<project-ref>.supabase.co/functions/v1/twilio-recording-webhook?key=<WEBHOOK_KEY>&task=retry-compositions',
+--        body := '{}'::jsonb
+--      ) $$
+-- );
+------------------------------------------------------------
@@ -0,0 +1,12 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Composition media is now streamed into the recordings bucket with a
+-- resumable (TUS) upload instead of being buffered in the Edge Function.
+-- Before a row is marked 'ready' the stored object is read back and its size
+-- and SHA-256 are compared with what was downloaded from Twilio; the hash is
+-- kept here so later copies or downloads can be checked against it.
+--
+-- Safe to run multiple times.
+
+alter table public.call_recordings
+  add column if not exists checksum_sha256 text;
@@ -0,0 +1,226 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Role-based admin API. The Railway backend's /admin endpoints used to be
+-- guarded by a shared x-admin-key; they now take the caller's Supabase JWT
+-- and require the admin role in app_metadata (which only the service role can
+-- write, so users can't grant it to themselves). Make someone an admin with:
+--
+--   update auth.users
+--      set raw_app_meta_data = raw_app_meta_data || '{"role": "admin"}'
+--    where email = '<email>';
+--
+-- (they have to sign in again for the claim to reach their JWT).
+--
+-- Admin reads go through the admin's own client, so admins get read policies
+-- on the money tables; writes stay in SECURITY DEFINER functions that check
+-- the role themselves.
+--
+-- Withdrawals can now be held for manual review:
+--
+--   pending --reserve--> processing --hold_withdrawal_for_review--> held
+--                                                                    |
+--          processing <--review_withdrawal (approve)-----------------+
+--          failed     <--review_withdrawal (reject, funds returned)--+
+--
+-- A held request keeps its funds reserved. The backend holds a request when
+-- the wallet is flagged (negative balance after a refund/dispute) or the
+-- amount is at or above WITHDRAWAL_REVIEW_THRESHOLD; approving it makes the
+-- transfer to the Connect account recorded at hold time.
+--
+-- Safe to run multiple times.
+
+------------------------------------------------------------
+-- is_admin: the admin role claim of the calling user's JWT.
+------------------------------------------------------------
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'admin';
+$$;
+
+grant execute on function public.is_admin() to anon, authenticated, service_role;
+
+------------------------------------------------------------
+-- Admin read access
+------------------------------------------------------------
+drop policy if exists "withdrawal_requests_select_admin" on public.withdrawal_requests;
+create policy "withdrawal_requests_select_admin"
+on public.withdrawal_requests
+for select
+to authenticated
+using (public.is_admin());
+
+drop policy if exists "wallets_select_admin" on public.wallets;
+create policy "wallets_select_admin"
+on public.wallets
+for select
+to authenticated
+using (public.is_admin());
+
+drop policy if exists "subscriptions_select_admin" on public.subscriptions;
+create policy "subscriptions_select_admin"
+on public.subscriptions
+for select
+to authenticated
+using (public.is_admin());
+
+drop policy if exists "transactions_select_admin" on public.transactions;
+create policy "transactions_select_admin"
+on public.transactions
+for select
+to authenticated
+using (public.is_admin());
+
+------------------------------------------------------------
+-- Review state on withdrawal_requests
+------------------------------------------------------------
+alter table public.withdrawal_requests
+  add column if not exists stripe_account_id text,
+  add column if not exists review_reason text,
+  add column if not exists reviewed_by uuid,
+  add column if not exists reviewed_at timestamptz,
+  add column if not exists review_note text;
+
+-- 'held' is a new status; replace the default-named check if there is one.
+alter table public.withdrawal_requests
+  drop constraint if exists withdrawal_requests_status_check;
+alter table public.withdrawal_requests
+  add constraint withdrawal_requests_status_check
+  check (status in ('pending', 'processing', 'held', 'completed', 'failed'));
+
+create index if not exists withdrawal_requests_status_created_idx
+  on public.withdrawal_requests (status, created_at desc);
+
+------------------------------------------------------------
+-- hold_withdrawal_for_review: processing -> held when the request needs a
+-- human. Called right after reserve_withdrawal. A request that has already
+-- been reviewed (approved) is never held again, so a client retry after
+-- approval goes straight to the transfer.
+-- Returns the hold reason, or null if the request can go ahead.
+------------------------------------------------------------
+create or replace function public.hold_withdrawal_for_review(
+  p_withdrawal_request_id uuid,
+  p_stripe_account_id text,
+  p_review_threshold numeric
+)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_req public.withdrawal_requests%rowtype;
+  v_flagged_at timestamptz;
+  v_reason text;
+begin
+  select * into v_req
+    from public.withdrawal_requests
+   where id = p_withdrawal_request_id
+   for update;
+
+  if not found then
+    raise exception 'withdrawal_not_found';
+  end if;
+  if v_req.status <> 'processing' or v_req.reviewed_at is not null then
+    return null;
+  end if;
+
+  select w.flagged_at into v_flagged_at
+    from public.wallets w
+   where w.user_id = v_req.user_id;
+
+  if v_flagged_at is not null then
+    v_reason := 'wallet flagged';
+  elsif p_review_threshold is not null and v_req.amount >= p_review_threshold then
+    v_reason := format('amount at or above review threshold ($%s)', to_char(p_review_threshold, 'FM999999990.00'));
+  else
+    return null;
+  end if;
+
+  update public.withdrawal_requests r
+     set status            = 'held',
+         stripe_account_id = p_stripe_account_id,
+         review_reason     = v_reason
+   where r.id = v_req.id;
+
+  return v_reason;
+end;
+$$;
+
+-- Only the Railway backend (service role) may hold a request: the Connect
+-- account recorded here is where approval sends the money.
+revoke execute on function public.hold_withdrawal_for_review(uuid, text, numeric)
+  from public, anon, authenticated;
+grant execute on function public.hold_withdrawal_for_review(uuid, text, numeric)
+  to service_role;
+
+------------------------------------------------------------
+-- review_withdrawal: an admin approves (held -> processing) or rejects
+-- (held -> failed, reserved funds back to earnings) a held request.
+-- Runs as the admin's JWT; raises 'not_admin' for anyone else.
+------------------------------------------------------------
+create or replace function public.review_withdrawal(
+  p_withdrawal_request_id uuid,
+  p_approve boolean,
+  p_note text
+)
+returns table (user_id uuid, amount numeric, status text, stripe_account_id text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_req public.withdrawal_requests%rowtype;
+begin
+  if not public.is_admin() then
+    raise exception 'not_admin';
+  end if;
+
+  select * into v_req
+    from public.withdrawal_requests
+   where id = p_withdrawal_request_id
+   for update;
+
+  if not found then
+    raise exception 'withdrawal_not_found';
+  end if;
+  if v_req.status <> 'held' then
+    raise exception 'withdrawal_not_held';
+  end if;
+
+  if p_approve then
+    update public.withdrawal_requests r
+       set status      = 'processing',
+           reviewed_by = auth.uid(),
+           reviewed_at = now(),
+           review_note = p_note
+     where r.id = v_req.id;
+    return query select v_req.user_id, v_req.amount, 'processing'::text, v_req.stripe_account_id;
+    return;
+  end if;
+
+  update public.wallets w
+     set earnings          = w.earnings + v_req.amount,
+         reserved_earnings = w.reserved_earnings - v_req.amount
+   where w.user_id = v_req.user_id;
+
+  update public.withdrawal_requests r
+     set status         = 'failed',
+         failure_reason = format('Rejected in review%s', coalesce(': ' || p_note, '')),
+         reviewed_by    = auth.uid(),
+         reviewed_at    = now(),
+         review_note    = p_note,
+         processed_at   = now()
+   where r.id = v_req.id;
+
+  return query select v_req.user_id, v_req.amount, 'failed'::text, v_req.stripe_account_id;
+end;
+$$;
+
+revoke execute on function public.review_withdrawal(uuid, boolean, text) from public, anon;
+grant execute on function public.review_withdrawal(uuid, boolean, text)
+  to authenticated, service_role;
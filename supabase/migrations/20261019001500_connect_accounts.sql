@@ -0,0 +1,135 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Stripe Connect accounts bound to users. The /stripe/* Connect routes and
+-- /stripe/process-withdrawal used to take an accountId from the request body
+-- without authentication, so anyone could query or pay out to any account.
+-- Each user now has at most one Connect account, recorded here when the
+-- backend creates it (under the user's own JWT, see bind_connect_account);
+-- the routes look it up from the signed-in user instead.
+--
+-- The Connect webhook (/stripe/webhook/connect, a Stripe endpoint that
+-- listens to events on connected accounts) keeps the onboarding state in sync
+-- from account.updated, so the app and admins can read it without calling
+-- Stripe.
+--
+-- Safe to run multiple times.
+
+create table if not exists public.connect_accounts (
+  user_id           uuid        primary key,
+  stripe_account_id text        not null unique,
+  details_submitted boolean     not null default false,
+  charges_enabled   boolean     not null default false,
+  payouts_enabled   boolean     not null default false,
+  currently_due     jsonb       not null default '[]'::jsonb,
+  past_due          jsonb       not null default '[]'::jsonb,
+  disabled_reason   text,
+  synced_at         timestamptz,
+  created_at        timestamptz not null default now(),
+  updated_at        timestamptz not null default now()
+);
+
+------------------------------------------------------------
+-- RLS: users read their own row, admins read all. Writes only go through
+-- the functions below.
+------------------------------------------------------------
+alter table public.connect_accounts enable row level security;
+
+drop policy if exists "connect_accounts_select_owner" on public.connect_accounts;
+create policy "connect_accounts_select_owner"
+on public.connect_accounts
+for select
+to authenticated
+using (auth.uid() = user_id);
+
+drop policy if exists "connect_accounts_select_admin" on public.connect_accounts;
+create policy "connect_accounts_select_admin"
+on public.connect_accounts
+for select
+to authenticated
+using (public.is_admin());
+
+------------------------------------------------------------
+-- bind_connect_account: record the calling user's Connect account.
+-- Returns the account bound to the user afterwards, which is an earlier one
+-- if the user already had an account (e.g. two concurrent creates).
+-- Raises 'account_already_bound' if the account belongs to someone else.
+------------------------------------------------------------
+create or replace function public.bind_connect_account(
+  p_stripe_account_id text
+)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_uid uuid := auth.uid();
+  v_account_id text;
+begin
+  if v_uid is null then
+    raise exception 'not_authenticated';
+  end if;
+
+  if exists (
+    select 1 from public.connect_accounts
+     where stripe_account_id = p_stripe_account_id and user_id <> v_uid
+  ) then
+    raise exception 'account_already_bound';
+  end if;
+
+  insert into public.connect_accounts (user_id, stripe_account_id)
+  values (v_uid, p_stripe_account_id)
+  on conflict (user_id) do nothing;
+
+  select stripe_account_id into v_account_id
+    from public.connect_accounts
+   where user_id = v_uid;
+
+  return v_account_id;
+end;
+$$;
+
+revoke execute on function public.bind_connect_account(text) from public, anon;
+grant execute on function public.bind_connect_account(text) to authenticated, service_role;
+
+------------------------------------------------------------
+-- sync_connect_account: store an account's onboarding state, from
+-- account.updated or a fresh retrieve. Only updates accounts that are
+-- already bound. Returns false if the account isn't bound to anyone.
+------------------------------------------------------------
+create or replace function public.sync_connect_account(
+  p_stripe_account_id text,
+  p_details_submitted boolean,
+  p_charges_enabled boolean,
+  p_payouts_enabled boolean,
+  p_currently_due jsonb,
+  p_past_due jsonb,
+  p_disabled_reason text
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.connect_accounts
+     set details_submitted = coalesce(p_details_submitted, false),
+         charges_enabled   = coalesce(p_charges_enabled, false),
+         payouts_enabled   = coalesce(p_payouts_enabled, false),
+         currently_due     = coalesce(p_currently_due, '[]'::jsonb),
+         past_due          = coalesce(p_past_due, '[]'::jsonb),
+         disabled_reason   = p_disabled_reason,
+         synced_at         = now(),
+         updated_at        = now()
+   where stripe_account_id = p_stripe_account_id;
+
+  return found;
+end;
+$$;
+
+-- Only the Railway backend (service role) writes onboarding state, from
+-- verified Connect webhooks or its own Stripe retrieves.
+revoke execute on function public.sync_connect_account(text, boolean, boolean, boolean, jsonb, jsonb, text)
+  from public, anon, authenticated;
+grant execute on function public.sync_connect_account(text, boolean, boolean, boolean, jsonb, jsonb, text)
+  to service_role;
@@ -0,0 +1,19 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Payout reconciliation. GET /admin/reconciliation/payouts (and the optional
+-- scheduled job, PAYOUT_RECONCILIATION_INTERVAL_HOURS) walks the Stripe
+-- transfers of a date range and looks up the matching withdrawal_requests by
+-- transfer id and by id, then their ledger rows in transactions. Admins
+-- already read these tables through the policies in
+-- 20261019001400_admin_roles.sql; this only adds the indexes for those
+-- lookups.
+--
+-- Safe to run multiple times.
+
+create index if not exists withdrawal_requests_stripe_transfer_id_idx
+  on public.withdrawal_requests (stripe_transfer_id)
+  where stripe_transfer_id is not null;
+
+create index if not exists transactions_withdrawal_request_id_idx
+  on public.transactions (withdrawal_request_id)
+  where withdrawal_request_id is not null;
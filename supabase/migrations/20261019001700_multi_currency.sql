@@ -0,0 +1,421 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Multi-currency wallets. Every amount used to be US dollars: top-ups in any
+-- other currency were credited as if they were dollars, and withdrawals were
+-- always transferred in USD.
+--
+--   wallets.currency              the currency the wallet's credits, earnings
+--                                 and reservations are held in. Set by the
+--                                 first top-up; it can only change while the
+--                                 wallet is empty.
+--   transactions.currency         currency of `amount`. Filled from the
+--                                 wallet when the writer doesn't set it, so
+--                                 the older functions (bill_call,
+--                                 reverse_topup_credits, ...) need no change.
+--   withdrawal_requests.currency  the wallet's currency, stamped when the
+--                                 funds are reserved.
+--
+-- Withdrawals are transferred in the wallet's currency and Stripe converts
+-- them to the connected account's default currency. complete_withdrawal now
+-- records what arrived (payout_currency/payout_amount) and the exchange rate
+-- on the request and on its ledger row (settled_currency/settled_amount/
+-- fx_rate); all three are null on rows from before this migration.
+-- release_withdrawal writes its reversal row in the request's currency, and
+-- hold_withdrawal_for_review states its threshold in it (the backend passes
+-- the threshold converted to the wallet's currency).
+--
+-- Call billing in the wallets' currency (and refusing calls between wallets
+-- in two currencies) is in 20261019002200_call_billing_currency.sql.
+--
+-- Safe to run multiple times.
+
+alter table public.wallets
+  add column if not exists currency text not null default 'usd';
+
+alter table public.wallets
+  drop constraint if exists wallets_currency_check;
+alter table public.wallets
+  add constraint wallets_currency_check check (currency ~ '^[a-z]{3}$');
+
+alter table public.transactions
+  add column if not exists currency text,
+  add column if not exists settled_currency text,
+  add column if not exists settled_amount numeric,
+  add column if not exists fx_rate numeric;
+
+alter table public.withdrawal_requests
+  add column if not exists currency text not null default 'usd',
+  add column if not exists payout_currency text,
+  add column if not exists payout_amount numeric,
+  add column if not exists fx_rate numeric;
+
+-- Everything before this migration was in dollars.
+update public.transactions set currency = 'usd' where currency is null;
+
+------------------------------------------------------------
+-- transactions.currency defaults to the wallet of the user the row is about
+-- (the payer, or the payee for credits).
+------------------------------------------------------------
+create or replace function public.transactions_default_currency()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.currency is null then
+    select w.currency into new.currency
+      from public.wallets w
+     where w.user_id = coalesce(new.from_user_id, new.to_user_id);
+    new.currency := coalesce(new.currency, 'usd');
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists transactions_default_currency on public.transactions;
+create trigger transactions_default_currency
+  before insert on public.transactions
+  for each row execute function public.transactions_default_currency();
+
+------------------------------------------------------------
+-- credit_wallet_topup: as in 20261019000100_credit_topup_rpc.sql, plus the
+-- wallet currency. A top-up in another currency than a funded wallet's
+-- raises 'wallet_currency_mismatch' (the backend checks this before creating
+-- the PaymentIntent, so it only happens to concurrent top-ups).
+------------------------------------------------------------
+create or replace function public.credit_wallet_topup(
+  p_user_id uuid,
+  p_payment_intent_id text,
+  p_amount numeric,
+  p_currency text
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_currency text := lower(coalesce(p_currency, 'usd'));
+  v_rows integer;
+begin
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'credit_wallet_topup: amount must be positive (got %)', p_amount;
+  end if;
+
+  insert into public.transactions (
+    from_user_id,
+    to_user_id,
+    amount,
+    currency,
+    transaction_type,
+    description,
+    stripe_payment_intent_id
+  )
+  values (
+    null,
+    p_user_id,
+    p_amount,
+    v_currency,
+    'credit_topup',
+    format('Credit top-up: %s %s (%s)', p_amount, upper(v_currency), p_payment_intent_id),
+    p_payment_intent_id
+  )
+  on conflict (stripe_payment_intent_id) where transaction_type = 'credit_topup' do nothing;
+
+  get diagnostics v_rows = row_count;
+  if v_rows = 0 then
+    return false;
+  end if;
+
+  -- The conflict branch locks the wallet row before checking its currency,
+  -- so two first top-ups in different currencies can't both get in.
+  insert into public.wallets as w (user_id, credits, currency)
+  values (p_user_id, p_amount, v_currency)
+  on conflict (user_id) do update set
+    credits  = w.credits + excluded.credits,
+    currency = excluded.currency
+  where w.currency = excluded.currency
+     or (coalesce(w.credits, 0) = 0 and coalesce(w.earnings, 0) = 0 and coalesce(w.reserved_earnings, 0) = 0);
+
+  get diagnostics v_rows = row_count;
+  if v_rows = 0 then
+    raise exception 'wallet_currency_mismatch';
+  end if;
+
+  return true;
+end;
+$$;
+
+------------------------------------------------------------
+-- reserve_withdrawal: as in 20261019000300_withdrawal_ledger_rpcs.sql, and
+-- stamps the wallet's currency on the request.
+------------------------------------------------------------
+create or replace function public.reserve_withdrawal(
+  p_withdrawal_request_id uuid,
+  p_user_id uuid,
+  p_amount numeric
+)
+returns table (user_id uuid, amount numeric, status text, stripe_transfer_id text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_req public.withdrawal_requests%rowtype;
+  v_currency text;
+begin
+  select * into v_req
+    from public.withdrawal_requests
+   where id = p_withdrawal_request_id
+   for update;
+
+  if not found or (p_user_id is not null and v_req.user_id <> p_user_id) then
+    raise exception 'withdrawal_not_found';
+  end if;
+  if v_req.amount <> p_amount then
+    raise exception 'amount_mismatch';
+  end if;
+
+  if v_req.status = 'pending' then
+    update public.wallets w
+       set earnings          = w.earnings - v_req.amount,
+           reserved_earnings = w.reserved_earnings + v_req.amount
+     where w.user_id = v_req.user_id
+       and w.earnings >= v_req.amount
+    returning w.currency into v_currency;
+    if not found then
+      raise exception 'insufficient_earnings';
+    end if;
+
+    update public.withdrawal_requests r
+       set status = 'processing',
+           currency = v_currency,
+           reserved_at = now(),
+           failure_reason = null
+     where r.id = v_req.id;
+    v_req.status := 'processing';
+  elsif v_req.status not in ('processing', 'completed') then
+    raise exception 'withdrawal_not_pending';
+  end if;
+
+  return query select v_req.user_id, v_req.amount, v_req.status, v_req.stripe_transfer_id;
+end;
+$$;
+
+------------------------------------------------------------
+-- complete_withdrawal: now also takes what reached the connected account.
+-- The old two-argument version is dropped so calls aren't ambiguous.
+------------------------------------------------------------
+drop function if exists public.complete_withdrawal(uuid, text);
+
+create or replace function public.complete_withdrawal(
+  p_withdrawal_request_id uuid,
+  p_stripe_transfer_id text,
+  p_payout_currency text default null,
+  p_payout_amount numeric default null,
+  p_fx_rate numeric default null
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_req public.withdrawal_requests%rowtype;
+begin
+  select * into v_req
+    from public.withdrawal_requests
+   where id = p_withdrawal_request_id
+   for update;
+
+  if not found then
+    raise exception 'withdrawal_not_found';
+  end if;
+  if v_req.status = 'completed' and v_req.stripe_transfer_id = p_stripe_transfer_id then
+    return false;
+  end if;
+  if v_req.status <> 'processing' then
+    raise exception 'withdrawal_not_processing';
+  end if;
+
+  update public.wallets w
+     set reserved_earnings = w.reserved_earnings - v_req.amount
+   where w.user_id = v_req.user_id;
+
+  update public.withdrawal_requests r
+     set status = 'completed',
+         stripe_transfer_id = p_stripe_transfer_id,
+         payout_currency = lower(p_payout_currency),
+         payout_amount = p_payout_amount,
+         fx_rate = p_fx_rate,
+         processed_at = now()
+   where r.id = v_req.id;
+
+  insert into public.transactions (
+    from_user_id, to_user_id, amount, currency, transaction_type, description, withdrawal_request_id,
+    settled_currency, settled_amount, fx_rate
+  )
+  values (
+    v_req.user_id,
+    null,
+    -v_req.amount,
+    v_req.currency,
+    'withdrawal',
+    format('Withdrawal to Stripe Connect account: %s %s%s',
+      v_req.amount, upper(v_req.currency),
+      case when p_fx_rate is not null
+        then format(' (paid out as %s %s at %s)', p_payout_amount, upper(p_payout_currency), p_fx_rate)
+        else ''
+      end),
+    v_req.id,
+    lower(p_payout_currency),
+    p_payout_amount,
+    p_fx_rate
+  );
+
+  return true;
+end;
+$$;
+
+------------------------------------------------------------
+-- release_withdrawal: unchanged, except that the reversal row is in the
+-- request's currency.
+------------------------------------------------------------
+create or replace function public.release_withdrawal(
+  p_withdrawal_request_id uuid,
+  p_stripe_transfer_id text,
+  p_reason text
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_req public.withdrawal_requests%rowtype;
+begin
+  select * into v_req
+    from public.withdrawal_requests
+   where (p_withdrawal_request_id is not null and id = p_withdrawal_request_id)
+      or (p_withdrawal_request_id is null and stripe_transfer_id = p_stripe_transfer_id)
+   limit 1
+   for update;
+
+  if not found then
+    return null;
+  end if;
+  if v_req.status = 'failed' then
+    return false;
+  end if;
+
+  if v_req.status = 'processing' then
+    update public.wallets w
+       set earnings          = w.earnings + v_req.amount,
+           reserved_earnings = w.reserved_earnings - v_req.amount
+     where w.user_id = v_req.user_id;
+  elsif v_req.status = 'completed' then
+    update public.wallets w
+       set earnings = w.earnings + v_req.amount
+     where w.user_id = v_req.user_id;
+
+    insert into public.transactions (
+      from_user_id, to_user_id, amount, currency, transaction_type, description, withdrawal_request_id
+    )
+    values (
+      null,
+      v_req.user_id,
+      v_req.amount,
+      v_req.currency,
+      'withdrawal_reversal',
+      format('Withdrawal reversed: %s %s (%s)',
+        v_req.amount, upper(v_req.currency), coalesce(p_reason, 'transfer failed')),
+      v_req.id
+    );
+  end if;
+
+  update public.withdrawal_requests r
+     set status = 'failed',
+         failure_reason = coalesce(p_reason, 'Transfer failed'),
+         processed_at = now()
+   where r.id = v_req.id;
+
+  return true;
+end;
+$$;
+
+------------------------------------------------------------
+-- hold_withdrawal_for_review: unchanged, except that the reason names the
+-- request's currency instead of dollars.
+------------------------------------------------------------
+create or replace function public.hold_withdrawal_for_review(
+  p_withdrawal_request_id uuid,
+  p_stripe_account_id text,
+  p_review_threshold numeric
+)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_req public.withdrawal_requests%rowtype;
+  v_flagged_at timestamptz;
+  v_reason text;
+begin
+  select * into v_req
+    from public.withdrawal_requests
+   where id = p_withdrawal_request_id
+   for update;
+
+  if not found then
+    raise exception 'withdrawal_not_found';
+  end if;
+  if v_req.status <> 'processing' or v_req.reviewed_at is not null then
+    return null;
+  end if;
+
+  select w.flagged_at into v_flagged_at
+    from public.wallets w
+   where w.user_id = v_req.user_id;
+
+  if v_flagged_at is not null then
+    v_reason := 'wallet flagged';
+  elsif p_review_threshold is not null and v_req.amount >= p_review_threshold then
+    v_reason := format('amount at or above review threshold (%s %s)', p_review_threshold, upper(v_req.currency));
+  else
+    return null;
+  end if;
+
+  update public.withdrawal_requests r
+     set status            = 'held',
+         stripe_account_id = p_stripe_account_id,
+         review_reason     = v_reason
+   where r.id = v_req.id;
+
+  return v_reason;
+end;
+$$;
+
+-- create or replace keeps the earlier grants, but the new complete_withdrawal
+-- gets the default ones (public, anon); restated so none of them is left open.
+revoke execute on function public.credit_wallet_topup(uuid, text, numeric, text)
+  from public, anon, authenticated;
+grant execute on function public.credit_wallet_topup(uuid, text, numeric, text)
+  to service_role;
+revoke execute on function public.reserve_withdrawal(uuid, uuid, numeric)
+  from public, anon, authenticated;
+grant execute on function public.reserve_withdrawal(uuid, uuid, numeric)
+  to service_role;
+revoke execute on function public.complete_withdrawal(uuid, text, text, numeric, numeric)
+  from public, anon, authenticated;
+grant execute on function public.complete_withdrawal(uuid, text, text, numeric, numeric)
+  to service_role;
+revoke execute on function public.hold_withdrawal_for_review(uuid, text, numeric)
+  from public, anon, authenticated;
+grant execute on function public.hold_withdrawal_for_review(uuid, text, numeric)
+  to service_role;
+revoke execute on function public.release_withdrawal(uuid, text, text)
+  from public, anon, authenticated;
+grant execute on function public.release_withdrawal(uuid, text, text)
+  to service_role;
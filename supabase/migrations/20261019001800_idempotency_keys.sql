@@ -0,0 +1,145 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Idempotency keys for the money-moving endpoints (/create-payment-intent,
+-- /stripe/process-withdrawal, /stripe/create-express-account). A client that
+-- retries after a timeout sends the same Idempotency-Key header and gets the
+-- first attempt's response back instead of a second PaymentIntent, transfer
+-- or Connect account.
+--
+-- Rows are keyed on (user_id, route, key), so keys only need to be unique per
+-- user and endpoint. request_hash is a hash of the request body: reusing a key
+-- with a different body is rejected. Final responses are stored and replayed;
+-- a transient one (5xx, or 408/425/429, e.g. "Service temporarily busy" after
+-- a Stripe rate limit) marks the key 'failed' so a retry runs the request
+-- again (the backend forwards the key to Stripe, so that doesn't duplicate
+-- the Stripe object either). Keys are kept for 24 hours, like Stripe's.
+--
+-- The stored response can include a PaymentIntent client secret, so the table
+-- has RLS enabled with no policies and is only touched through the SECURITY
+-- DEFINER functions below, which act as auth.uid().
+--
+-- Safe to run multiple times.
+
+create table if not exists public.idempotency_keys (
+  user_id         uuid        not null,
+  route           text        not null,
+  key             text        not null,
+  request_hash    text        not null,
+  status          text        not null default 'processing'
+                  check (status in ('processing', 'completed', 'failed')),
+  response_status integer,
+  response_body   jsonb,
+  created_at      timestamptz not null default now(),
+  updated_at      timestamptz not null default now(),
+  completed_at    timestamptz,
+  primary key (user_id, route, key)
+);
+
+alter table public.idempotency_keys enable row level security;
+
+------------------------------------------------------------
+-- claim_idempotency_key: record the key for the signed-in user.
+-- Returns one row whose status is:
+--   'claimed'     - caller should run the request, then finish the key
+--   'replay'      - already completed; send response_status/response_body
+--   'mismatch'    - the key was used with a different request body
+--   'in_progress' - another request with this key is running right now
+-- created_at is when the key was first claimed; it doesn't change when a
+-- failed or abandoned attempt is claimed again.
+-- A 'processing' row that hasn't been touched for 10 minutes is treated as
+-- abandoned (the process died mid-request) and can be claimed again.
+------------------------------------------------------------
+create or replace function public.claim_idempotency_key(
+  p_route text,
+  p_key text,
+  p_request_hash text
+)
+returns table (status text, response_status integer, response_body jsonb, created_at timestamptz)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_uid uuid := auth.uid();
+  v_row public.idempotency_keys%rowtype;
+begin
+  if v_uid is null then
+    raise exception 'not_authenticated';
+  end if;
+
+  delete from public.idempotency_keys k
+   where k.user_id = v_uid
+     and k.created_at < now() - interval '24 hours';
+
+  insert into public.idempotency_keys as k (user_id, route, key, request_hash)
+  values (v_uid, p_route, p_key, p_request_hash)
+  on conflict (user_id, route, key) do nothing
+  returning k.* into v_row;
+
+  if found then
+    return query select 'claimed'::text, null::integer, null::jsonb, v_row.created_at;
+    return;
+  end if;
+
+  select * into v_row
+    from public.idempotency_keys k
+   where k.user_id = v_uid and k.route = p_route and k.key = p_key
+   for update;
+
+  if v_row.request_hash <> p_request_hash then
+    return query select 'mismatch'::text, null::integer, null::jsonb, v_row.created_at;
+    return;
+  end if;
+  if v_row.status = 'completed' then
+    return query select 'replay'::text, v_row.response_status, v_row.response_body, v_row.created_at;
+    return;
+  end if;
+  if v_row.status = 'processing' and v_row.updated_at > now() - interval '10 minutes' then
+    return query select 'in_progress'::text, null::integer, null::jsonb, v_row.created_at;
+    return;
+  end if;
+
+  update public.idempotency_keys k
+     set status = 'processing',
+         updated_at = now()
+   where k.user_id = v_uid and k.route = p_route and k.key = p_key;
+
+  return query select 'claimed'::text, null::integer, null::jsonb, v_row.created_at;
+end;
+$$;
+
+------------------------------------------------------------
+-- finish_idempotency_key: store the response (completed and replayed from
+-- now on) or, for a transient status (5xx, 408, 425, 429), mark the attempt
+-- failed and drop the body so a retry runs again.
+------------------------------------------------------------
+create or replace function public.finish_idempotency_key(
+  p_route text,
+  p_key text,
+  p_response_status integer,
+  p_response_body jsonb
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_final boolean := p_response_status < 500 and p_response_status not in (408, 425, 429);
+begin
+  update public.idempotency_keys k
+     set status          = case when v_final then 'completed' else 'failed' end,
+         response_status = p_response_status,
+         response_body   = case when v_final then p_response_body else null end,
+         updated_at      = now(),
+         completed_at    = case when v_final then now() else null end
+   where k.user_id = auth.uid() and k.route = p_route and k.key = p_key
+     and k.status = 'processing';
+end;
+$$;
+
+-- Called with the user's JWT (req.supabase); they act as auth.uid().
+grant execute on function public.claim_idempotency_key(text, text, text)
+  to authenticated, service_role;
+grant execute on function public.finish_idempotency_key(text, text, integer, jsonb)
+  to authenticated, service_role;
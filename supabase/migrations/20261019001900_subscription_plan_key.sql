@@ -0,0 +1,76 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Subscription plan keys. With the plan catalog a product can have several
+-- plans (monthly and annual call recording), so a user can hold two rows for
+-- the same product and the product alone no longer identifies a
+-- subscription. subscriptions.plan_key records the catalog key the
+-- subscription was bought under (SUBSCRIPTION_PLANS in the backend), and
+-- cancel/resume look rows up by stripe_subscription_id or plan_key.
+--
+-- upsert_recording_subscription takes the plan key as an extra argument. The
+-- old seven-argument version is dropped so calls aren't ambiguous; the new
+-- one is granted to the service role only, like the other webhook writes.
+-- An upsert without a plan key keeps the one already stored.
+--
+-- Safe to run multiple times.
+
+alter table public.subscriptions
+  add column if not exists plan_key text;
+
+drop function if exists public.upsert_recording_subscription(
+  uuid, text, text, text, text, timestamptz, boolean
+);
+
+create or replace function public.upsert_recording_subscription(
+  p_user_id uuid,
+  p_product text,
+  p_stripe_customer_id text,
+  p_stripe_subscription_id text,
+  p_status text,
+  p_current_period_end timestamptz,
+  p_cancel_at_period_end boolean,
+  p_plan_key text default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.subscriptions as s (
+    user_id,
+    product,
+    plan_key,
+    stripe_customer_id,
+    stripe_subscription_id,
+    status,
+    current_period_end,
+    cancel_at_period_end
+  )
+  values (
+    p_user_id,
+    coalesce(p_product, 'call_recording'),
+    p_plan_key,
+    p_stripe_customer_id,
+    p_stripe_subscription_id,
+    p_status,
+    p_current_period_end,
+    coalesce(p_cancel_at_period_end, false)
+  )
+  on conflict (stripe_subscription_id) do update set
+    user_id             = excluded.user_id,
+    product             = excluded.product,
+    plan_key            = coalesce(excluded.plan_key, s.plan_key),
+    stripe_customer_id  = excluded.stripe_customer_id,
+    status              = excluded.status,
+    current_period_end  = excluded.current_period_end,
+    cancel_at_period_end = excluded.cancel_at_period_end;
+end;
+$$;
+
+revoke execute on function public.upsert_recording_subscription(
+  uuid, text, text, text, text, timestamptz, boolean, text
+) from public, anon, authenticated;
+grant execute on function public.upsert_recording_subscription(
+  uuid, text, text, text, text, timestamptz, boolean, text
+) to service_role;
@@ -0,0 +1,31 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Billing sweep for calls that ended without being billed. When billing fails
+-- in the room-ended callback (bill_call error, Twilio participants list
+-- unavailable, bad PLATFORM_FEE_PERCENT) the twilio-recording-webhook Edge
+-- Function answers 5xx and the call keeps billed_at null. Calling the function
+-- with ?task=bill-calls bills those calls from the room's participant list,
+-- oldest first, 20 per run. bill_call only bills a call once, so running the
+-- sweep while a callback is still billing the same call is harmless.
+--
+-- The partial index keeps the sweep's lookup cheap once most calls are billed.
+--
+-- Safe to run multiple times.
+
+create index if not exists calls_unbilled_ended_at_idx
+  on public.calls (ended_at)
+  where billed_at is null and ended_at is not null;
+
+------------------------------------------------------------
+-- Schedule (optional): run the sweep every 10 minutes with pg_cron +
+-- pg_net. Fill in the project ref and WEBHOOK_KEY, then run:
+--
+-- select cron.schedule(
+--   'bill-unbilled-calls',
+--   '*/10 * * * *',
+--   $$ select net.http_post(
+--        url := 'https://<project-ref>.supabase.co/functions/v1/twilio-recording-webhook?key=<WEBHOOK_KEY>&task=bill-calls',
+--        body := '{}'::jsonb
+--      ) $$
+-- );
+------------------------------------------------------------
@@ -0,0 +1,124 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Failed top-up refunds. A refund is only reversed out of the wallet once
+-- Stripe reports it 'succeeded' (a 'pending' one can still fail), but even a
+-- succeeded refund can fail later, e.g. when the card's bank rejects it. The
+-- Stripe webhook now handles charge.refund.updated and, for a refund that
+-- failed or was canceled, gives the credits back through
+-- reverse_topup_credits with the new kind 'topup_refund_reversal', keyed on
+-- '<refund id>:failed'.
+--
+-- A refund reversal only applies when the refund itself was debited (a
+-- 'topup_refund' row for the refund id exists), and gives back exactly what
+-- that row took, whatever amount is passed. Otherwise nothing is written and
+-- no row is returned.
+--
+-- Safe to run multiple times.
+
+create unique index if not exists transactions_topup_reversal_reference_key_v2
+  on public.transactions (stripe_reference_id)
+  where transaction_type in ('topup_refund', 'topup_refund_reversal', 'topup_dispute', 'topup_dispute_reversal');
+
+drop index if exists public.transactions_topup_reversal_reference_key;
+
+create or replace function public.reverse_topup_credits(
+  p_payment_intent_id text,
+  p_reference_id text,
+  p_kind text,
+  p_amount numeric,
+  p_reason text
+)
+returns table (user_id uuid, applied boolean, credits numeric, flagged boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_user_id uuid;
+  v_credits numeric;
+  v_flagged_at timestamptz;
+  v_amount numeric := p_amount;
+  v_refunded numeric;
+begin
+  if p_kind not in ('topup_refund', 'topup_refund_reversal', 'topup_dispute', 'topup_dispute_reversal') then
+    raise exception 'reverse_topup_credits: unsupported kind %', p_kind;
+  end if;
+
+  select t.to_user_id into v_user_id
+    from public.transactions t
+   where t.stripe_payment_intent_id = p_payment_intent_id
+     and t.transaction_type = 'credit_topup';
+
+  if v_user_id is null then
+    return;
+  end if;
+
+  if p_kind = 'topup_refund_reversal' then
+    -- '<refund id>:failed' undoes the 'topup_refund' row of <refund id>.
+    select t.amount into v_refunded
+      from public.transactions t
+     where t.stripe_reference_id = split_part(p_reference_id, ':', 1)
+       and t.transaction_type = 'topup_refund'
+       and t.stripe_payment_intent_id = p_payment_intent_id;
+    if v_refunded is null then
+      return;
+    end if;
+    v_amount := v_refunded;
+  end if;
+
+  insert into public.transactions (
+    from_user_id,
+    to_user_id,
+    amount,
+    transaction_type,
+    description,
+    stripe_payment_intent_id,
+    stripe_reference_id
+  )
+  values (
+    v_user_id,
+    null,
+    -v_amount,
+    p_kind,
+    format('%s: %s credits (%s)', coalesce(p_reason, p_kind), to_char(-v_amount, 'FM999999990.00'), p_reference_id),
+    p_payment_intent_id,
+    p_reference_id
+  )
+  on conflict (stripe_reference_id)
+    where transaction_type in ('topup_refund', 'topup_refund_reversal', 'topup_dispute', 'topup_dispute_reversal')
+    do nothing;
+
+  if not found then
+    select w.credits, w.flagged_at into v_credits, v_flagged_at
+      from public.wallets w
+     where w.user_id = v_user_id;
+    return query select v_user_id, false, v_credits, v_flagged_at is not null;
+    return;
+  end if;
+
+  update public.wallets w
+     set credits     = w.credits - v_amount,
+         flagged_at  = case
+                         when w.credits - v_amount < 0 and w.flagged_at is null then now()
+                         else w.flagged_at
+                       end,
+         flag_reason = case
+                         when w.credits - v_amount < 0 and w.flagged_at is null
+                           then format('negative balance after %s %s', p_kind, p_reference_id)
+                         else w.flag_reason
+                       end
+   where w.user_id = v_user_id
+  returning w.credits, w.flagged_at into v_credits, v_flagged_at;
+
+  return query select v_user_id, true, v_credits, v_flagged_at is not null;
+end;
+$$;
+
+-- Only the Railway backend (service role) reverses top-ups.
+revoke execute on function public.reverse_topup_credits(
+  text, text, text, numeric, text
+) from public, anon, authenticated;
+grant execute on function public.reverse_topup_credits(
+  text, text, text, numeric, text
+) to service_role;
@@ -0,0 +1,184 @@
+-- Apply this in Lovable's Supabase SQL editor (or via the CLI).
+--
+-- Currency-aware call billing. bill_call (20261019000500_call_billing_rpc.sql)
+-- predates multi-currency wallets: it moved the charge one-for-one from the
+-- caller's wallet to the receiver's whatever their currencies, rounded to
+-- cents (fractions of a yen in JPY wallets), wrote "$" into the descriptions,
+-- and created a missing receiver wallet in the default currency.
+--
+-- bill_call now:
+--   - locks both wallets (in user id order, so two calls between the same
+--     users can't deadlock) and raises 'wallet_currency_mismatch' when both
+--     exist in different currencies. The backend refuses to create a room
+--     for such a call, but an empty wallet can still change currency between
+--     room creation and billing. Nothing is billed; the Edge Function records
+--     the error on calls.billing_error so the billing sweep skips the call.
+--   - bills in the caller's currency, rounded to that currency's decimals
+--     (currency_decimals, the same table as currency.js), records it in
+--     calls.billed_currency and on both transactions rows, and creates a
+--     missing receiver wallet in it.
+--
+-- A caller without a wallet has no credits, so nothing moves and their
+-- currency doesn't matter.
+--
+-- Only the Edge Function (service role) may call bill_call.
+--
+-- Safe to run multiple times.
+
+alter table public.calls
+  add column if not exists billed_currency text,
+  add column if not exists billing_error text;
+
+------------------------------------------------------------
+-- currency_decimals: minor-unit decimals of an ISO currency code, as in
+-- currency.js (https://docs.stripe.com/currencies#zero-decimal).
+------------------------------------------------------------
+create or replace function public.currency_decimals(p_currency text)
+returns integer
+language sql
+immutable
+as $$
+  select case
+    when lower(p_currency) in ('bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg',
+                               'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf') then 0
+    when lower(p_currency) in ('bhd', 'jod', 'kwd', 'omr', 'tnd') then 3
+    else 2
+  end;
+$$;
+
+create or replace function public.bill_call(
+  p_call_id uuid,
+  p_connected_seconds integer,
+  p_platform_fee_rate numeric
+)
+returns table (
+  billed boolean,
+  minutes integer,
+  cost numeric,
+  charged numeric,
+  receiver_earnings numeric,
+  platform_fee numeric
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_call public.calls%rowtype;
+  v_caller public.wallets%rowtype;
+  v_receiver public.wallets%rowtype;
+  v_wallet public.wallets%rowtype;
+  v_currency text;
+  v_decimals integer;
+  v_rate numeric;
+  v_minutes integer;
+  v_cost numeric;
+  v_charged numeric;
+  v_fee numeric;
+  v_net numeric;
+begin
+  select * into v_call
+    from public.calls
+   where id = p_call_id
+   for update;
+
+  if not found then
+    raise exception 'call_not_found';
+  end if;
+
+  if v_call.billed_at is not null then
+    return query select
+      false,
+      v_call.billed_minutes,
+      round(coalesce(v_call.rate_per_minute, 0) * coalesce(v_call.billed_minutes, 0),
+            public.currency_decimals(coalesce(v_call.billed_currency, 'usd'))),
+      v_call.billed_amount,
+      v_call.billed_amount - v_call.billed_platform_fee,
+      v_call.billed_platform_fee;
+    return;
+  end if;
+
+  for v_wallet in
+    select * from public.wallets w
+     where w.user_id in (v_call.caller_id, v_call.receiver_id)
+     order by w.user_id
+     for update
+  loop
+    if v_wallet.user_id = v_call.caller_id then v_caller := v_wallet; end if;
+    if v_wallet.user_id = v_call.receiver_id then v_receiver := v_wallet; end if;
+  end loop;
+
+  if v_caller.user_id is not null and v_receiver.user_id is not null
+     and v_caller.currency <> v_receiver.currency then
+    raise exception 'wallet_currency_mismatch';
+  end if;
+
+  v_currency := coalesce(v_caller.currency, v_receiver.currency, 'usd');
+  v_decimals := public.currency_decimals(v_currency);
+
+  v_rate := coalesce(
+    v_call.rate_per_minute,
+    (select p.rate_per_minute from public.profiles p where p.id = v_call.receiver_id),
+    0
+  );
+  v_minutes := ceil(greatest(coalesce(p_connected_seconds, 0), 0) / 60.0);
+  v_cost := round(v_rate * v_minutes, v_decimals);
+
+  v_charged := least(v_cost, greatest(coalesce(v_caller.credits, 0), 0));
+  v_fee := round(v_charged * greatest(least(coalesce(p_platform_fee_rate, 0), 1), 0), v_decimals);
+  v_net := v_charged - v_fee;
+
+  if v_charged > 0 then
+    update public.wallets w
+       set credits = w.credits - v_charged
+     where w.user_id = v_call.caller_id;
+
+    insert into public.wallets (user_id, earnings, currency)
+    values (v_call.receiver_id, v_net, v_currency)
+    on conflict (user_id) do update set
+      earnings = public.wallets.earnings + excluded.earnings;
+
+    insert into public.transactions (
+      from_user_id, to_user_id, amount, currency, transaction_type, description, call_id
+    )
+    values
+      (
+        v_call.caller_id,
+        v_call.receiver_id,
+        -v_charged,
+        v_currency,
+        'call_charge',
+        format('Call charge: %s min at %s %s/min', v_minutes, v_rate, upper(v_currency)),
+        v_call.id
+      ),
+      (
+        v_call.caller_id,
+        v_call.receiver_id,
+        v_net,
+        v_currency,
+        'call_earning',
+        format('Call earnings: %s min (platform fee %s %s)', v_minutes, v_fee, upper(v_currency)),
+        v_call.id
+      );
+  end if;
+
+  update public.calls c
+     set rate_per_minute     = v_rate,
+         connected_seconds   = greatest(coalesce(p_connected_seconds, 0), 0),
+         billed_at           = now(),
+         billed_minutes      = v_minutes,
+         billed_amount       = v_charged,
+         billed_platform_fee = v_fee,
+         billed_currency     = v_currency,
+         billing_error       = null
+   where c.id = v_call.id;
+
+  return query select true, v_minutes, v_cost, v_charged, v_net, v_fee;
+end;
+$$;
+
+revoke execute on function public.bill_call(uuid, integer, numeric)
+  from public, anon, authenticated;
+grant execute on function public.bill_call(uuid, integer, numeric)
+  to service_role;